@@ -15,27 +15,45 @@
 //Four buffers / contexts
 //************************
 //
-//Most of this library relies on the presence of four canvas elements, three of which are hidden and used as off-screen drawing/compositing spaces.  When
-//you include this Javascript library on a page you need to create the four canvas elements in the DOM on the same page and provide them with ids that
-//can be passed to these functions.  You will also need to hide every buffer but the frame buffer (though I sometimes make them visible if I'm debugging
-//and need to see what's being written) with something like style.display = "none";  Don't worry, they can still be the target of draw and composite calls
-//even if they're not visible.
+//Most of this library relies on the presence of four canvas elements, three of which are hidden and used as off-screen drawing/compositing spaces.  The
+//easiest way to get them is to create a GlowRenderer and pass it your visible canvas; it creates the three hidden canvases itself (they're never added
+//to the DOM) and keeps all of its state to itself, so you can have as many glowing canvases on a page as you like.
+//
+//The original global functions (setFrameBufferContext(), fillRectWithGlow(), computeGlow() and so on) still work as they always have, using a single
+//default renderer.  To use them you need to create the four canvas elements in the DOM on the same page and provide them with ids that can be passed
+//to these functions.  You will also need to hide every buffer but the frame buffer (though I sometimes make them visible if I'm debugging and need to
+//see what's being written) with something like style.display = "none";  Don't worry, they can still be the target of draw and composite calls even
+//if they're not visible.
 //The code repeatedly refers to the following canvas elements and their related drawing contexts:
 //Frame buffer - 			The only visible canvas element of the four, this is the element to which the final image will be drawn.  Shapes that aren't
 //							part of the glow calculation (either aren't glowing or aren't meant to occlude shapes that are glowing) can be drawn directly
 //							to this buffer, though draw order will matter.
 //Glow Color buffer - 		Contains the color that should be used to draw the glow pixels.  Any shape or text drawn using a "WithGlow" routine will have
-//							its color drawn to this buffer.  If you want a shape's glow color to be different than its regular color, you could simply
-//							write that different glow color to this buffer instead and the pixel plotting routine would use it properly, though I haven't
-//							implemented that in this version (when you draw a glowing shape the shape's original color is written to this buffer).
+//							its color drawn to this buffer.  If you want a shape's glow color to be different than its regular color, pass that color
+//							(any CSS color string, gradient or pattern) as the optional glowColor parameter of the "WithGlow" call and it will be written
+//							to this buffer instead.  If no glow color is passed the shape's original fill color is written to this buffer.
 //Glow Output buffer - 		The destination for glow pixel writes.  This buffer only contains glow pixels, not the pixels of the shape that is glowing.
 //							This buffer is composited to the frame buffer just before the frame buffer is presented.
-//Glow parameter buffer - 	Glow parameters and shapes that should occlude a glowing object are written here. Instead of colors, each "pixel" contains 
-//							information about how the glow should be computed. For each 32-bit pixel, this buffer contains:
-//								Byte 1 - Alpha value at which the first glow pixel away from the shape should start (0 - 255)
-//								Byte 2 - The alpha of the underlying shape. This is relevant because as this shape is fading from opaque to transparent, the alpha of its glow should be reduced accordingly (0 - 255).
-//								Byte 3 - Glow distance in pixels (0 - 255).
-//								Byte 4 - This is always 1.0 so that the data written to this buffer isn't altered by compositing operations.
+//Shape ID buffer - 		Glowing shapes and shapes that should occlude a glowing object are written here (this is the glow parameter / occlusion
+//							context).  Instead of colors, each "pixel" contains the id of the shape drawn there.
+//							For each 32-bit pixel, this buffer contains:
+//								Bytes 1 and 2 - The shape id, five bits in each (0 - 1023).  Occluding shapes have id 0 (or, after a
+//								semi-transparent occluder, an id of their own with no glow).
+//								Byte 3 - A checksum of the id, so that pixels where two shapes' anti-aliased edges blend together can be recognized.
+//								Byte 4 - Coverage: how much of the pixel the shape covers.  Shapes are drawn fully opaque, so this is only below 255 at
+//								anti-aliased edges.
+//Shape table - 			Not a canvas but a table kept by the renderer, with one entry per shape id drawn since the last clearContexts() (shapes
+//							with identical parameters share an entry).  Each entry holds the alpha at which the first glow pixel away from the shape
+//							should start, the alpha of the shape itself (as a shape fades from opaque to transparent, its glow fades with it), the
+//							glow distance in pixels (fractions allowed), the glow color if a plain color was passed, the falloff curve ("linear",
+//							"quadratic", "exponential", "smoothstep", "gaussian" or a function of your own), its glow group, how its glow blends, and where
+//							its glow goes (outer, inner or offset, with its offset and spread).  See createGlowShapeTable().
+//Transmission buffer - 	A fifth, hidden canvas that the renderer only creates once you draw a semi-transparent occluder (a "WithOcclusion" call
+//							with a transmission).  Those occluders are drawn here in the shape id format instead of to the shape id buffer, so the
+//							glowing shapes behind them keep glowing, and their glow is dimmed (and tinted) where it's seen through them.
+//
+//Each glow group other than the default one (see selectGlowGroup()) has a glow color, shape id and transmission buffer of its own, so that its
+//shapes are only occluded by the occluders drawn for that group.
 //
 //*************************************************
 //Links to visual examples of the library in action:
@@ -52,55 +70,46 @@
 //Only text and rectangles?  How can I add other HTML5 canvas shapes to this so they glow / occlude as well?
 //**********************************************************************************************************
 //
-//It's fairly simple to add other canvas shapes to this library.  I wrote the pixel plotting algorithms to work with any pixels that are on
-//those related buffers, so all you need to do is draw other shapes to those buffers; the glow / occlusion calculation will handle the rest.  For example, 
-//to draw the glowing rectangle in the drawRectWithGlow() call, all I'm doing is using standard canvas API calls to draw the rectangle to the frame buffer
-//context, then using those same stroke and fill states to draw the rectangle again on the glow color buffer.  Finally, I gather the glow parameter
-//information (initial glow intensity and glow distance), assemble an RGBA value that incorporates them, then draw the same rectangle one last time
-//to the glow parameter / occlusion buffer using that color (which is really packed parameters) as the fill color.
+//Not any more.  fillPathWithGlow() and fillPathWithOcclusion() take any Path2D (and an optional fill rule), so anything you can describe as a path
+//can glow or occlude without new code.  There are also ready-made calls for circles, ellipses, rounded rectangles and polygons
+//(fillCircleWithGlow(), fillEllipseWithGlow(), fillRoundRectWithGlow(), fillPolygonWithGlow() and their "WithOcclusion" versions).  Every "fill"
+//call also has a "stroke" version (strokeRectWithGlow(), strokeTextWithGlow(), strokePathWithGlow() and so on) that draws the outline with the frame
+//buffer's current line width, caps, joins and dash pattern, so the glow follows the outline rather than the filled interior.
+//
+//If you still need a shape that can't be expressed as a path, it's fairly simple to add other canvas shapes to this library.  I wrote the pixel
+//plotting algorithms to work with any pixels that are on those related buffers, so all you need to do is draw other shapes to those buffers; the
+//glow / occlusion calculation will handle the rest.  For example, to draw the glowing rectangle in the drawRectWithGlow() call, all I'm doing is
+//using standard canvas API calls to draw the rectangle to the frame buffer context, then using those same stroke and fill states to draw the
+//rectangle again on the glow color buffer.  Finally, I add the glow parameters (initial glow intensity, glow distance and so on) to the shape
+//table with getGlowShapeStyle(), which returns an RGBA value that encodes the new shape id, then draw the same rectangle one last time to the
+//shape id / occlusion buffer using that color as the fill color.  Occluding shapes are drawn with getGlowOccluderStyle().
 //
 //In order to add your own shapes to this library all you'd have to do is add a function that takes enough parameters to call the standard canvas
 //API call (for example, my drawRectWithGlow() function has to accept x,y coordinates and width and height because I need those for the base 
-//canvas drawRect() calls), and then make the adjustments I mentioned above to draw the shapes again to each relevant buffer.
-
-
-//global variables needed across functions
-
-var frameBufferContext = null;	//the buffer that will be drawn to the screen.  Destination for all compositing operations.
-var glowColorContext = null;	//Pixels in this context will determine glow color that will be applied to glow pixel data
-var glowColorBuffer = null;	//the byte array that reflects the pixel data in this context
-var glowOutputContext = null;	//Pixel data from glow computations will be written here and composited with the main canvas
-var glowOutputBuffer = null;
-var glowOcclusionContext = null;	//objects that glow or are supposed to obscure a glowing object but are relevant to the glow calculation.  No color data
-									//is stored in this buffer.  Objects in this buffer with no glow data will have glow written over them if 
-									//they obscure an object that is glowing.  Glow will then be written about their edges as if they are
-									//affected by the glow.
-									//byte values per pixel:
-									//R-first alpha value of nearest glow pixel
-									//G-Actual alpha value of drawn object.  It is this byte's value that will decide whether a pixel is eligible for
-									//glow processing or not.
-									//B-glow distance for this pixel (in pixels)
-									//A-This needs to be 1.0 so that the above values are written to the buffer properly (not changed by composition operations)
-var glowOcclusionBuffer = null;	
+//canvas drawRect() calls), and then make the adjustments I mentioned above to draw the shapes again to each relevant buffer.  A GlowRenderer only
+//computes glow around the glowing shapes it knows were drawn, so when you draw a glowing shape of your own, also tell it where the shape is by
+//calling markGlowRegionDirty() with its bounding box and glow distance.
+
+
+//global variables needed across functions.  Everything that belongs to a single glowing canvas lives in a GlowRenderer (see below).
+
+var glowFalloffModes = ["linear", "quadratic", "exponential", "smoothstep", "gaussian"];	//built-in falloff curves.  A curve's falloff code is its index here.
+var glowBlendModes = ["max", "add", "screen", "average"];	//ways overlapping glows combine (see GlowRenderer.glowBlendMode).  A mode's blend code is its index here.
+var glowModes = ["outer", "inner", "offset"];	//where a shape's glow goes (see GlowRenderer.glowMode).  A mode's glow mode code is its index here.
+var glowTextLayoutProperties = ["font", "textAlign", "textBaseline", "direction", "letterSpacing", "wordSpacing", "fontKerning", "fontStretch",
+	"fontVariantCaps", "textRendering"];	//frame buffer properties that decide where text lands, copied to the glow contexts before every draw.  The
+											//later ones aren't supported by every browser and are only copied where they are.
+var glowShapeIdLimit = 1024;	//the number of shape ids that fit in the occlusion buffer (five bits each in its red and green bytes).  Shapes drawn
+								//after that many in one frame share the last id.
+var glowMinimumCoverage = 128;	//occlusion buffer pixels with an alpha below this (less than half covered by a shape, at anti-aliased edges) are treated as
+								//outside every shape.  The shape id bytes of such faint pixels are too distorted by the canvas's premultiplied alpha to be
+								//trusted, so they receive glow instead of producing it.
+var glowReducedSpread = 1;	//extra spread, in reduced pixels, given to "outer" glow computed at a reduced resolution.  A sample's distance is measured
+							//from the middle of its source's block, up to a block farther than the shape's actual edge, so without it the samples near
+							//the end of the glow would get none.  upsampleGlowBuffer() measures the glow again from the edge, without it.
 									
 var canvasElementToCheck = null;	//declared once to save from redeclaring every function call
 
-//from original script page
-var glowRed;	//256-based red component of the glow color
-var glowGreen;	//256-based green component of the glow color
-var glowBlue;	//256-based blue component of the glow color
-var glowIncrement;
-var glowLoop;	//generic loop counter for glow operations (faster to declare it once here than repeatedly during an outer loop)
-var computedPixelX;	//for when the actual x-coordinate is computed based on the pixel's linear position in the buffer
-var computedPixelY; //for when the actual y-coordinate is computed based on the pixel's linear position in the buffer
-var xLoop;	//pixel buffer loop counter
-var yLoop;	//pixel buffer loop counter
-var glowDistance;	//distance in pixels away from the original shape for which pixels will be drawn
-var glowStartingAlpha;	//the alpha of the closest glow pixel to the original shape.  Lower values provide a more subtle glow.
-var glowStartingAlphaAdjustment;	//this is the amount by which the starting alpha should be adjusted to account for the transparency of the base
-									//object to which the glow is being applied.  For instance, if the starting glow alpha is set to 128, but the
-									//object was drawn 50% transparent, then the actual starting glow for this object should be 64 (128 * 0.5).
-
 //getCanvasContext
 //
 //Retrieve and return the drawing context of the passed HTML5 canvas element.  If the canvas element doesn't exist or
@@ -208,11 +217,203 @@ function getCanvasHeight(canvasIdIn)
 }
 
 
+//createHiddenCanvasContext
+//
+//Create a canvas that is never added to the DOM and return its 2d drawing context, or null if the browser doesn't support canvas operations.
+//Used for buffers the library manages itself.  A canvas element is used when there is a document, otherwise an OffscreenCanvas (in a worker,
+//for example).
+//
+//Parameters:
+//canvasWidth - 	the width of the canvas to create
+//canvasHeight - 	the height of the canvas to create
+function createHiddenCanvasContext(canvasWidth, canvasHeight)
+{
+	var canvas = null;
+	
+	if(typeof document != "undefined" && document.createElement != null)
+	{
+		canvas = document.createElement("canvas");
+		
+		if(canvas != null && canvas.getContext != null)
+		{
+			canvas.width = canvasWidth;
+			canvas.height = canvasHeight;
+			return canvas.getContext("2d");
+		}
+	}
+	else if(typeof OffscreenCanvas != "undefined")
+	{
+		canvas = new OffscreenCanvas(canvasWidth, canvasHeight);
+		return canvas.getContext("2d");
+	}
+	
+	return null;
+}
+
+
+//********************
+//GlowRenderer
+//
+//A GlowRenderer owns everything needed to draw glowing shapes to one visible canvas: the four contexts, their pixel buffers, the table of glowing
+//shapes drawn this frame and the scratch variables used while computing glow.  Renderers don't share any state, so a page can have as many glowing
+//canvases as it needs.  For example:
+//
+//	var renderer = new GlowRenderer("myCanvas");
+//	renderer.clearContexts();
+//	renderer.frameBufferContext.fillStyle = "white";
+//	renderer.fillTextWithGlow("Hello", 20, 40, 200, 12, "cyan");
+//	renderer.computeGlow();
+//	renderer.compositeAndDraw();
+//********************
+
+//GlowRenderer
+//
+//Create a renderer.  When a visible canvas is passed, the renderer creates the three hidden canvases it needs (glow color, glow output and glow
+//parameter / occlusion) at the same size, so nothing but the visible canvas has to be in the DOM.
+//
+//Parameters:
+//frameBufferCanvas - 	(optional) the visible canvas element, or its id, that the final image will be drawn to.  If omitted, the contexts have to
+//						be set with setFrameBufferContext(), setGlowColorContext(), setGlowOutputContext() and setGlowOcclusionContext() before
+//						drawing (this is how the default renderer behind the global functions is set up).
+function GlowRenderer(frameBufferCanvas)
+{
+	this.frameBufferContext = null;	//the buffer that will be drawn to the screen.  Destination for all compositing operations.
+	this.glowColorContext = null;	//Pixels in this context will determine glow color that will be applied to glow pixel data
+	this.glowColorBuffer = null;	//the byte array that reflects the pixel data in this context
+	this.glowOutputContext = null;	//Pixel data from glow computations will be written here and composited with the main canvas
+	this.glowOutputBuffer = null;
+	this.glowOcclusionContext = null;	//objects that glow or are supposed to obscure a glowing object but are relevant to the glow calculation.  No color data
+										//is stored in this buffer.  Objects in this buffer with no glow data will have glow written over them if 
+										//they obscure an object that is glowing.  Glow will then be written about their edges as if they are
+										//affected by the glow.
+										//byte values per pixel:
+										//R, G, B-the id of the shape drawn here, an index into glowShapeTable (see getGlowShapeIdStyle()).  Id 0 is
+										//every occluding shape.
+										//A-coverage: how much of the pixel the shape covers.  Shapes are drawn fully opaque, so this is only less than
+										//255 at anti-aliased edges.
+	this.glowOcclusionBuffer = null;
+	this.glowTransmissionContext = null;	//semi-transparent occluders are drawn here instead of to the occlusion context, in the same shape id format (see
+											//getGlowOccluderContext()).  Created the first time one is drawn.
+	this.glowTransmissionBuffer = null;
+	this.glowTransmissionUsed = false;	//true once a semi-transparent occluder has been drawn this frame
+	this.glowGroups = [];	//every glow group used so far, the default group ("") first (see getGlowGroup())
+	this.glowGroup = this.getGlowGroup("");	//the group whose contexts are the glow color, occlusion and transmission contexts above (see selectGlowGroup())
+	this.glowGroupOrder = [];	//names of glow groups in the order their glow is composited.  Groups that aren't listed follow in the order they were
+								//first used.
+	this.glowDebugView = null;	//the debug view compositeAndDraw() draws after the glow (see glowDebugViews), or null for none
+	this.glowDebugTarget = null;	//the context or <canvas> the debug view is drawn to, or null for the frame buffer
+	this.glowFrameStats = createGlowFrameStats();	//numbers about the last frame (see createGlowFrameStats())
+	this.glowStatsClock = getDefaultGlowClock();	//the clock the frame statistics are timed with (milliseconds)
+	this.glowPixelsSeeded = 0;	//running counts for glowFrameStats, kept by the glow computation
+	this.glowPixelVisits = 0;
+	this.glowSprites = {};	//cached glow sprites by cache key (see drawGlowSprite())
+	this.glowSpriteOrder = [];	//the cache keys of the sprites, least recently used first
+	this.glowSpriteLimit = 64;	//the most sprites kept
+	this.glowSpriteStamps = [];	//the sprites drawn since the last clearContexts(), and where
+	this.glowShapeTable = createGlowShapeTable();	//the glow parameters of every shape drawn since the last clearContexts() (see addGlowShape())
+	this.glowShapeKeys = {};	//the entry of glowShapeTable used by each distinct set of parameters, so identical shapes share one id
+	this.glowFalloffCurves = [];	//user-supplied falloff functions used since the last clearContexts().  Their falloff codes follow the built-in ones.
+	this.glowBlendMode = "max";	//how the glow of shapes drawn from now on combines with other glow on the same pixels: "max" keeps the brightest glow,
+								//"add" adds them up (clamped), "screen" lightens like overlapping lights, and "average" mixes their colors by alpha.
+								//Like the frame buffer's own state, each shape keeps the mode that was set when it was drawn, so it can be set once for
+								//every frame or changed from shape to shape.
+	this.glowMode = "outer";	//where the glow of shapes drawn from now on goes: "outer" glows outward from the shape's edge, "inner" fades inward from its
+							//edge over the shape itself, and "offset" glows from a copy of the shape moved by glowOffsetX and glowOffsetY, like a
+							//colored drop shadow.  Kept by each shape like glowBlendMode.
+	this.glowOffsetX = 0;	//for "offset" glow, how far (in CSS pixels) the glow is moved right.  Like shadowOffsetX, not affected by the transform.
+	this.glowOffsetY = 0;	//for "offset" glow, how far (in CSS pixels) the glow is moved down
+	this.glowSpread = 0;	//how far (in CSS pixels) the glow keeps its starting alpha before it starts to fade, growing it like a shadow's spread
+	this.glowMaskContext = null;	//hidden scratch context used to turn an image's alpha channel into a solid silhouette (see drawImageMask())
+	this.canvasWidth = 0;	//width of the glow buffers, set along with the glow contexts
+	this.canvasHeight = 0;	//height of the glow buffers, set along with the glow contexts
+	this.pixelRatio = 1;	//canvas pixels per CSS pixel (see setPixelRatio()).  Glow distances are multiplied by this.
+	this.followDevicePixelRatio = false;	//true to keep pixelRatio equal to the browser's devicePixelRatio whenever the canvas is resized
+	this.resizeObserver = null;	//the ResizeObserver started by observeResize(), if any
+	this.glowTime = 0;	//the time, in seconds, that glow parameters given as functions of time are evaluated at (see getGlowValue()).  A
+						//GlowAnimation sets it before drawing each frame.
+	
+	//dirty region tracking (see computeGlow())
+	this.trackDirtyRegions = true;	//only compute glow around the glowing shapes drawn this frame rather than over the whole canvas
+	this.skipUnchangedFrames = false;	//reuse the last computed glow when a frame's draw calls are exactly the same as the last frame's
+	this.glowDirtyRegions = [];	//{left, top, right, bottom} boxes around this frame's glowing shapes, grown by the reach of their glow
+	this.glowOutputRegions = [];	//{left, top, width, height, buffer, group, shapeIds, sources} glow computed by computeGlow(), written to the
+									//screen by compositeAndDraw() (shapeIds and sources are kept for glowAt())
+	this.glowDrawLog = [];	//every draw call made through this renderer since the last clearContexts(), with the state that affects it
+	this.previousGlowDrawLog = null;	//the draw log from the last time glow was computed
+	this.previousGlowCanvasWidth = 0;	//the canvas size the last time glow was computed
+	this.previousGlowCanvasHeight = 0;
+	this.previousGlowQuality = 1;	//the glowQuality the last time glow was computed
+	
+	//reduced resolution glow (see computeGlowFromBuffers())
+	this.glowQuality = 1;	//the fraction of the canvas resolution glow is computed at: 1 (full), 0.5 or 0.25.  The glow is scaled back up before
+							//it's drawn, while the shapes themselves are always drawn at full resolution.
+	this.glowTimeBudget = 0;	//when above 0, the milliseconds computeGlow() and compositeAndDraw() should take per frame.  glowQuality is then lowered
+								//when a frame goes over it and raised again when there's room (see adaptGlowQuality()).
+	this.minimumGlowQuality = 0.25;	//the lowest glowQuality adaptGlowQuality() goes down to
+	
+	//glow worker (see setGlowWorker())
+	this.glowWorker = null;	//the worker glow is computed in, or null to compute it synchronously
+	this.glowWorkerFrame = 0;	//number of the last request sent to the worker, so that late answers to older requests can be ignored
+	this.glowWorkerRegions = [];	//the regions sent with that request
+	this.glowWorkerPending = false;	//true while the worker is computing the glow of the current frame
+	this.glowWorkerWaiting = [];	//compositeAndDraw() calls waiting for the worker to answer
+	
+	//scratch variables used while computing glow (faster to keep them here than to redeclare them for every pixel)
+	this.glowRed = 0;	//256-based red component of the glow color
+	this.glowGreen = 0;	//256-based green component of the glow color
+	this.glowBlue = 0;	//256-based blue component of the glow color
+	this.glowIncrement = 0;
+	this.glowReach = 0;	//distance in pixels at which the glow has faded out
+	this.glowDistance = 0;	//distance in pixels away from the original shape for which pixels will be drawn
+	this.glowStartingAlpha = 0;	//the alpha of the closest glow pixel to the original shape.  Lower values provide a more subtle glow.
+	this.glowStartingAlphaAdjustment = 0;	//this is the amount by which the starting alpha should be adjusted to account for the transparency of the base
+											//object to which the glow is being applied.  For instance, if the starting glow alpha is set to 128, but the
+											//object was drawn 50% transparent, then the actual starting glow for this object should be 64 (128 * 0.5).
+	
+	//per-pixel data for the glow distance transform.  These are typed arrays with one entry per pixel, allocated by computeGlow() and only
+	//reallocated when the canvas size changes.
+	this.glowSeedIndex = null;	//linear index of the shape pixel ("seed") whose glow is brightest at this pixel, or -1 if no glow reaches it
+	this.glowSeedAlpha = null;	//alpha of the glow from that seed at this pixel
+	this.glowPixelStartingAlpha = null;	//for shape pixels, the starting alpha of their glow (already adjusted for the shape's transparency)
+	this.glowPixelIncrement = null;	//for shape pixels, the amount by which their glow's alpha is reduced per pixel of distance
+	this.glowPixelReach = null;	//for shape pixels, the farthest distance (in pixels) their glow can reach
+	this.glowPixelFalloff = null;	//for shape pixels, the falloff code of their glow (0 is linear)
+	this.glowPixelShape = null;	//for shape pixels, their entry in the shape table
+	this.glowPixelSpread = null;	//for shape pixels, the distance their glow keeps its starting alpha
+	this.glowPixelColorIndex = null;	//for shape pixels, the linear index of the glow color buffer pixel their glow takes its color from.  This is the
+										//pixel itself except for "offset" glow, whose seeds are moved away from the shape.
+	this.glowPixelShapeId = null;	//for every pixel, the id of the shape drawn there, or -1 if no shape covers it
+	this.glowPixelGlassId = null;	//for every pixel, the id of the semi-transparent occluder drawn over it last, or -1 if there isn't one
+	this.glowPixelIsShape = null;	//1 for pixels that glow can't be written to or travel through (glowing shapes, and for "inner" glow everything
+									//outside the shape), 0 for pixels that can receive glow
+	
+	//look up the canvas if an id was passed
+	if(typeof frameBufferCanvas == "string")
+	{
+		frameBufferCanvas = document.getElementById(frameBufferCanvas);
+	}
+	
+	//create the hidden canvases to match the visible one
+	if(frameBufferCanvas != null && frameBufferCanvas.getContext != null)
+	{
+		this.setFrameBufferContext(frameBufferCanvas.getContext("2d"));
+		this.setGlowColorContext(createHiddenCanvasContext(frameBufferCanvas.width, frameBufferCanvas.height), frameBufferCanvas.width, frameBufferCanvas.height);
+		this.setGlowOutputContext(createHiddenCanvasContext(frameBufferCanvas.width, frameBufferCanvas.height), frameBufferCanvas.width, frameBufferCanvas.height);
+		this.setGlowOcclusionContext(createHiddenCanvasContext(frameBufferCanvas.width, frameBufferCanvas.height), frameBufferCanvas.width, frameBufferCanvas.height);
+	}
+}
+
 //********************
 //Contexts
 //
 //The following functions set the four contexts that will be used to draw each frame: frame buffer (visible), glow color, glow output, and glow parameter / 
-//occlusion.  The contexts that are passed to these functions can be created using the getCanvasContext() call listed above.
+//occlusion.  A GlowRenderer created with a visible canvas calls them itself.  If you'd rather manage the canvases yourself, the contexts that are
+//passed to these functions can be created using the getCanvasContext() call listed above.  saveContexts(), restoreContexts() and clipContexts()
+//save, restore and clip all of the contexts that shapes are drawn to at once.
+//
+//The sizes passed to the setters are optional; each canvas's own size is used by default.  If the frame buffer's canvas is resized later, the
+//glow canvases are resized to match at the next clearContexts().  For HiDPI screens, setPixelRatio() draws everything at devicePixelRatio scale,
+//and observeResize() keeps the canvas matched to its size on the page.
 //********************
 
 
@@ -223,13 +424,13 @@ function getCanvasHeight(canvasIdIn)
 //
 //Parameters:
 //contextIn - the 2d drawing context of a canvas element on the calling page
-function setFrameBufferContext(contextIn)
+GlowRenderer.prototype.setFrameBufferContext = function(contextIn)
 {
 	if(contextIn != null)
 	{
-		frameBufferContext = contextIn;
+		this.frameBufferContext = contextIn;
 	}
-}
+};
 
 //setGlowColorContext
 //
@@ -238,28 +439,37 @@ function setFrameBufferContext(contextIn)
 //
 //Parameters:
 //contextIn -		the 2d drawing context of a canvas on the calling page.
-//contextWidth - 	the width of the canvas element that is the source of the passed context
-//contextHeight - 	the height of the canvas element that is the source of the passed context
-function setGlowColorContext(contextIn, contextWidth, contextHeight)
+//contextWidth - 	(optional) the width of the canvas element that is the source of the passed context.  Defaults to the canvas's own width.
+//contextHeight - 	(optional) the height of the canvas element that is the source of the passed context.  Defaults to the canvas's own height.
+GlowRenderer.prototype.setGlowColorContext = function(contextIn, contextWidth, contextHeight)
 {
 	if(contextIn != null)
 	{
 		//note the context
-		glowColorContext = contextIn;
+		this.glowColorContext = contextIn;
+		
+		//read the size from the canvas itself if it wasn't passed
+		if((contextWidth == null || contextHeight == null) && contextIn.canvas != null)
+		{
+			contextWidth = contextIn.canvas.width;
+			contextHeight = contextIn.canvas.height;
+		}
 		
 		//create a buffer for the pixel data related to this context
 		//glowColorBuffer = glowColorContext.createImageData(contextWidth, contextHeight);
-		if(glowColorContext.createImageData != null)
+		if(this.glowColorContext.createImageData != null)
 		{
-			glowColorBuffer = glowColorContext.createImageData(contextWidth, contextHeight);
+			this.glowColorBuffer = this.glowColorContext.createImageData(contextWidth, contextHeight);
+			this.canvasWidth = contextWidth;
+			this.canvasHeight = contextHeight;
 		}
 		else
 		{
 			//if the passed object can't create image data then it is not a 2D context.
-			glowColorContext = null;	
+			this.glowColorContext = null;	
 		}
 	}
-}
+};
 
 //setGlowOutputContext
 //
@@ -268,27 +478,36 @@ function setGlowColorContext(contextIn, contextWidth, contextHeight)
 //
 //Parameters:
 //contextIn -		the 2d drawing context of a canvas on the calling page.
-//contextWidth - 	the width of the canvas element that is the source of the passed context
-//contextHeight - 	the height of the canvas element that is the source of the passed context
-function setGlowOutputContext(contextIn, contextWidth, contextHeight)
+//contextWidth - 	(optional) the width of the canvas element that is the source of the passed context.  Defaults to the canvas's own width.
+//contextHeight - 	(optional) the height of the canvas element that is the source of the passed context.  Defaults to the canvas's own height.
+GlowRenderer.prototype.setGlowOutputContext = function(contextIn, contextWidth, contextHeight)
 {
 	if(contextIn != null)
 	{
-		glowOutputContext = contextIn;
+		this.glowOutputContext = contextIn;
+		
+		//read the size from the canvas itself if it wasn't passed
+		if((contextWidth == null || contextHeight == null) && contextIn.canvas != null)
+		{
+			contextWidth = contextIn.canvas.width;
+			contextHeight = contextIn.canvas.height;
+		}
 		
 		//create a buffer for the pixel data from this context
 		//glowOutputBuffer = glowOutputContext.createImageData(contextWidth, contextHeight);
-		if(glowOutputContext.createImageData != null)
+		if(this.glowOutputContext.createImageData != null)
 		{
-			glowOutputBuffer = glowOutputContext.createImageData(contextWidth, contextHeight);
+			this.glowOutputBuffer = this.glowOutputContext.createImageData(contextWidth, contextHeight);
+			this.canvasWidth = contextWidth;
+			this.canvasHeight = contextHeight;
 		}
 		else
 		{
 			//if the passed object can't create image data then it is not a 2D context.
-			glowOutputContext = null;	
+			this.glowOutputContext = null;	
 		}
 	}
-}
+};
 
 //setGlowOcclusionContext
 //
@@ -298,447 +517,7311 @@ function setGlowOutputContext(contextIn, contextWidth, contextHeight)
 //
 //Parameters:
 //contextIn -		the 2d drawing context of a canvas on the calling page.
-//contextWidth - 	the width of the canvas element that is the source of the passed context
-//contextHeight - 	the height of the canvas element that is the source of the passed context
-function setGlowOcclusionContext(contextIn, contextWidth, contextHeight)
+//contextWidth - 	(optional) the width of the canvas element that is the source of the passed context.  Defaults to the canvas's own width.
+//contextHeight - 	(optional) the height of the canvas element that is the source of the passed context.  Defaults to the canvas's own height.
+GlowRenderer.prototype.setGlowOcclusionContext = function(contextIn, contextWidth, contextHeight)
 {
 	if(contextIn != null)
 	{
-		glowOcclusionContext = contextIn;	
+		this.glowOcclusionContext = contextIn;	
+		
+		//read the size from the canvas itself if it wasn't passed
+		if((contextWidth == null || contextHeight == null) && contextIn.canvas != null)
+		{
+			contextWidth = contextIn.canvas.width;
+			contextHeight = contextIn.canvas.height;
+		}
 		
 		//create a buffer for the pixel data from this context
-		if(glowOcclusionContext.createImageData != null)
+		if(this.glowOcclusionContext.createImageData != null)
 		{
-			glowOcclusionBuffer = glowOcclusionContext.createImageData(contextWidth, contextHeight);
+			this.glowOcclusionBuffer = this.glowOcclusionContext.createImageData(contextWidth, contextHeight);
+			this.canvasWidth = contextWidth;
+			this.canvasHeight = contextHeight;
 		}
 		else
 		{
 			//if the passed object can't create image data then it is not a 2D context.
-			glowOcclusionContext = null;	
+			this.glowOcclusionContext = null;	
 		}
 	}
-}
+};
 
-
-//***************
-//Glow/occluding shapes
-//
-//The following functions draw various HTML5 Canvas shapes to the glow and occlusion buffers.  Those calls that have "WithGlow" in them will have
-//their shapes drawn to the glow color buffer and glow pixels will be computed for them.  Those calls that have "WithOcclusion" will have their shapes
-//drawn to the occlusion buffer.  While these shapes will not glow, the glow pixles of glowing shapes behind them will be drawn over these occluding shapes.
-//
-//Performance considerations:
-//I've written these draw functions to gracefully handle things like null contexts and lack of browser support for HTML5 canvas.  I haven't done any
-//benchmarking to see what (if any) speedup could be achieved by removing them, but if you're running up against performance limits you might consider
-//removing the checks.  You will likely be calling these functions every frame, and some of these checks only safeguard against really unlikely edge cases, 
-//so small changes might make a difference if your scene has a large number of shapes or your glow distance is large (more on that below in the glow 
-//computation routines).  I leave it to you to do what makes the most sense for your speed / resiliency trade-offs.
-//***************
-
-//fillRectWithGlow
+//resizeGlowBuffers
 //
-//perform the standard fillRect using the current state.  Then draw the required information to the glow contexts so
-//that glow can be computed during the screen drawing process.
+//Resize the hidden glow canvases (and the pixel buffers that go with them) to match the frame buffer.  clearContexts() calls this whenever the
+//frame buffer's canvas has changed size, so you only need to call it yourself if you resize the canvas in the middle of a frame.
 //
 //Parameters:
-//rectX - 					x-coordinate of the upper left-hand corner of the rectangle
-//rectY - 					y-coordinate of the upper left-hand corner of the rectangle
-//rectWidth - 				width of the rectangle
-//rectHeight - 				height of the rectangle
-//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
-//							the value, the softer the overall glow looks.
-//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
-//							of the glow will diminish linearly over this distance until it is no longer visible.
-function fillRectWithGlow(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels)
+//canvasWidth - 	(optional) the new width in canvas pixels.  Defaults to the width of the frame buffer's canvas.
+//canvasHeight - 	(optional) the new height in canvas pixels.  Defaults to the height of the frame buffer's canvas.
+GlowRenderer.prototype.resizeGlowBuffers = function(canvasWidth, canvasHeight)
 {
-	//draw to the screen context
-	if(frameBufferContext != null && frameBufferContext.fillRect != null)
+	var glowContexts = [this.glowColorContext, this.glowOutputContext, this.glowOcclusionContext];
+	var contextLoop;
+	
+	if(canvasWidth == null || canvasHeight == null)
 	{
-		frameBufferContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+		if(this.frameBufferContext == null || this.frameBufferContext.canvas == null)
+		{
+			return;
+		}
+		
+		canvasWidth = this.frameBufferContext.canvas.width;
+		canvasHeight = this.frameBufferContext.canvas.height;
 	}
 	
-	//use the same color to draw on the glow buffer (in the future different glow colors will necessitate some changes here)
-	if(glowColorContext != null && glowColorContext.fillStyle != null)
+	//setting a canvas's size clears it and resets its state, so only do it when the size really changed
+	for(contextLoop = 0; contextLoop < glowContexts.length; contextLoop++)
 	{
-		glowColorContext.fillStyle = frameBufferContext.fillStyle;
-		
-		//draw to the glow color context
-		glowColorContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+		if(glowContexts[contextLoop] != null && glowContexts[contextLoop].canvas != null &&
+			(glowContexts[contextLoop].canvas.width != canvasWidth || glowContexts[contextLoop].canvas.height != canvasHeight))
+		{
+			glowContexts[contextLoop].canvas.width = canvasWidth;
+			glowContexts[contextLoop].canvas.height = canvasHeight;
+		}
 	}
 	
-	//draw the glow information (alpha, distance) to the occlusion buffer.
-	if(glowOcclusionContext != null && glowOcclusionContext.fillStyle != null)
+	if(this.glowColorContext != null)
 	{
-		glowOcclusionContext.fillStyle = "rgba(" + glowStartingAlpha256 + ", " + Math.floor(frameBufferContext.globalAlpha * 255) + ", " + glowDistanceInPixels + ", 1.0)";
-		glowOcclusionContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+		this.glowColorBuffer = this.glowColorContext.createImageData(canvasWidth, canvasHeight);
 	}
-}
+	
+	if(this.glowOutputContext != null)
+	{
+		this.glowOutputBuffer = this.glowOutputContext.createImageData(canvasWidth, canvasHeight);
+	}
+	
+	if(this.glowOcclusionContext != null)
+	{
+		this.glowOcclusionBuffer = this.glowOcclusionContext.createImageData(canvasWidth, canvasHeight);
+	}
+	
+	this.canvasWidth = canvasWidth;
+	this.canvasHeight = canvasHeight;
+};
 
-//fillRectWithOcclusion
+//setPixelRatio
 //
-//perform the standard fillRect using the current state.  Then draw the shape to the occlusion buffer so it will 
-//block glow processing and have glow applied to its edges during the screen drawing process
+//Draw at more than one canvas pixel per CSS pixel, for sharp shapes and glow on HiDPI ("retina") screens.  The frame buffer's canvas is resized to
+//its displayed size times the ratio, every frame starts (in clearContexts()) with the frame buffer scaled by the ratio so that you keep drawing
+//in CSS pixels, and glow distances are multiplied by the ratio so that halos cover the same area on every screen.
 //
 //Parameters:
-//rectX - 					x-coordinate of the upper left-hand corner of the rectangle
-//rectY - 					y-coordinate of the upper left-hand corner of the rectangle
-//rectWidth - 				width of the rectangle
-//rectHeight - 				height of the rectangle
-function fillRectWithOcclusion(rectX, rectY, rectWidth, rectHeight)
+//pixelRatio - 	(optional) canvas pixels per CSS pixel.  If omitted, the browser's devicePixelRatio is used, and followed whenever the canvas is
+//				resized (for instance when the window moves to a screen with a different pixel density).
+GlowRenderer.prototype.setPixelRatio = function(pixelRatio)
 {
-	//draw to the screen context
-	if(frameBufferContext != null && frameBufferContext.fillRect != null)
+	if(pixelRatio == null)
 	{
-		frameBufferContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+		this.followDevicePixelRatio = true;
 	}
-	
-	//draw to the occlusion context.  The draw state will be changed to reflect that no glow will be computed for this object and that
-	//it will have glow applied to it
-	if(glowOcclusionContext != null && glowOcclusionContext.fillStyle != null)
+	else
 	{
-		glowOcclusionContext.fillStyle = "rgba(0, 0, 0, 1.0)";
-		glowOcclusionContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+		this.followDevicePixelRatio = false;
+		this.pixelRatio = pixelRatio;
 	}
-}
+	
+	this.resizeToDisplaySize();
+};
 
-//fillTextWithGlow
-//
-//draw text to the screen using the current state.  draw the same text in the same color to the glow buffer so it will have glow added to it.
+//resizeToDisplaySize
 //
-//Parameters:
-//textToDraw - 				the actual string that will be drawn
-//textX - 					x-coordinate of the upper left-hand corner of the string
-//textY - 					y-coordinate of the upper left-hand corner of the string
-//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
-//							the value, the softer the overall glow looks.
-//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
-//							of the glow will diminish linearly over this distance until it is no longer visible.
-function fillTextWithGlow(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels)
+//Set the size of the frame buffer's canvas (and the glow buffers) to the size it's displayed at on the page, times the pixel ratio.  Does
+//nothing for canvases that aren't on a page (or aren't displayed).
+GlowRenderer.prototype.resizeToDisplaySize = function()
 {
-	//draw to the screen context
-	if(frameBufferContext != null && frameBufferContext.fillText != null)
+	var frameBufferCanvas;
+	var canvasWidth;
+	var canvasHeight;
+	
+	if(this.frameBufferContext == null || this.frameBufferContext.canvas == null)
 	{
-		frameBufferContext.fillText(textToDraw, textX, textY);
+		return;
 	}
+	frameBufferCanvas = this.frameBufferContext.canvas;
 	
-	//use the same color and font to draw on the glow buffer (in the future different glow colors will necessitate some changes here)
-	if(glowColorContext != null && glowColorContext.fillText != null)
+	if(this.followDevicePixelRatio == true)
 	{
-		glowColorContext.font = frameBufferContext.font;
-		glowColorContext.fillStyle = frameBufferContext.fillStyle;
-		
-		//draw to the glow color context
-		glowColorContext.fillText(textToDraw, textX, textY);
+		this.pixelRatio = (typeof window != "undefined" && window.devicePixelRatio != null) ? window.devicePixelRatio : 1;
 	}
 	
-	//draw the glow information (alpha, distance) to the occlusion buffer.
-	if(glowOcclusionContext != null && glowOcclusionContext.fillText != null)
+	if(frameBufferCanvas.clientWidth == null || frameBufferCanvas.clientWidth == 0 || frameBufferCanvas.clientHeight == 0)
 	{
-		glowOcclusionContext.font = frameBufferContext.font;
-		glowOcclusionContext.fillStyle = "rgba(" + glowStartingAlpha256 + ", " + Math.floor(frameBufferContext.globalAlpha * 255) + ", " + glowDistanceInPixels + ", 1.0)";
-		glowOcclusionContext.fillText(textToDraw, textX, textY);
+		return;
 	}
-}
+	
+	canvasWidth = Math.round(frameBufferCanvas.clientWidth * this.pixelRatio);
+	canvasHeight = Math.round(frameBufferCanvas.clientHeight * this.pixelRatio);
+	
+	if(frameBufferCanvas.width != canvasWidth || frameBufferCanvas.height != canvasHeight)
+	{
+		frameBufferCanvas.width = canvasWidth;
+		frameBufferCanvas.height = canvasHeight;
+	}
+	
+	this.resizeGlowBuffers(canvasWidth, canvasHeight);
+};
 
-//fillTextWithOcclusion
+//observeResize
 //
-//draw text so that it will obscure glowing objects, and so it will have glow applied to its edges
+//Keep the canvas sized to its displayed size (see resizeToDisplaySize()) by watching it with a ResizeObserver.  Since resizing a canvas clears
+//it, pass a callback that redraws the frame if your page doesn't redraw continuously anyway.
 //
 //Parameters:
-//textToDraw - 	the actual string that will be drawn
-//textX - 		x-coordinate of the upper left-hand corner of the string
-//textY - 		y-coordinate of the upper left-hand corner of the string
-function fillTextWithOcclusion(textToDraw, textX, textY)
+//onResize - 	(optional) a function called (with the renderer) after each resize
+//
+//Returns true if the canvas is being watched, or false if the browser doesn't support ResizeObserver
+GlowRenderer.prototype.observeResize = function(onResize)
 {
-	//draw to the screen context
-	if(frameBufferContext != null && frameBufferContext.fillText != null)
+	var renderer = this;
+	
+	if(typeof ResizeObserver == "undefined" || this.frameBufferContext == null || this.frameBufferContext.canvas == null)
 	{
-		frameBufferContext.fillText(textToDraw, textX, textY);
+		return false;
 	}
 	
-	//draw the glow information (alpha, distance) to the occlusion buffer.
-	if(glowOcclusionContext != null && glowOcclusionContext.fillText != null)
+	this.stopObservingResize();
+	this.resizeObserver = new ResizeObserver(function()
+	{
+		renderer.resizeToDisplaySize();
+		
+		if(onResize != null)
+		{
+			onResize(renderer);
+		}
+	});
+	this.resizeObserver.observe(this.frameBufferContext.canvas);
+	
+	return true;
+};
+
+//stopObservingResize
+//
+//Stop the ResizeObserver started by observeResize().
+GlowRenderer.prototype.stopObservingResize = function()
+{
+	if(this.resizeObserver != null)
 	{
-		glowOcclusionContext.font = frameBufferContext.font;
-		glowOcclusionContext.fillStyle = "rgba(0, 0, 0, 1.0)";
-		glowOcclusionContext.fillText(textToDraw, textX, textY);
+		this.resizeObserver.disconnect();
+		this.resizeObserver = null;
 	}
-}
+};
 
+//getDrawContexts
+//
+//Returns the contexts that shapes are drawn to: the frame buffer and the glow color and occlusion contexts (the ones that have been set).
+//The glow output context isn't included since glow is written to it pixel by pixel.  You generally won't call this function directly.
+GlowRenderer.prototype.getDrawContexts = function()
+{
+	var drawContexts = [];
+	var groupLoop;
+	var groupContexts;
+	var contextLoop;
+	
+	if(this.frameBufferContext != null)
+	{
+		drawContexts.push(this.frameBufferContext);
+	}
+	
+	if(this.glowColorContext != null)
+	{
+		drawContexts.push(this.glowColorContext);
+	}
+	
+	if(this.glowOcclusionContext != null)
+	{
+		drawContexts.push(this.glowOcclusionContext);
+	}
+	
+	if(this.glowTransmissionContext != null)
+	{
+		drawContexts.push(this.glowTransmissionContext);
+	}
+	
+	//the contexts of the other glow groups, which are put away until they're selected
+	for(groupLoop = 0; groupLoop < this.glowGroups.length; groupLoop++)
+	{
+		if(this.glowGroups[groupLoop] != this.glowGroup)
+		{
+			groupContexts = [this.glowGroups[groupLoop].colorContext, this.glowGroups[groupLoop].occlusionContext, this.glowGroups[groupLoop].transmissionContext];
+			for(contextLoop = 0; contextLoop < groupContexts.length; contextLoop++)
+			{
+				if(groupContexts[contextLoop] != null)
+				{
+					drawContexts.push(groupContexts[contextLoop]);
+				}
+			}
+		}
+	}
+	
+	return drawContexts;
+};
 
-//*********************
-//Glow processing
+//saveContexts
 //
-//The following calls are used perform each phase of the glow pixel processing and composite operations.  Users of this library will generally call 
-//these in the following order:
-//clearContexts()
-//computeGlow()
-//compositeAndDraw()
+//Call save() on the frame buffer and the glow contexts together, so that a clip set with clipContexts() can be undone on all of them with
+//restoreContexts().  Everything else about the frame buffer's state (transform, styles, text layout) is copied to the glow contexts before each
+//draw anyway.  Every saveContexts() should be matched by a restoreContexts() before the next clearContexts().
+GlowRenderer.prototype.saveContexts = function()
+{
+	var drawContexts = this.getDrawContexts();
+	var contextLoop;
+	
+	this.recordGlowDraw("saveContexts", arguments, null, null, null, null, 0);
+	
+	for(contextLoop = 0; contextLoop < drawContexts.length; contextLoop++)
+	{
+		drawContexts[contextLoop].save();
+	}
+};
+
+//restoreContexts
 //
-//There normally shouldn't be any need for a developer to explicitly call computeGlowForPixel().  That is a utility function that is called 
-//recursively by computeGlow().
-//*********************
+//Call restore() on the frame buffer and the glow contexts together, undoing the state (including any clip) since the matching saveContexts().
+GlowRenderer.prototype.restoreContexts = function()
+{
+	var drawContexts = this.getDrawContexts();
+	var contextLoop;
+	
+	this.recordGlowDraw("restoreContexts", arguments, null, null, null, null, 0);
+	
+	for(contextLoop = 0; contextLoop < drawContexts.length; contextLoop++)
+	{
+		drawContexts[contextLoop].restore();
+	}
+};
 
-//clearContexts
+//clipContexts
 //
-//clear all four of the contexts (frame buffer, glow color, etc.).  Typically called once per frame to reset the drawing area.
+//Clip the frame buffer and the glow contexts to the same path, using the frame buffer's current transform, so that glowing shapes drawn
+//afterwards are cut off in the same place on every buffer.  A canvas can't report its clip region, so clipping the frame buffer directly won't
+//clip the glow buffers; use this (inside saveContexts() / restoreContexts()) instead.
 //
 //Parameters:
-//canvasWidth -		the width of all four canvases (they should all be the same size)
-//canvasHeight - 	the height of all four canvases (they should all be the same size)
-function clearContexts(canvasWidth, canvasHeight)
+//path - 		the Path2D to clip to
+//fillRule - 	(optional) "nonzero" (the default) or "evenodd"
+GlowRenderer.prototype.clipContexts = function(path, fillRule)
 {
-	if(frameBufferContext != null && frameBufferContext.clearRect != null)
+	var drawContexts = this.getDrawContexts();
+	var contextLoop;
+	
+	if(fillRule == null)
 	{
-		frameBufferContext.clearRect(0, 0, canvasWidth, canvasHeight);
+		fillRule = "nonzero";
 	}
 	
-	if(glowColorContext != null && glowColorContext.clearRect != null)
+	this.recordGlowDraw("clipContexts", arguments, null, null, null, null, 0);
+	
+	for(contextLoop = 0; contextLoop < drawContexts.length; contextLoop++)
 	{
-		glowColorContext.clearRect(0, 0, canvasWidth, canvasHeight);
+		if(drawContexts[contextLoop] != this.frameBufferContext)
+		{
+			this.copyDrawState(drawContexts[contextLoop]);
+		}
+		drawContexts[contextLoop].clip(path, fillRule);
 	}
+};
+
+
+//***************
+//Glow groups
+//
+//Every glowing shape and occluder normally shares one set of glow buffers, so every occluder hides (and has glow painted over it by) every glowing
+//shape behind it.  A glow group has buffers of its own: pass a group name as the last argument of a "WithGlow" call to put the shape in that group,
+//and a name or an array of names as the last argument of a "WithOcclusion" call to choose the groups the shape occludes.  An occluder only hides
+//the glowing shapes of the groups it lists and only receives their glow; to every other group it isn't there at all.  Shapes and occluders that
+//don't name a group belong to the default group, "".  For example, HUD text drawn with fillTextWithGlow(..., "hud") isn't hidden by world geometry
+//drawn with fillRectWithOcclusion(), and still glows over it.
+//
+//Each group's glow is computed and composited as a layer of its own, in the order given by glowGroupOrder (groups it doesn't list follow in the
+//order they were first used).  Each group that's drawn to in a frame costs another pass over the frame's regions.
+//***************
+
+//getGlowGroup
+//
+//Returns the glow group with the passed name, creating it (and its hidden color and occlusion contexts) the first time the name is used.  You
+//generally won't call this function directly.
+//
+//Parameters:
+//groupName - 	the name of the group ("" for the default group)
+GlowRenderer.prototype.getGlowGroup = function(groupName)
+{
+	var groupLoop;
+	var group;
 	
-	if(glowOutputContext != null && glowOutputContext.clearRect != null)
+	for(groupLoop = 0; groupLoop < this.glowGroups.length; groupLoop++)
 	{
-		glowOutputContext.clearRect(0, 0, canvasWidth, canvasHeight);	
+		if(this.glowGroups[groupLoop].name == groupName)
+		{
+			return this.glowGroups[groupLoop];
+		}
 	}
 	
-	if(glowOcclusionContext != null && glowOcclusionContext.clearRect != null)
+	//the default group uses the renderer's own contexts, which are already in place when it's created
+	group = {name: groupName, code: this.glowGroups.length, colorContext: null, occlusionContext: null, transmissionContext: null, transmissionUsed: false,
+		drawn: false};
+	if(groupName != "")
 	{
-		glowOcclusionContext.clearRect(0, 0, canvasWidth, canvasHeight);	
+		group.colorContext = createHiddenCanvasContext(this.canvasWidth, this.canvasHeight);
+		group.occlusionContext = createHiddenCanvasContext(this.canvasWidth, this.canvasHeight);
 	}
-}
-
+	
+	this.glowGroups.push(group);
+	return group;
+};
 
-//computeGlowForPixel
+//selectGlowGroup
 //
-//Given the passed pixel's position and the relative positions within the canvas of shapes that are glowing, determine how much (if any) glow should be
-//applied to this pixel and what color it should be.  You generally won't call this function directly.  It is a utility function that is called 
-//repeatedly by the computeGlow() function.  Most of its parameters are retrieved and updated in that function's body.
+//Make the contexts of a glow group the renderer's glow color, occlusion and transmission contexts, so that the shapes drawn next go to that
+//group's buffers.  The "WithGlow" and "WithOcclusion" calls select the groups they're passed and then select the previous group again, so you
+//only need to call this yourself when you draw your own shapes to the glow buffers.
 //
 //Parameters:
-//colorBuffer - 		a 2d buffer created by calling createImageData() from the context that represents your glow color buffer.  If you called
-//						the setGlowColorContext() function in this library then the variable glowColorBuffer was populated with the buffer you
-//						need and can be used as this parameter.
-//occlusionBuffer - 	a 2d buffer created by calling createImageData() from the context that represents your occlusion buffer.  If you called
-//						the setOcclusionContext() function in this library then the variable glowOcclusionBuffer was populated with the buffer you
-//						need and can be used as this parameter.
-//writeBuffer - 		a 2d buffer created by calling createImageData() from the context that represents your glow color buffer.  If you called
-//						the setGlowOuputContext() function in this library then the variable glowOutputBuffer was populated with the buffer you
-//						need and can be used as this parameter.
-//canvasWidth - 		width of your canvas element (should be equal among all four canvases)
-//canvasHeight - 		height of your canvas element (should be equal among all four canvases)
-//pixelX - 				x-coordinate of the pixel being computed (in canvas coordinates, not window or screen coordinates)
-//pixelY - 				y-coordinate of the pixel being computed (in canvas coordinates, not window or screen coordinates)
-//glowRed256 - 			red component of the glow color (0-255)
-//glowGreen256 - 		green component of the glow color (0-255)
-//glowBlue256 - 		blue component of the glow color (0-255)
-//alphaForPixel256 - 	alpha component for the glow pixel (0-255)
-//glowDistance - 		total glow distance for this shape.  Always represents the initial value (doesn't decrease for farther pixels)
-//glowIncrement - 		amount by which glow pixels' alpha should decrease each time they get one pixel further from the base 
-//						shape (starting glow alpha / glow distance)
-//isRootCall - 			true if this is the root call of this function for the related pixel, typically from within the for-loop in the computeGlow() function.  
-//						false if this call is the result of a recursive call from another pixel, typically when checking the neighboring pixels of the 
-//						pixel that was the subject of the root call.
-function computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX, pixelY, glowRed256, glowGreen256, glowBlue256, alphaForPixel256, glowDistance, glowIncrement, isRootCall)
+//groupName - 	the name of the group, or null for the default group
+//
+//Returns the name of the group that was selected before
+GlowRenderer.prototype.selectGlowGroup = function(groupName)
 {
-	//*****************
-	//optimization - pass canvas width and height in.  Not as safe, but saves the overhead of six function calls to get values that probably won't change
-	//******************
-	
-	//variables
-	var errorOccurred = false;
-	var thisPixelNeedsGlow = false;	//tests the occlusion buffer to see if this pixel is over the opaque part of the shape to which glow
-									//is being applied.  If it is, no glow should be applied to it, and its neighboring pixels should not
-									//have glow applied to them on this pass through the algorithm either (this is not to say they won't have
-									//glow applied when other pixels are processed)
-	var bufferOffsetForPixel;	//the linear memory offset of the pixel data.  A frequently used offset that requires several multiplies to compute, so it's
-								//faster to compute it once and store it.
-	var adjustedAlpha;	//if a shape is drawn with an alpha less that 1.0 (or less than 255 in the 8-bit world), the starting alpha of the glow
-						//should be reduced accordingly to make the glow proportional.
+	var previousGroup = this.glowGroup;
+	var group;
+	var groupContexts;
+	var contextLoop;
 	
-	//boundary checks for the pixel
-	if(pixelX < 0 || (pixelX >= canvasWidth))
+	if(groupName == null)
 	{
-		errorOccurred = true;
+		groupName = "";
 	}
 	
-	if(pixelY < 0 || (pixelY >= canvasHeight))
+	if(groupName == previousGroup.name)
 	{
-		errorOccurred = true;
+		previousGroup.drawn = true;
+		return previousGroup.name;
 	}
 	
-	if(errorOccurred == false)
+	//put the current group's contexts away
+	previousGroup.colorContext = this.glowColorContext;
+	previousGroup.occlusionContext = this.glowOcclusionContext;
+	previousGroup.transmissionContext = this.glowTransmissionContext;
+	previousGroup.transmissionUsed = this.glowTransmissionUsed;
+	
+	group = this.getGlowGroup(groupName);
+	
+	//a group that wasn't drawn to while the canvas was resized still has the old size
+	groupContexts = [group.colorContext, group.occlusionContext];
+	for(contextLoop = 0; contextLoop < groupContexts.length; contextLoop++)
 	{
-		
-		//compute the buffer offset for this pixel
-		bufferOffsetForPixel = (((pixelY * canvasWidth) + pixelX) * 4);
-		
-		//if this pixel is part of the shape, it does not need to have glow applied to it.
-		if(occlusionBuffer.data[bufferOffsetForPixel + 1] != 0)	
+		if(groupName != "" && groupContexts[contextLoop] != null && groupContexts[contextLoop].canvas != null &&
+			(groupContexts[contextLoop].canvas.width != this.canvasWidth || groupContexts[contextLoop].canvas.height != this.canvasHeight))
 		{
-			thisPixelNeedsGlow = false;
+			groupContexts[contextLoop].canvas.width = this.canvasWidth;
+			groupContexts[contextLoop].canvas.height = this.canvasHeight;
 		}
-		else
+	}
+	
+	this.glowColorContext = group.colorContext;
+	this.glowOcclusionContext = group.occlusionContext;
+	this.glowTransmissionContext = group.transmissionContext;
+	this.glowTransmissionUsed = group.transmissionUsed;
+	this.glowGroup = group;
+	group.drawn = true;
+	
+	return previousGroup.name;
+};
+
+//getGlowGroupsToCompute
+//
+//Returns the glow groups drawn to since the last clearContexts() (the default group always counts), in the order their glow is composited: the
+//groups named in glowGroupOrder first, in that order, then the rest in the order they were first used.  You generally won't call this function
+//directly.  It is a utility function that is called by computeGlow().
+GlowRenderer.prototype.getGlowGroupsToCompute = function()
+{
+	var groups = [];
+	var groupLoop;
+	var group;
+	
+	for(groupLoop = 0; groupLoop < this.glowGroupOrder.length; groupLoop++)
+	{
+		group = this.getGlowGroup(this.glowGroupOrder[groupLoop]);
+		if((group.drawn == true || group.name == "") && groups.indexOf(group) < 0)
 		{
-			thisPixelNeedsGlow = true;
+			groups.push(group);
 		}
-		
-		//compute the alpha of the glow pixel that will be written to this location.  This is the original passed alpha value reduced accordingly
-		//by any transparency applied to the shape itself.
-		adjustedAlpha = alphaForPixel256;	
-		
-		//if any existing glow value already on this pixel is less than the glow about to be applied, apply the glow.
-		if(writeBuffer.data[bufferOffsetForPixel + 3] < adjustedAlpha)
+	}
+	
+	for(groupLoop = 0; groupLoop < this.glowGroups.length; groupLoop++)
+	{
+		group = this.glowGroups[groupLoop];
+		if((group.drawn == true || group.name == "") && groups.indexOf(group) < 0)
 		{
-		
-			if(thisPixelNeedsGlow == true)
-			{
-				//apply the specified alpha to the specified pixel
+			groups.push(group);
+		}
+	}
+	
+	return groups;
+};
 
-				//color values
-				//red
-				writeBuffer.data[bufferOffsetForPixel] = glowRed256;
-				
-				//green
-				writeBuffer.data[bufferOffsetForPixel + 1] = glowGreen256;
-				
-				//blue
-				writeBuffer.data[bufferOffsetForPixel + 2] = glowBlue256;
-				
-				//alpha
-				
-				//there are some odd cases where the pixel to which glow is being applied is not opaque (pixels that are part of anti-aliasing, for
-				//example).  If the alpha of the pixel is less that the alpha of the glow being applied, lower the alpha of the glow to account for that
-				//since it looks strange if the glow pixel is brighter than the actual pixel.  Do this on the root call only, since otherwise this test
-				//would be done on pixels to which glow was being applied, and the value in the occlusion buffer is 0, which would cause no glow to
-				//be drawn.
-				
-				if((alphaForPixel256 > occlusionBuffer.data[bufferOffsetForPixel + 1]) && isRootCall == true)
-				{
-					alphaForPixel256 = occlusionBuffer.data[bufferOffsetForPixel + 1];
-				}
-				
-				writeBuffer.data[bufferOffsetForPixel + 3] = adjustedAlpha;
-				
-				
-			}
-			else
-			{
-				//in cases where this pixel doesn't need glow, see if this is the root call or one of the recursive calls.  If it is the root call, make
-				//the recursive pixel calls below.  If it isn't, make the alpha zero so the recursive calls stop.
-				//Why is this here? - In cases where the root pixel is causing the glow the recursive calls need to be made for all the neighbors.
-				//if one of the neighbors is also part of the shape (and therefor doesn't need to have glow applied to it), this allows the routine
-				//to halt any recursive calls that might have been made unnecessarily on behalf of that neighboring pixel.
-				if(isRootCall == false)
-				{
-					alphaForPixel256 = 0;
-				}
-			}
-			
-			//compute the glow for the neighboring pixels
-			alphaForPixel256 = alphaForPixel256 - glowIncrement;
-			
-			if(alphaForPixel256 > 0)
-			{
-				//apply glow to the neighboring pixels
-				//north
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX, pixelY - 1, glowRed256, glowGreen256, glowBlue256, alphaForPixel256, glowDistance, glowIncrement, false);
-				
-				//north-east
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX + 1, pixelY - 1, glowRed256, glowGreen256, glowBlue256, alphaForPixel256, glowDistance, glowIncrement, false);
-				
-				//east
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX + 1, pixelY, glowRed256, glowGreen256, glowBlue256,alphaForPixel256, glowDistance, glowIncrement, false);
-				
-				//south-east
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX + 1, pixelY + 1, glowRed256, glowGreen256, glowBlue256, alphaForPixel256, glowDistance, glowIncrement, false);
-				
-				//south
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX, pixelY + 1, glowRed256, glowGreen256, glowBlue256, alphaForPixel256, glowDistance, glowIncrement, false);
-				
-				//south-west
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX - 1, pixelY + 1, glowRed256, glowGreen256, glowBlue256, alphaForPixel256, glowDistance, glowIncrement, false);
-				
-				//west
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX - 1, pixelY, glowRed256, glowGreen256, glowBlue256,  alphaForPixel256, glowDistance, glowIncrement, false);
-				
-				//north-west
-				computeGlowForPixel(colorBuffer, occlusionBuffer, writeBuffer, canvasWidth, canvasHeight, pixelX - 1, pixelY - 1, glowRed256, glowGreen256, glowBlue256, alphaForPixel256, glowDistance, glowIncrement, false);
-			}//end of if alphaForPixel256 > 0
-		}//end of if the alpha already in the write buffer is lower than the alpha that should be written
-	}//end of if no error occurred.
+//getGlowGroupNames
+//
+//Returns the occlusionGroups passed to a "WithOcclusion" call as an array of group names.  You generally won't call this function directly.
+//
+//Parameters:
+//occlusionGroups - 	a group name, an array of group names, or null for the default group
+function getGlowGroupNames(occlusionGroups)
+{
+	if(occlusionGroups == null)
+	{
+		return [""];
+	}
+	
+	if(typeof occlusionGroups == "string")
+	{
+		return [occlusionGroups];
+	}
+	
+	return occlusionGroups;
 }
 
-//computeGlow
+
+//***************
+//Glow/occluding shapes
 //
-//Apply scene-wide glow.  Get updated image buffer data from each of the three off-screen contexts.  Use that data to process each
-//pixel in the image, adding glow to the glow write buffer where appropriate.
-function computeGlow()
+//The following functions draw various HTML5 Canvas shapes (rectangles, text, circles, ellipses, rounded rectangles, polygons and any Path2D) to the
+//glow and occlusion buffers, either filled ("fill" calls) or outlined ("stroke" calls, which use the current line width, caps, joins and dashes).
+//Images (sprites, other canvases and so on) can glow and occlude too, using their alpha channel as their shape ("drawImage" calls).  Those calls
+//that have "WithGlow" in them will have their shapes drawn to the glow color buffer and glow pixels will be computed for them.  Those calls that
+//have "WithOcclusion" will have their shapes drawn to the occlusion buffer.  While these shapes will not glow, the glow pixles of glowing shapes
+//behind them will be drawn over these occluding shapes.
+//
+//Performance considerations:
+//I've written these draw functions to gracefully handle things like null contexts and lack of browser support for HTML5 canvas.  I haven't done any
+//benchmarking to see what (if any) speedup could be achieved by removing them, but if you're running up against performance limits you might consider
+//removing the checks.  You will likely be calling these functions every frame, and some of these checks only safeguard against really unlikely edge cases, 
+//so small changes might make a difference if your scene has a large number of shapes or your glow distance is large (more on that below in the glow 
+//computation routines).  I leave it to you to do what makes the most sense for your speed / resiliency trade-offs.
+//***************
+
+//getGlowFillStyle
+//
+//Returns the fill style that should be written to the glow color buffer for a glowing shape.  This is the passed glow color if there is one,
+//otherwise it is the frame buffer's current fillStyle so the glow matches the color of the shape.
+//
+//Parameters:
+//glowColor - 	the glow color passed to a "WithGlow" call (any valid fillStyle: CSS color string, gradient or pattern), or null / undefined
+GlowRenderer.prototype.getGlowFillStyle = function(glowColor)
+{
+	if(glowColor != null)
+	{
+		return glowColor;
+	}
+	else
+	{
+		return this.frameBufferContext.fillStyle;
+	}
+};
+
+//getGlowStrokeStyle
+//
+//Returns the stroke style that should be written to the glow color buffer for a glowing outline.  This is the passed glow color if there is
+//one, otherwise it is the frame buffer's current strokeStyle so the glow matches the color of the outline.
+//
+//Parameters:
+//glowColor - 	the glow color passed to a "WithGlow" call (any valid strokeStyle: CSS color string, gradient or pattern), or null / undefined
+GlowRenderer.prototype.getGlowStrokeStyle = function(glowColor)
+{
+	if(glowColor != null)
+	{
+		return glowColor;
+	}
+	else
+	{
+		return this.frameBufferContext.strokeStyle;
+	}
+};
+
+//copyDrawState
+//
+//Copy the frame buffer's current transform and text layout (font, alignment, baseline, direction and spacing) to the passed context so that
+//whatever is drawn to it lands on exactly the same pixels as on the frame buffer, even when the frame buffer is translated, rotated or scaled.
+//The frame buffer's alpha isn't copied: the glow contexts always draw fully opaque so that the colors and shape ids in them aren't
+//changed by blending, and the shape's alpha is stored in the shape table instead.  The clip region can't be read back from a canvas, so
+//use clipContexts() (with saveContexts() and restoreContexts()) to clip the frame buffer and the glow contexts together.
+//
+//Parameters:
+//contextOut - 	the glow context that is about to be drawn to
+GlowRenderer.prototype.copyDrawState = function(contextOut)
 {
-	//glow the buffer as needed
+	var frameTransform;
+	var propertyLoop;
 	
-	//update the occlusion buffer with data from the occlusion context (now includes things that were drawn to it)
-	glowOcclusionBuffer = glowOcclusionContext.getImageData(0, 0, canvasWidth, canvasHeight);
+	if(this.frameBufferContext == null)
+	{
+		return;
+	}
 	
-	//update the glow write buffer with its cleared context
-	glowOutputBuffer = glowOutputContext.getImageData(0, 0, canvasWidth, canvasHeight);
+	if(this.frameBufferContext.getTransform != null && contextOut.setTransform != null)
+	{
+		frameTransform = this.frameBufferContext.getTransform();
+		contextOut.setTransform(frameTransform.a, frameTransform.b, frameTransform.c, frameTransform.d, frameTransform.e, frameTransform.f);
+	}
 	
-	//update teh glow color buffer now that it has things drawn to it
-	glowColorBuffer = glowColorContext.getImageData(0, 0, canvasWidth, canvasHeight);
+	for(propertyLoop = 0; propertyLoop < glowTextLayoutProperties.length; propertyLoop++)
+	{
+		if(this.frameBufferContext[glowTextLayoutProperties[propertyLoop]] != null)
+		{
+			contextOut[glowTextLayoutProperties[propertyLoop]] = this.frameBufferContext[glowTextLayoutProperties[propertyLoop]];
+		}
+	}
 	
-	//for each pixel
-	for(xLoop = 0; xLoop < (canvasWidth * canvasHeight * 4); xLoop = xLoop + 4)
+	if(this.frameBufferContext.imageSmoothingEnabled != null)
+	{
+		contextOut.imageSmoothingEnabled = this.frameBufferContext.imageSmoothingEnabled;
+	}
+	
+	contextOut.globalAlpha = 1.0;
+	contextOut.globalCompositeOperation = "source-over";
+};
+
+//getGlowValue
+//
+//Returns the value of a glow parameter at the renderer's current glowTime.  The starting alpha and distance passed to the "WithGlow" calls can
+//be plain numbers or functions that take the time in seconds and return the number, such as the effects made by createGlowPulse(),
+//createGlowBreathe(), createGlowFlicker() and createGlowFade().
+//
+//Parameters:
+//glowValue - 	a number, or a function of time that returns one
+GlowRenderer.prototype.getGlowValue = function(glowValue)
+{
+	if(typeof glowValue == "function")
+	{
+		return glowValue(this.glowTime);
+	}
+	
+	return glowValue;
+};
+
+//getGlowShapeStyle
+//
+//Adds a glowing shape to the shape table and returns the fill style that writes its id to the occlusion buffer.  The table entry holds the
+//starting alpha of its glow, its own alpha (the frame buffer's current globalAlpha), its glow distance (scaled by the pixel ratio), its glow
+//color if that's a plain color, its falloff curve, the selected glow group, the current glowBlendMode and the current glowMode, glowOffsetX,
+//glowOffsetY and glowSpread (all scaled by the pixel ratio).
+//
+//Parameters:
+//glowStartingAlpha256 - 	the alpha value of the glow pixels that immediately neighbor the shape, or a function of time that returns it
+//glowDistanceInPixels - 	the glow distance in CSS pixels, or a function of time that returns it
+//glowColor - 				the glow color passed to the "WithGlow" call, if any
+//glowFalloff - 			the falloff curve passed to the "WithGlow" call, if any (see getGlowFalloffCode())
+GlowRenderer.prototype.getGlowShapeStyle = function(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff)
+{
+	var shapeId = this.addGlowShape(this.getGlowValue(glowStartingAlpha256), Math.floor(this.frameBufferContext.globalAlpha * 255), this.getGlowValue(glowDistanceInPixels) * this.pixelRatio,
+		this.getGlowColorOverride(glowColor), this.getGlowFalloffCode(glowFalloff), this.glowGroup.code, Math.max(0, glowBlendModes.indexOf(this.glowBlendMode)),
+		Math.max(0, glowModes.indexOf(this.glowMode)), this.glowOffsetX * this.pixelRatio, this.glowOffsetY * this.pixelRatio, this.glowSpread * this.pixelRatio);
+	
+	return getGlowShapeIdStyle(shapeId);
+};
+
+//addGlowShape
+//
+//Returns the id of the shape table entry with the passed glow parameters, adding one if this frame hasn't drawn a shape with exactly those
+//parameters yet.  Shapes whose glow doesn't blend with "max" or isn't "outer" glow always get an entry of their own, so that their glows can be
+//computed (and combined) one shape at a time.  Once the table is full (see glowShapeIdLimit), further shapes share the last entry.  You generally
+//won't call this function directly unless you draw your own shapes to the occlusion buffer.
+//
+//Parameters:
+//startingAlpha - 	the alpha value of the glow pixels that immediately neighbor the shape (0 - 255)
+//shapeAlpha256 - 	the alpha of the shape itself (0 - 255).  Its glow is faded to match.
+//distance - 		the glow distance in canvas pixels (fractions are fine)
+//colorOverride - 	the glow color as 0xRRGGBB, or -1 to take it from the glow color buffer
+//falloffCode - 	the falloff code of the glow (see getGlowFalloffCode())
+//group - 			the code of the glow group the shape belongs to (0 for the default group)
+//blendCode - 		(optional) how the shape's glow combines with other glow (an index into glowBlendModes).  Defaults to 0 ("max").
+//modeCode - 		(optional) where the shape's glow goes (an index into glowModes).  Defaults to 0 ("outer").
+//offsetX - 		(optional) for "offset" glow, how far the glow is moved right, in canvas pixels
+//offsetY - 		(optional) for "offset" glow, how far the glow is moved down, in canvas pixels
+//spread - 			(optional) how far the glow keeps its starting alpha before it starts to fade, in canvas pixels
+GlowRenderer.prototype.addGlowShape = function(startingAlpha, shapeAlpha256, distance, colorOverride, falloffCode, group, blendCode, modeCode, offsetX, offsetY, spread)
+{
+	var shapeKey = startingAlpha + "," + shapeAlpha256 + "," + distance + "," + colorOverride + "," + falloffCode + "," + group + "," + spread;
+	var sharedEntry = (blendCode == null || blendCode == 0) && (modeCode == null || modeCode == 0);
+	var shapeId = (sharedEntry == true) ? this.glowShapeKeys[shapeKey] : null;
+	
+	if(shapeId == null)
 	{
-		//check the occlusion buffer for alpha > 0 (does this pixel even need to have glow applied to it?)
-		if(glowOcclusionBuffer.data[xLoop + 1] > 0)
+		shapeId = addGlowShapeToTable(this.glowShapeTable, startingAlpha, shapeAlpha256, distance, colorOverride, falloffCode, group, blendCode, modeCode,
+			offsetX, offsetY, spread);
+		
+		if(shapeId < 0)
 		{
-			//figure out which pixel is having glow applied
-			computedPixelX = Math.floor(xLoop / 4) % canvasWidth;
-			computedPixelY = Math.floor(Math.floor(xLoop / 4) / canvasWidth);
-			
-			//get the glow characteristics from the occlusion buffer
-			glowDistance = glowOcclusionBuffer.data[xLoop + 2];
-			
-			//if the pixel to which glow will be applied is part of a shape that is not completely opaque,
-			//adjust the starting alpha of the glow downward to reflect that partial transparency.  For example, 
-			//if the starting alpha for the glow was 70%, but the shape itself was 50% transparent, then the 
-			//actual starting alpha for the glow should be 35% (70% * 50%) rather than 70%.
-			if(glowOcclusionBuffer.data[xLoop + 1] != 255)
-			{
-				glowStartingAlphaAdjustment = 1 - (glowOcclusionBuffer.data[xLoop + 1] / 255);
-			}
-			else
+			return this.glowShapeTable.count - 1;
+		}
+		
+		if(sharedEntry == true)
+		{
+			this.glowShapeKeys[shapeKey] = shapeId;
+		}
+	}
+	
+	return shapeId;
+};
+
+//getGlowColorOverride
+//
+//Returns the passed glow color as 0xRRGGBB if it's a plain CSS color, or -1 if it's missing, transparent, not a valid color, or a gradient or
+//pattern (those are read from the glow color buffer pixel by pixel instead).  The glow color context does the parsing, so every color format the
+//browser knows is supported.
+//
+//Parameters:
+//glowColor - 	the glow color passed to a "WithGlow" call
+GlowRenderer.prototype.getGlowColorOverride = function(glowColor)
+{
+	var previousStyle;
+	var normalizedColor;
+	var colorParts;
+	
+	if(typeof glowColor != "string" || this.glowColorContext == null)
+	{
+		return -1;
+	}
+	
+	//the canvas normalizes the colors it accepts to "#rrggbb" or "rgba(r, g, b, a)" and ignores the ones it doesn't, which leaves it transparent here
+	previousStyle = this.glowColorContext.fillStyle;
+	this.glowColorContext.fillStyle = "rgba(0, 0, 0, 0)";
+	this.glowColorContext.fillStyle = glowColor;
+	normalizedColor = this.glowColorContext.fillStyle;
+	this.glowColorContext.fillStyle = previousStyle;
+	
+	if(typeof normalizedColor != "string")
+	{
+		return -1;
+	}
+	
+	if(normalizedColor.charAt(0) == "#" && normalizedColor.length == 7)
+	{
+		return parseInt(normalizedColor.substring(1), 16);
+	}
+	
+	colorParts = normalizedColor.match(/[\d.]+/g);
+	if(colorParts == null || colorParts.length < 3 || (colorParts.length > 3 && parseFloat(colorParts[3]) == 0))
+	{
+		return -1;
+	}
+	
+	return (parseInt(colorParts[0], 10) << 16) | (parseInt(colorParts[1], 10) << 8) | parseInt(colorParts[2], 10);
+};
+
+//getGlowOccluderStyle
+//
+//Returns the fill style that writes an occluder's shape id.  Ordinary occluders share id 0 until the first semi-transparent occluder of the frame
+//is drawn.  Every semi-transparent occluder gets an entry of its own holding its transmission and tint, and the shapes drawn after it get new ids
+//(higher than its own), so that computeGlow() can tell which glows and occluders are behind it and which are in front of it.
+//
+//Parameters:
+//occlusionTransmission - 	(optional) for a semi-transparent occluder, how much of the glow behind it shows through (0 - 1)
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+GlowRenderer.prototype.getGlowOccluderStyle = function(occlusionTransmission, occlusionTint)
+{
+	var shapeId;
+	
+	if(occlusionTransmission == null)
+	{
+		shapeId = (this.glowTransmissionUsed == true) ? this.addGlowShape(0, 0, 0, -1, 0, 0) : 0;
+	}
+	else
+	{
+		shapeId = addGlowShapeToTable(this.glowShapeTable, 0, 0, 0, this.getGlowColorOverride(occlusionTint), 0, 0, 0, 0, 0, 0, 0,
+			Math.min(1, Math.max(0, occlusionTransmission)));
+		if(shapeId < 0)
+		{
+			shapeId = this.glowShapeTable.count - 1;
+		}
+		
+		//shapes drawn from now on are in front of this one, so they can't share the entries of the shapes drawn before it
+		this.glowShapeKeys = {};
+	}
+	
+	return getGlowShapeIdStyle(shapeId);
+};
+
+//getGlowOccluderContext
+//
+//Returns the context an occluder is drawn to: the occlusion context for ordinary occluders, or the transmission context for semi-transparent
+//ones.  Semi-transparent occluders leave the occlusion buffer alone so that the glowing shapes behind them still glow.  The transmission context
+//is created the first time it's needed, and cleared the first time it's drawn to each frame.
+//
+//Parameters:
+//occlusionTransmission - 	the transmission passed to the "WithOcclusion" call, if any
+GlowRenderer.prototype.getGlowOccluderContext = function(occlusionTransmission)
+{
+	if(occlusionTransmission == null)
+	{
+		return this.glowOcclusionContext;
+	}
+	
+	if(this.glowTransmissionContext == null)
+	{
+		this.glowTransmissionContext = createHiddenCanvasContext(this.canvasWidth, this.canvasHeight);
+	}
+	else if(this.glowTransmissionContext.canvas.width != this.canvasWidth || this.glowTransmissionContext.canvas.height != this.canvasHeight)
+	{
+		this.glowTransmissionContext.canvas.width = this.canvasWidth;
+		this.glowTransmissionContext.canvas.height = this.canvasHeight;
+	}
+	
+	if(this.glowTransmissionUsed == false && this.glowTransmissionContext != null)
+	{
+		this.glowTransmissionContext.setTransform(1, 0, 0, 1, 0, 0);
+		this.glowTransmissionContext.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+		this.glowTransmissionUsed = true;
+	}
+	
+	return this.glowTransmissionContext;
+};
+
+//copyStrokeState
+//
+//Copy the frame buffer's line settings (width, caps, joins, miter limit and dash pattern) to the passed context so that outlines drawn to
+//it line up exactly with the outline drawn to the frame buffer.
+//
+//Parameters:
+//contextOut - 	the glow context that is about to have an outline drawn to it
+GlowRenderer.prototype.copyStrokeState = function(contextOut)
+{
+	contextOut.lineWidth = this.frameBufferContext.lineWidth;
+	contextOut.lineCap = this.frameBufferContext.lineCap;
+	contextOut.lineJoin = this.frameBufferContext.lineJoin;
+	contextOut.miterLimit = this.frameBufferContext.miterLimit;
+	
+	if(contextOut.setLineDash != null && this.frameBufferContext.getLineDash != null)
+	{
+		contextOut.setLineDash(this.frameBufferContext.getLineDash());
+		contextOut.lineDashOffset = this.frameBufferContext.lineDashOffset;
+	}
+};
+
+//getGlowFalloffCode
+//
+//Returns the falloff code for the passed falloff curve.  Built-in curves are looked up by name, and user-supplied functions are added to the
+//glowFalloffCurves table (once per frame) so their code can be stored in the shape table.  Unknown or missing curves are linear (code 0).
+//
+//Parameters:
+//glowFalloff - 	the falloff passed to a "WithGlow" call: the name of a built-in curve ("linear", "quadratic", "exponential", "smoothstep" or
+//					"gaussian"), a function that takes t (how far the pixel is from the shape, 0 at the shape and 1 at the end of the glow) and returns
+//					the fraction (0 - 1) of the starting alpha at that distance, or null / undefined for linear.
+GlowRenderer.prototype.getGlowFalloffCode = function(glowFalloff)
+{
+	var curveIndex;
+	
+	if(typeof glowFalloff == "function")
+	{
+		curveIndex = this.glowFalloffCurves.indexOf(glowFalloff);
+		
+		if(curveIndex < 0)
+		{
+			//the shape table stores falloff codes in 16 bits.  Past that, fall back to linear.
+			if(glowFalloffModes.length + this.glowFalloffCurves.length >= 65536)
 			{
-				glowStartingAlphaAdjustment = 0;
+				return 0;
 			}
-			glowStartingAlpha = glowOcclusionBuffer.data[xLoop] - (glowStartingAlphaAdjustment * glowOcclusionBuffer.data[xLoop]);
 			
-			//compute the amount by which each further pixel's alpha should be reduced to display a linearly decreasing glow.
-			glowIncrement = Math.floor(glowStartingAlpha/glowDistance);
-			
-			//get the glow color from the color buffer
-			glowRed = glowColorBuffer.data[((computedPixelY * canvasWidth) + computedPixelX) * 4];
-			glowGreen = glowColorBuffer.data[(((computedPixelY * canvasWidth) + computedPixelX) * 4) + 1];
-			glowBlue = glowColorBuffer.data[(((computedPixelY * canvasWidth) + computedPixelX) * 4) + 2];
-			
-			//recursively compute the glow for this pixel and neighboring pixels.
-			computeGlowForPixel(glowColorBuffer, glowOcclusionBuffer, glowOutputBuffer, canvasWidth, canvasHeight, computedPixelX, computedPixelY, glowRed, glowGreen, glowBlue, glowStartingAlpha, glowDistance, glowIncrement, true);
+			this.glowFalloffCurves.push(glowFalloff);
+			curveIndex = this.glowFalloffCurves.length - 1;
 		}
-	}//next pixel
+		
+		return glowFalloffModes.length + curveIndex;
+	}
+	else if(glowFalloff != null && glowFalloffModes.indexOf(glowFalloff) >= 0)
+	{
+		return glowFalloffModes.indexOf(glowFalloff);
+	}
+	else
+	{
+		return 0;
+	}
+};
+
+//createGlowShapeTable
+//
+//Returns an empty shape table: the glow parameters of every shape drawn to the occlusion buffer in a frame, one entry per shape id, in typed
+//arrays so that the glow computation (or a worker it's sent to) can look them up quickly.  Entry 0 is always there and stands for every
+//occluding shape (no glow, and no shape alpha so it never glows).  The table's fields, indexed by shape id:
+//	startingAlpha - 	the alpha value of the glow pixels that immediately neighbor the shape (0 - 255)
+//	distance - 			the glow distance in canvas pixels
+//	shapeAlpha256 - 	the alpha of the shape itself (0 - 255), or 0 for occluders
+//	colorOverride - 	the glow color as 0xRRGGBB, or -1 to read it from the glow color buffer
+//	falloff - 			the falloff code of the glow (see getGlowFalloffCode())
+//	group - 			the code of the glow group the shape belongs to (0 for the default group)
+//	blend - 			how the shape's glow combines with other glow (an index into glowBlendModes)
+//	mode - 				where the shape's glow goes (an index into glowModes)
+//	offsetX, offsetY - 	for "offset" glow, how far the glow is moved from the shape, in canvas pixels
+//	spread - 			how far the glow keeps its starting alpha before it starts to fade, in canvas pixels
+//	transmission - 		for semi-transparent occluders, how much of the glow behind them shows through (0 - 1).  1 for every other entry.
+//
+//Parameters:
+//capacity - 	(optional) the number of entries to allocate up front.  The table grows as needed.
+function createGlowShapeTable(capacity)
+{
+	var shapeTable;
+	
+	if(capacity == null || capacity < 1)
+	{
+		capacity = 64;
+	}
+	
+	shapeTable = {count: 1, startingAlpha: new Float32Array(capacity), distance: new Float32Array(capacity), shapeAlpha256: new Uint8Array(capacity),
+		colorOverride: new Int32Array(capacity), falloff: new Uint16Array(capacity), group: new Int32Array(capacity),
+		blend: new Uint8Array(capacity), mode: new Uint8Array(capacity), offsetX: new Float32Array(capacity), offsetY: new Float32Array(capacity),
+		spread: new Float32Array(capacity), transmission: new Float32Array(capacity)};
+	shapeTable.colorOverride[0] = -1;
+	shapeTable.transmission[0] = 1;
+	
+	return shapeTable;
 }
 
-//compositeAndDraw
+//addGlowShapeToTable
+//
+//Add an entry to a shape table, doubling its arrays if they're full.
+//
+//Parameters:
+//shapeTable - 		a table created by createGlowShapeTable()
+//startingAlpha - 	the alpha value of the glow pixels that immediately neighbor the shape (0 - 255)
+//shapeAlpha256 - 	the alpha of the shape itself (0 - 255)
+//distance - 		the glow distance in canvas pixels
+//colorOverride - 	the glow color as 0xRRGGBB, or -1 to read it from the glow color buffer
+//falloffCode - 	the falloff code of the glow
+//group - 			the code of the glow group the shape belongs to (0 for the default group)
+//blendCode - 		(optional) how the shape's glow combines with other glow (an index into glowBlendModes).  Defaults to 0 ("max").
+//modeCode - 		(optional) where the shape's glow goes (an index into glowModes).  Defaults to 0 ("outer").
+//offsetX - 		(optional) for "offset" glow, how far the glow is moved right, in canvas pixels.  Defaults to 0.
+//offsetY - 		(optional) for "offset" glow, how far the glow is moved down, in canvas pixels.  Defaults to 0.
+//spread - 			(optional) how far the glow keeps its starting alpha before it starts to fade, in canvas pixels.  Defaults to 0.
+//transmission - 	(optional) for a semi-transparent occluder (no shape alpha), how much of the glow behind it shows through (0 - 1).  Its
+//					colorOverride is then the tint of that glow.  Defaults to 1.
+//
+//Returns the new entry's shape id, or -1 if the table already holds as many shapes as an id can address (glowShapeIdLimit)
+function addGlowShapeToTable(shapeTable, startingAlpha, shapeAlpha256, distance, colorOverride, falloffCode, group, blendCode, modeCode, offsetX, offsetY, spread,
+	transmission)
+{
+	var fieldNames = ["startingAlpha", "distance", "shapeAlpha256", "colorOverride", "falloff", "group", "blend", "mode", "offsetX", "offsetY", "spread",
+		"transmission"];
+	var fieldLoop;
+	var grownField;
+	var shapeId = shapeTable.count;
+	
+	if(shapeId >= glowShapeIdLimit)
+	{
+		return -1;
+	}
+	
+	if(shapeId >= shapeTable.startingAlpha.length)
+	{
+		for(fieldLoop = 0; fieldLoop < fieldNames.length; fieldLoop++)
+		{
+			grownField = new shapeTable[fieldNames[fieldLoop]].constructor(shapeTable[fieldNames[fieldLoop]].length * 2);
+			grownField.set(shapeTable[fieldNames[fieldLoop]]);
+			shapeTable[fieldNames[fieldLoop]] = grownField;
+		}
+	}
+	
+	shapeTable.startingAlpha[shapeId] = startingAlpha;
+	shapeTable.distance[shapeId] = distance;
+	shapeTable.shapeAlpha256[shapeId] = shapeAlpha256;
+	shapeTable.colorOverride[shapeId] = colorOverride;
+	shapeTable.falloff[shapeId] = falloffCode;
+	shapeTable.group[shapeId] = group;
+	shapeTable.blend[shapeId] = (blendCode != null) ? blendCode : 0;
+	shapeTable.mode[shapeId] = (modeCode != null) ? modeCode : 0;
+	shapeTable.offsetX[shapeId] = (offsetX != null) ? offsetX : 0;
+	shapeTable.offsetY[shapeId] = (offsetY != null) ? offsetY : 0;
+	shapeTable.spread[shapeId] = (spread != null) ? spread : 0;
+	shapeTable.transmission[shapeId] = (transmission != null) ? transmission : 1;
+	shapeTable.count++;
+	
+	return shapeId;
+}
+
+//getGlowShapeIdChecksum
+//
+//Returns the five-bit checksum stored alongside a shape id.  Where two shapes' anti-aliased edges meet, the canvas blends their ids into a color
+//that belongs to neither; the checksum lets readGlowShapeId() tell those pixels apart from real ids.
+//
+//Parameters:
+//shapeId - 	the shape id (0 - 1023)
+function getGlowShapeIdChecksum(shapeId)
+{
+	return ((shapeId * 157) ^ (shapeId >> 5) ^ 21) & 31;
+}
+
+//getGlowShapeIdStyle
 //
-//Write the contents of the glow buffer to the frame buffer and draw it to the screen.
+//Returns the fill style that writes the passed shape id to the occlusion buffer.  The id's upper and lower five bits go in the red and green bytes
+//and its checksum in the blue byte, each drawn in the middle of a step of 4 so that the small rounding errors of partially covered
+//(anti-aliased) pixels don't change them.  All three bytes are kept in the upper half (128 - 255) because browsers thin and shift the
+//anti-aliasing of dark text, and the style is always opaque, so the alpha byte only records coverage.
 //
 //Parameters:
-//glowWriteBufferElement - the actual DOM element id that represents the <canvas> to which glow pixels are written (this is NOT the frame buffer)
-function compositeAndDraw(glowWriteBufferElement)
+//shapeId - 	the shape id (0 - 1023).  0 is used by every occluding shape.
+function getGlowShapeIdStyle(shapeId)
 {
-	//write the data from the glow output buffer (the buffer to which glow pixels were written during computeGlow) to the glow write context
-	glowOutputContext.putImageData(glowOutputBuffer, 0, 0);
+	return "rgba(" + (130 + (Math.floor(shapeId / 32) * 4)) + ", " + (130 + ((shapeId % 32) * 4)) + ", " + (130 + (getGlowShapeIdChecksum(shapeId) * 4)) + ", 1.0)";
+}
+
+//readGlowShapeId
+//
+//Returns the shape id stored at the passed pixel of a shape id buffer, or -1 if the pixel doesn't hold a valid id (its checksum doesn't match, or
+//the id isn't in the shape table).
+//
+//Parameters:
+//shapeIdBuffer - 	the occlusion buffer's pixel data ({data, width, height})
+//pixelIndex - 		the linear index of the pixel
+//shapeTable - 		the shape table the ids refer to
+function readGlowShapeId(shapeIdBuffer, pixelIndex, shapeTable)
+{
+	var shapeId;
+	
+	if(shapeIdBuffer.data[pixelIndex * 4] < 128 || shapeIdBuffer.data[(pixelIndex * 4) + 1] < 128)
+	{
+		return -1;
+	}
+	
+	shapeId = (Math.floor((shapeIdBuffer.data[pixelIndex * 4] - 128) / 4) * 32) + Math.floor((shapeIdBuffer.data[(pixelIndex * 4) + 1] - 128) / 4);
+	
+	if(Math.floor((shapeIdBuffer.data[(pixelIndex * 4) + 2] - 128) / 4) != getGlowShapeIdChecksum(shapeId) || shapeId >= shapeTable.count)
+	{
+		return -1;
+	}
+	
+	return shapeId;
+}
+
+//computeGlowFalloffAlpha
+//
+//Returns the alpha of a glow pixel for falloff curves other than linear.  You generally won't call this function directly.  It is a utility
+//function that is called repeatedly by propagateGlowSeed().
+//
+//Parameters:
+//startingAlpha - 	the starting alpha of the glow (0-255)
+//falloffCode - 	the falloff code of the glowing shape pixel
+//t - 				how far the pixel is from the shape pixel, from 0 (at the shape) to 1 (at the farthest reach of the glow)
+GlowRenderer.prototype.computeGlowFalloffAlpha = function(startingAlpha, falloffCode, t)
+{
+	var falloff;
 	
-	//composite the glow pixels with the rest of the pixels on the frame buffer
-	frameBufferContext.drawImage(glowWriteBufferElement, 0, 0);
+	switch(falloffCode)
+	{
+		//quadratic
+		case 1:
+			return startingAlpha * (1 - t) * (1 - t);
+		
+		//exponential, scaled so it reaches zero at the end of the glow
+		case 2:
+			return startingAlpha * (Math.exp(-4 * t) - Math.exp(-4)) / (1 - Math.exp(-4));
+		
+		//smoothstep
+		case 3:
+			return startingAlpha * (1 - (t * t * (3 - (2 * t))));
+		
+		//gaussian (standard deviation of 0.4), scaled so it reaches zero at the end of the glow
+		case 4:
+			return startingAlpha * (Math.exp(-(t * t) / 0.32) - Math.exp(-1 / 0.32)) / (1 - Math.exp(-1 / 0.32));
+		
+		default:
+			//user-supplied curve.  Unknown codes (from very faint anti-aliased pixels) fall back to linear.
+			falloff = this.glowFalloffCurves[falloffCode - glowFalloffModes.length];
+			
+			if(falloff == null)
+			{
+				return startingAlpha * (1 - t);
+			}
+			
+			return startingAlpha * Math.min(Math.max(falloff(t), 0), 1);
+	}
+};
+
+//fillRectWithGlow
+//
+//perform the standard fillRect using the current state.  Then draw the required information to the glow contexts so
+//that glow can be computed during the screen drawing process.
+//
+//Parameters:
+//rectX - 					x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 					y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 				width of the rectangle
+//rectHeight - 				height of the rectangle
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
+//							the value, the softer the overall glow looks.  May also be a function of time (see getGlowValue()).
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
+//							of the glow will diminish linearly over this distance until it is no longer visible.  May also be a function of
+//							time.
+//glowColor - 				(optional) the color of the glow (any valid fillStyle: CSS color string, gradient or pattern).  If omitted, the
+//							glow will be the same color as the shape's current fillStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance: "linear" (the default), "quadratic", "exponential", "smoothstep",
+//							"gaussian", or a function that takes t (0 at the shape, 1 at the end of the glow) and returns the fraction of the
+//							starting alpha at that point.
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.fillRectWithGlow = function(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordGlowDraw("fillRectWithGlow", arguments, rectX, rectY, rectX + rectWidth, rectY + rectHeight, glowDistanceInPixels);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.fillRect != null)
+	{
+		this.frameBufferContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	//draw the glow color to the glow buffer (the shape's own color unless a different glow color was passed)
+	if(this.glowColorContext != null && this.glowColorContext.fillStyle != null)
+	{
+		this.copyDrawState(this.glowColorContext);
+		this.glowColorContext.fillStyle = this.getGlowFillStyle(glowColor);
+		
+		//draw to the glow color context
+		this.glowColorContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer.
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.fillStyle != null)
+	{
+		this.copyDrawState(this.glowOcclusionContext);
+		this.glowOcclusionContext.fillStyle = this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff);
+		this.glowOcclusionContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//fillRectWithOcclusion
+//
+//perform the standard fillRect using the current state.  Then draw the shape to the occlusion buffer so it will 
+//block glow processing and have glow applied to its edges during the screen drawing process
+//
+//Parameters:
+//rectX - 					x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 					y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 				width of the rectangle
+//rectHeight - 				height of the rectangle
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.fillRectWithOcclusion = function(rectX, rectY, rectWidth, rectHeight, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	var groupNames = getGlowGroupNames(occlusionGroups);
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var occlusionContext;
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordGlowDraw("fillRectWithOcclusion", arguments, rectX, rectY, rectX + rectWidth, rectY + rectHeight, 0);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.fillRect != null)
+	{
+		this.frameBufferContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	//draw to the occlusion context.  The draw state will be changed to reflect that no glow will be computed for this object and that
+	//it will have glow applied to it, once for every group it occludes
+	for(groupLoop = 0; groupLoop < groupNames.length; groupLoop++)
+	{
+		this.selectGlowGroup(groupNames[groupLoop]);
+		occlusionContext = this.getGlowOccluderContext(occlusionTransmission);
+		
+		if(occlusionContext != null && occlusionContext.fillStyle != null)
+		{
+			this.copyDrawState(occlusionContext);
+			occlusionContext.fillStyle = this.getGlowOccluderStyle(occlusionTransmission, occlusionTint);
+			occlusionContext.fillRect(rectX, rectY, rectWidth, rectHeight);
+		}
+	}
+	this.selectGlowGroup(previousGroup);
+};
+
+//fillTextWithGlow
+//
+//draw text to the screen using the current state.  draw the same text in the same color to the glow buffer so it will have glow added to it.
+//
+//Parameters:
+//textToDraw - 				the actual string that will be drawn
+//textX - 					x-coordinate of the upper left-hand corner of the string
+//textY - 					y-coordinate of the upper left-hand corner of the string
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
+//							the value, the softer the overall glow looks.  May also be a function of time (see getGlowValue()).
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
+//							of the glow will diminish linearly over this distance until it is no longer visible.  May also be a function of
+//							time.
+//glowColor - 				(optional) the color of the glow (any valid fillStyle: CSS color string, gradient or pattern).  If omitted, the
+//							glow will be the same color as the text's current fillStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance: "linear" (the default), "quadratic", "exponential", "smoothstep",
+//							"gaussian", or a function that takes t (0 at the text, 1 at the end of the glow) and returns the fraction of the
+//							starting alpha at that point.
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.fillTextWithGlow = function(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordTextDraw("fillTextWithGlow", arguments, textToDraw, textX, textY, 0, glowDistanceInPixels);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.fillText != null)
+	{
+		this.frameBufferContext.fillText(textToDraw, textX, textY);
+	}
+	
+	//use the same font and the glow color (the text's own color unless a different glow color was passed) to draw on the glow buffer
+	if(this.glowColorContext != null && this.glowColorContext.fillText != null)
+	{
+		this.copyDrawState(this.glowColorContext);
+		this.glowColorContext.fillStyle = this.getGlowFillStyle(glowColor);
+		
+		//draw to the glow color context
+		this.glowColorContext.fillText(textToDraw, textX, textY);
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer.
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.fillText != null)
+	{
+		this.copyDrawState(this.glowOcclusionContext);
+		this.glowOcclusionContext.fillStyle = this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff);
+		this.glowOcclusionContext.fillText(textToDraw, textX, textY);
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//fillTextWithOcclusion
+//
+//draw text so that it will obscure glowing objects, and so it will have glow applied to its edges
+//
+//Parameters:
+//textToDraw - 	the actual string that will be drawn
+//textX - 		x-coordinate of the upper left-hand corner of the string
+//textY - 		y-coordinate of the upper left-hand corner of the string
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.fillTextWithOcclusion = function(textToDraw, textX, textY, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	var groupNames = getGlowGroupNames(occlusionGroups);
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var occlusionContext;
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordTextDraw("fillTextWithOcclusion", arguments, textToDraw, textX, textY, 0, 0);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.fillText != null)
+	{
+		this.frameBufferContext.fillText(textToDraw, textX, textY);
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer., once for every group it occludes
+	for(groupLoop = 0; groupLoop < groupNames.length; groupLoop++)
+	{
+		this.selectGlowGroup(groupNames[groupLoop]);
+		occlusionContext = this.getGlowOccluderContext(occlusionTransmission);
+		
+		if(occlusionContext != null && occlusionContext.fillText != null)
+		{
+			this.copyDrawState(occlusionContext);
+			occlusionContext.fillStyle = this.getGlowOccluderStyle(occlusionTransmission, occlusionTint);
+			occlusionContext.fillText(textToDraw, textX, textY);
+		}
+	}
+	this.selectGlowGroup(previousGroup);
+};
+
+//fillPathWithGlow
+//
+//fill a Path2D using the current state.  Then draw the same path to the glow contexts so that glow can be computed for it during the screen
+//drawing process.  Any shape the canvas API can describe as a path (arcs, curves, SVG path data and so on) can glow this way.
+//
+//Parameters:
+//path - 					the Path2D to fill
+//fillRule - 				(optional) "nonzero" (the default) or "evenodd"
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
+//							the value, the softer the overall glow looks.  May also be a function of time (see getGlowValue()).
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
+//							of the glow will diminish over this distance until it is no longer visible.  May also be a function of time.
+//glowColor - 				(optional) the color of the glow (any valid fillStyle: CSS color string, gradient or pattern).  If omitted, the
+//							glow will be the same color as the shape's current fillStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance: "linear" (the default), "quadratic", "exponential", "smoothstep",
+//							"gaussian", or a function that takes t (0 at the shape, 1 at the end of the glow) and returns the fraction of the
+//							starting alpha at that point.
+//pathBounds - 				(optional) the bounding box of the path as {left, top, right, bottom}, so that glow only has to be computed around
+//							it.  If omitted, the whole canvas is treated as changed.
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.fillPathWithGlow = function(path, fillRule, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, pathBounds, glowGroup)
+{
+	//note the draw call and the area it covers for computeGlow()
+	this.recordPathDraw("fillPathWithGlow", arguments, pathBounds, 0, glowDistanceInPixels);
+	
+	this.fillPathToGlowContexts(path, fillRule, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//fillPathToGlowContexts
+//
+//The drawing half of fillPathWithGlow(), without noting the draw call.  You generally won't call this function directly.  It is a utility
+//function that is called by fillPathWithGlow() and the shape calls built on it.
+GlowRenderer.prototype.fillPathToGlowContexts = function(path, fillRule, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	
+	if(fillRule == null)
+	{
+		fillRule = "nonzero";
+	}
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.fill != null)
+	{
+		this.frameBufferContext.fill(path, fillRule);
+	}
+	
+	//draw the glow color to the glow buffer (the shape's own color unless a different glow color was passed)
+	if(this.glowColorContext != null && this.glowColorContext.fill != null)
+	{
+		this.copyDrawState(this.glowColorContext);
+		this.glowColorContext.fillStyle = this.getGlowFillStyle(glowColor);
+		this.glowColorContext.fill(path, fillRule);
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer.
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.fill != null)
+	{
+		this.copyDrawState(this.glowOcclusionContext);
+		this.glowOcclusionContext.fillStyle = this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff);
+		this.glowOcclusionContext.fill(path, fillRule);
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//fillPathWithOcclusion
+//
+//fill a Path2D using the current state.  Then draw the same path to the occlusion buffer so it will block glow processing and have glow
+//applied to its edges during the screen drawing process
+//
+//Parameters:
+//path - 		the Path2D to fill
+//fillRule - 	(optional) "nonzero" (the default) or "evenodd"
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.fillPathWithOcclusion = function(path, fillRule, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	//note the draw call for computeGlow()
+	this.recordGlowDraw("fillPathWithOcclusion", arguments, null, null, null, null, 0);
+	
+	this.fillPathToOcclusionContext(path, fillRule, occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//fillPathToOcclusionContext
+//
+//The drawing half of fillPathWithOcclusion(), without noting the draw call.  You generally won't call this function directly.  It is a utility
+//function that is called by fillPathWithOcclusion() and the shape calls built on it.
+GlowRenderer.prototype.fillPathToOcclusionContext = function(path, fillRule, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	var groupNames = getGlowGroupNames(occlusionGroups);
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var occlusionContext;
+	
+	if(fillRule == null)
+	{
+		fillRule = "nonzero";
+	}
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.fill != null)
+	{
+		this.frameBufferContext.fill(path, fillRule);
+	}
+	
+	//draw to the occlusion context so no glow is computed for this shape but glow is applied to it, once for every group it occludes
+	for(groupLoop = 0; groupLoop < groupNames.length; groupLoop++)
+	{
+		this.selectGlowGroup(groupNames[groupLoop]);
+		occlusionContext = this.getGlowOccluderContext(occlusionTransmission);
+		
+		if(occlusionContext != null && occlusionContext.fill != null)
+		{
+			this.copyDrawState(occlusionContext);
+			occlusionContext.fillStyle = this.getGlowOccluderStyle(occlusionTransmission, occlusionTint);
+			occlusionContext.fill(path, fillRule);
+		}
+	}
+	this.selectGlowGroup(previousGroup);
+};
+
+//createEllipsePath
+//
+//Returns a Path2D holding a closed ellipse (or circle, if both radii are the same).
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the ellipse
+//centerY - 	y-coordinate of the center of the ellipse
+//radiusX - 	radius of the ellipse along its x-axis
+//radiusY - 	radius of the ellipse along its y-axis
+//rotation - 	(optional) rotation of the ellipse in radians
+function createEllipsePath(centerX, centerY, radiusX, radiusY, rotation)
+{
+	var path = new Path2D();
+	
+	path.ellipse(centerX, centerY, radiusX, radiusY, (rotation != null) ? rotation : 0, 0, Math.PI * 2);
+	path.closePath();
+	
+	return path;
+}
+
+//createRoundRectPath
+//
+//Returns a Path2D holding a rectangle with rounded corners.  The corner radius is reduced if it's too large for the rectangle.
+//
+//Parameters:
+//rectX - 			x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 			y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 		width of the rectangle
+//rectHeight - 		height of the rectangle
+//cornerRadius - 	radius of the rounded corners
+function createRoundRectPath(rectX, rectY, rectWidth, rectHeight, cornerRadius)
+{
+	var path = new Path2D();
+	
+	cornerRadius = Math.max(0, Math.min(cornerRadius, Math.abs(rectWidth) / 2, Math.abs(rectHeight) / 2));
+	
+	path.moveTo(rectX + cornerRadius, rectY);
+	path.arcTo(rectX + rectWidth, rectY, rectX + rectWidth, rectY + rectHeight, cornerRadius);
+	path.arcTo(rectX + rectWidth, rectY + rectHeight, rectX, rectY + rectHeight, cornerRadius);
+	path.arcTo(rectX, rectY + rectHeight, rectX, rectY, cornerRadius);
+	path.arcTo(rectX, rectY, rectX + rectWidth, rectY, cornerRadius);
+	path.closePath();
+	
+	return path;
+}
+
+//createPolygonPath
+//
+//Returns a Path2D holding a closed polygon.
+//
+//Parameters:
+//polygonPoints - 	the x and y coordinates of the polygon's corners, in order ([x1, y1, x2, y2, ...])
+function createPolygonPath(polygonPoints)
+{
+	var path = new Path2D();
+	var pointLoop;
+	
+	for(pointLoop = 0; pointLoop + 1 < polygonPoints.length; pointLoop = pointLoop + 2)
+	{
+		if(pointLoop == 0)
+		{
+			path.moveTo(polygonPoints[pointLoop], polygonPoints[pointLoop + 1]);
+		}
+		else
+		{
+			path.lineTo(polygonPoints[pointLoop], polygonPoints[pointLoop + 1]);
+		}
+	}
+	path.closePath();
+	
+	return path;
+}
+
+//getRectBounds
+//
+//Returns the bounding box of a rectangle as {left, top, right, bottom}.
+//
+//Parameters:
+//rectX - 		x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 		y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 	width of the rectangle
+//rectHeight - 	height of the rectangle
+function getRectBounds(rectX, rectY, rectWidth, rectHeight)
+{
+	return {left: rectX, top: rectY, right: rectX + rectWidth, bottom: rectY + rectHeight};
+}
+
+//getEllipseBounds
+//
+//Returns a bounding box (as {left, top, right, bottom}) that holds an ellipse at any rotation.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the ellipse
+//centerY - 	y-coordinate of the center of the ellipse
+//radiusX - 	radius of the ellipse along its x-axis
+//radiusY - 	radius of the ellipse along its y-axis
+function getEllipseBounds(centerX, centerY, radiusX, radiusY)
+{
+	var maximumRadius = Math.max(radiusX, radiusY);
+	
+	return {left: centerX - maximumRadius, top: centerY - maximumRadius, right: centerX + maximumRadius, bottom: centerY + maximumRadius};
+}
+
+//getPolygonBounds
+//
+//Returns the bounding box of a polygon as {left, top, right, bottom}.
+//
+//Parameters:
+//polygonPoints - 	the x and y coordinates of the polygon's corners, in order ([x1, y1, x2, y2, ...])
+function getPolygonBounds(polygonPoints)
+{
+	var bounds = {left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity};
+	var pointLoop;
+	
+	for(pointLoop = 0; pointLoop + 1 < polygonPoints.length; pointLoop = pointLoop + 2)
+	{
+		bounds.left = Math.min(bounds.left, polygonPoints[pointLoop]);
+		bounds.right = Math.max(bounds.right, polygonPoints[pointLoop]);
+		bounds.top = Math.min(bounds.top, polygonPoints[pointLoop + 1]);
+		bounds.bottom = Math.max(bounds.bottom, polygonPoints[pointLoop + 1]);
+	}
+	
+	return bounds;
+}
+
+//fillCircleWithGlow
+//
+//fill a circle using the current state and have it glow.  See fillPathWithGlow() for the glow parameters.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the circle
+//centerY - 	y-coordinate of the center of the circle
+//radius - 		radius of the circle
+GlowRenderer.prototype.fillCircleWithGlow = function(centerX, centerY, radius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("fillCircleWithGlow", arguments, getEllipseBounds(centerX, centerY, radius, radius), 0, glowDistanceInPixels);
+	this.fillPathToGlowContexts(createEllipsePath(centerX, centerY, radius, radius), "nonzero", glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//fillCircleWithOcclusion
+//
+//fill a circle using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the circle
+//centerY - 	y-coordinate of the center of the circle
+//radius - 		radius of the circle
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.fillCircleWithOcclusion = function(centerX, centerY, radius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("fillCircleWithOcclusion", arguments, null, null, null, null, 0);
+	this.fillPathToOcclusionContext(createEllipsePath(centerX, centerY, radius, radius), "nonzero", occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//fillEllipseWithGlow
+//
+//fill an ellipse using the current state and have it glow.  See fillPathWithGlow() for the glow parameters.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the ellipse
+//centerY - 	y-coordinate of the center of the ellipse
+//radiusX - 	radius of the ellipse along its x-axis
+//radiusY - 	radius of the ellipse along its y-axis
+//rotation - 	rotation of the ellipse in radians
+GlowRenderer.prototype.fillEllipseWithGlow = function(centerX, centerY, radiusX, radiusY, rotation, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("fillEllipseWithGlow", arguments, getEllipseBounds(centerX, centerY, radiusX, radiusY), 0, glowDistanceInPixels);
+	this.fillPathToGlowContexts(createEllipsePath(centerX, centerY, radiusX, radiusY, rotation), "nonzero", glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//fillEllipseWithOcclusion
+//
+//fill an ellipse using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the ellipse
+//centerY - 	y-coordinate of the center of the ellipse
+//radiusX - 	radius of the ellipse along its x-axis
+//radiusY - 	radius of the ellipse along its y-axis
+//rotation - 	rotation of the ellipse in radians
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.fillEllipseWithOcclusion = function(centerX, centerY, radiusX, radiusY, rotation, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("fillEllipseWithOcclusion", arguments, null, null, null, null, 0);
+	this.fillPathToOcclusionContext(createEllipsePath(centerX, centerY, radiusX, radiusY, rotation), "nonzero", occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//fillRoundRectWithGlow
+//
+//fill a rectangle with rounded corners using the current state and have it glow.  See fillPathWithGlow() for the glow parameters.
+//
+//Parameters:
+//rectX - 			x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 			y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 		width of the rectangle
+//rectHeight - 		height of the rectangle
+//cornerRadius - 	radius of the rounded corners
+GlowRenderer.prototype.fillRoundRectWithGlow = function(rectX, rectY, rectWidth, rectHeight, cornerRadius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("fillRoundRectWithGlow", arguments, getRectBounds(rectX, rectY, rectWidth, rectHeight), 0, glowDistanceInPixels);
+	this.fillPathToGlowContexts(createRoundRectPath(rectX, rectY, rectWidth, rectHeight, cornerRadius), "nonzero", glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//fillRoundRectWithOcclusion
+//
+//fill a rectangle with rounded corners using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//rectX - 			x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 			y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 		width of the rectangle
+//rectHeight - 		height of the rectangle
+//cornerRadius - 	radius of the rounded corners
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.fillRoundRectWithOcclusion = function(rectX, rectY, rectWidth, rectHeight, cornerRadius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("fillRoundRectWithOcclusion", arguments, null, null, null, null, 0);
+	this.fillPathToOcclusionContext(createRoundRectPath(rectX, rectY, rectWidth, rectHeight, cornerRadius), "nonzero", occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//fillPolygonWithGlow
+//
+//fill a polygon using the current state and have it glow.  See fillPathWithGlow() for the glow parameters.
+//
+//Parameters:
+//polygonPoints - 	the x and y coordinates of the polygon's corners, in order ([x1, y1, x2, y2, ...])
+GlowRenderer.prototype.fillPolygonWithGlow = function(polygonPoints, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("fillPolygonWithGlow", arguments, getPolygonBounds(polygonPoints), 0, glowDistanceInPixels);
+	this.fillPathToGlowContexts(createPolygonPath(polygonPoints), "nonzero", glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//fillPolygonWithOcclusion
+//
+//fill a polygon using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//polygonPoints - 	the x and y coordinates of the polygon's corners, in order ([x1, y1, x2, y2, ...])
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.fillPolygonWithOcclusion = function(polygonPoints, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("fillPolygonWithOcclusion", arguments, null, null, null, null, 0);
+	this.fillPathToOcclusionContext(createPolygonPath(polygonPoints), "nonzero", occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//strokeRectWithGlow
+//
+//perform the standard strokeRect using the current state.  Then draw the same outline (with the same line width, caps, joins and dashes) to the
+//glow contexts so that the glow follows the outline rather than the filled interior.
+//
+//Parameters:
+//rectX - 					x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 					y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 				width of the rectangle
+//rectHeight - 				height of the rectangle
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
+//							the value, the softer the overall glow looks.  May also be a function of time (see getGlowValue()).
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
+//							of the glow will diminish over this distance until it is no longer visible.  May also be a function of time.
+//glowColor - 				(optional) the color of the glow (any valid strokeStyle: CSS color string, gradient or pattern).  If omitted, the
+//							glow will be the same color as the current strokeStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance: "linear" (the default), "quadratic", "exponential", "smoothstep",
+//							"gaussian", or a function that takes t (0 at the shape, 1 at the end of the glow) and returns the fraction of the
+//							starting alpha at that point.
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.strokeRectWithGlow = function(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordGlowDraw("strokeRectWithGlow", arguments, rectX - this.getStrokeMargin(), rectY - this.getStrokeMargin(), rectX + rectWidth + this.getStrokeMargin(), rectY + rectHeight + this.getStrokeMargin(), glowDistanceInPixels);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.strokeRect != null)
+	{
+		this.frameBufferContext.strokeRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	//draw the glow color to the glow buffer (the outline's own color unless a different glow color was passed)
+	if(this.glowColorContext != null && this.glowColorContext.strokeRect != null)
+	{
+		this.copyDrawState(this.glowColorContext);
+		this.copyStrokeState(this.glowColorContext);
+		this.glowColorContext.strokeStyle = this.getGlowStrokeStyle(glowColor);
+		this.glowColorContext.strokeRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer.
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.strokeRect != null)
+	{
+		this.copyDrawState(this.glowOcclusionContext);
+		this.copyStrokeState(this.glowOcclusionContext);
+		this.glowOcclusionContext.strokeStyle = this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff);
+		this.glowOcclusionContext.strokeRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//strokeRectWithOcclusion
+//
+//perform the standard strokeRect using the current state.  Then draw the same outline to the occlusion buffer so it will block glow processing
+//and have glow applied to its edges during the screen drawing process
+//
+//Parameters:
+//rectX - 					x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 					y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 				width of the rectangle
+//rectHeight - 				height of the rectangle
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.strokeRectWithOcclusion = function(rectX, rectY, rectWidth, rectHeight, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	var groupNames = getGlowGroupNames(occlusionGroups);
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var occlusionContext;
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordGlowDraw("strokeRectWithOcclusion", arguments, rectX, rectY, rectX + rectWidth, rectY + rectHeight, 0);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.strokeRect != null)
+	{
+		this.frameBufferContext.strokeRect(rectX, rectY, rectWidth, rectHeight);
+	}
+	
+	//draw to the occlusion context so no glow is computed for this outline but glow is applied to it, once for every group it occludes
+	for(groupLoop = 0; groupLoop < groupNames.length; groupLoop++)
+	{
+		this.selectGlowGroup(groupNames[groupLoop]);
+		occlusionContext = this.getGlowOccluderContext(occlusionTransmission);
+		
+		if(occlusionContext != null && occlusionContext.strokeRect != null)
+		{
+			this.copyDrawState(occlusionContext);
+			this.copyStrokeState(occlusionContext);
+			occlusionContext.strokeStyle = this.getGlowOccluderStyle(occlusionTransmission, occlusionTint);
+			occlusionContext.strokeRect(rectX, rectY, rectWidth, rectHeight);
+		}
+	}
+	this.selectGlowGroup(previousGroup);
+};
+
+//strokeTextWithGlow
+//
+//draw the outline of text to the screen using the current state.  Then draw the same outline to the glow contexts so it will have glow added
+//to it.
+//
+//Parameters:
+//textToDraw - 				the actual string that will be drawn
+//textX - 					x-coordinate of the upper left-hand corner of the string
+//textY - 					y-coordinate of the upper left-hand corner of the string
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
+//							the value, the softer the overall glow looks.  May also be a function of time (see getGlowValue()).
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
+//							of the glow will diminish over this distance until it is no longer visible.  May also be a function of time.
+//glowColor - 				(optional) the color of the glow (any valid strokeStyle: CSS color string, gradient or pattern).  If omitted, the
+//							glow will be the same color as the current strokeStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance: "linear" (the default), "quadratic", "exponential", "smoothstep",
+//							"gaussian", or a function that takes t (0 at the text, 1 at the end of the glow) and returns the fraction of the
+//							starting alpha at that point.
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.strokeTextWithGlow = function(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordTextDraw("strokeTextWithGlow", arguments, textToDraw, textX, textY, this.getStrokeMargin(), glowDistanceInPixels);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.strokeText != null)
+	{
+		this.frameBufferContext.strokeText(textToDraw, textX, textY);
+	}
+	
+	//use the same font and line settings and the glow color to draw on the glow buffer
+	if(this.glowColorContext != null && this.glowColorContext.strokeText != null)
+	{
+		this.copyDrawState(this.glowColorContext);
+		this.copyStrokeState(this.glowColorContext);
+		this.glowColorContext.strokeStyle = this.getGlowStrokeStyle(glowColor);
+		this.glowColorContext.strokeText(textToDraw, textX, textY);
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer.
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.strokeText != null)
+	{
+		this.copyDrawState(this.glowOcclusionContext);
+		this.copyStrokeState(this.glowOcclusionContext);
+		this.glowOcclusionContext.strokeStyle = this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff);
+		this.glowOcclusionContext.strokeText(textToDraw, textX, textY);
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//strokeTextWithOcclusion
+//
+//draw the outline of text so that it will obscure glowing objects, and so it will have glow applied to its edges
+//
+//Parameters:
+//textToDraw - 	the actual string that will be drawn
+//textX - 		x-coordinate of the upper left-hand corner of the string
+//textY - 		y-coordinate of the upper left-hand corner of the string
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.strokeTextWithOcclusion = function(textToDraw, textX, textY, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	var groupNames = getGlowGroupNames(occlusionGroups);
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var occlusionContext;
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordTextDraw("strokeTextWithOcclusion", arguments, textToDraw, textX, textY, 0, 0);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.strokeText != null)
+	{
+		this.frameBufferContext.strokeText(textToDraw, textX, textY);
+	}
+	
+	//draw to the occlusion context so no glow is computed for this outline but glow is applied to it, once for every group it occludes
+	for(groupLoop = 0; groupLoop < groupNames.length; groupLoop++)
+	{
+		this.selectGlowGroup(groupNames[groupLoop]);
+		occlusionContext = this.getGlowOccluderContext(occlusionTransmission);
+		
+		if(occlusionContext != null && occlusionContext.strokeText != null)
+		{
+			this.copyDrawState(occlusionContext);
+			this.copyStrokeState(occlusionContext);
+			occlusionContext.strokeStyle = this.getGlowOccluderStyle(occlusionTransmission, occlusionTint);
+			occlusionContext.strokeText(textToDraw, textX, textY);
+		}
+	}
+	this.selectGlowGroup(previousGroup);
+};
+
+//strokePathWithGlow
+//
+//stroke a Path2D using the current state.  Then draw the same outline (with the same line width, caps, joins and dashes) to the glow contexts
+//so that the glow follows the outline rather than the filled interior.
+//
+//Parameters:
+//path - 					the Path2D to stroke
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
+//							the value, the softer the overall glow looks.  May also be a function of time (see getGlowValue()).
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
+//							of the glow will diminish over this distance until it is no longer visible.  May also be a function of time.
+//glowColor - 				(optional) the color of the glow (any valid strokeStyle: CSS color string, gradient or pattern).  If omitted, the
+//							glow will be the same color as the current strokeStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance: "linear" (the default), "quadratic", "exponential", "smoothstep",
+//							"gaussian", or a function that takes t (0 at the shape, 1 at the end of the glow) and returns the fraction of the
+//							starting alpha at that point.
+//pathBounds - 				(optional) the bounding box of the path (not counting the line width) as {left, top, right, bottom}, so that glow
+//							only has to be computed around it.  If omitted, the whole canvas is treated as changed.
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.strokePathWithGlow = function(path, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, pathBounds, glowGroup)
+{
+	//note the draw call and the area it covers for computeGlow()
+	this.recordPathDraw("strokePathWithGlow", arguments, pathBounds, this.getStrokeMargin(), glowDistanceInPixels);
+	
+	this.strokePathToGlowContexts(path, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//strokePathToGlowContexts
+//
+//The drawing half of strokePathWithGlow(), without noting the draw call.  You generally won't call this function directly.  It is a utility
+//function that is called by strokePathWithGlow() and the shape calls built on it.
+GlowRenderer.prototype.strokePathToGlowContexts = function(path, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.stroke != null)
+	{
+		this.frameBufferContext.stroke(path);
+	}
+	
+	//draw the glow color to the glow buffer (the outline's own color unless a different glow color was passed)
+	if(this.glowColorContext != null && this.glowColorContext.stroke != null)
+	{
+		this.copyDrawState(this.glowColorContext);
+		this.copyStrokeState(this.glowColorContext);
+		this.glowColorContext.strokeStyle = this.getGlowStrokeStyle(glowColor);
+		this.glowColorContext.stroke(path);
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer.
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.stroke != null)
+	{
+		this.copyDrawState(this.glowOcclusionContext);
+		this.copyStrokeState(this.glowOcclusionContext);
+		this.glowOcclusionContext.strokeStyle = this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff);
+		this.glowOcclusionContext.stroke(path);
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//strokePathWithOcclusion
+//
+//stroke a Path2D using the current state.  Then draw the same outline to the occlusion buffer so it will block glow processing and have glow
+//applied to its edges during the screen drawing process
+//
+//Parameters:
+//path - 	the Path2D to stroke
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.strokePathWithOcclusion = function(path, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	//note the draw call for computeGlow()
+	this.recordGlowDraw("strokePathWithOcclusion", arguments, null, null, null, null, 0);
+	
+	this.strokePathToOcclusionContext(path, occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//strokePathToOcclusionContext
+//
+//The drawing half of strokePathWithOcclusion(), without noting the draw call.  You generally won't call this function directly.  It is a utility
+//function that is called by strokePathWithOcclusion() and the shape calls built on it.
+GlowRenderer.prototype.strokePathToOcclusionContext = function(path, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	var groupNames = getGlowGroupNames(occlusionGroups);
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var occlusionContext;
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.stroke != null)
+	{
+		this.frameBufferContext.stroke(path);
+	}
+	
+	//draw to the occlusion context so no glow is computed for this outline but glow is applied to it, once for every group it occludes
+	for(groupLoop = 0; groupLoop < groupNames.length; groupLoop++)
+	{
+		this.selectGlowGroup(groupNames[groupLoop]);
+		occlusionContext = this.getGlowOccluderContext(occlusionTransmission);
+		
+		if(occlusionContext != null && occlusionContext.stroke != null)
+		{
+			this.copyDrawState(occlusionContext);
+			this.copyStrokeState(occlusionContext);
+			occlusionContext.strokeStyle = this.getGlowOccluderStyle(occlusionTransmission, occlusionTint);
+			occlusionContext.stroke(path);
+		}
+	}
+	this.selectGlowGroup(previousGroup);
+};
+
+//strokeCircleWithGlow
+//
+//stroke the outline of a circle using the current state and have it glow.  See strokePathWithGlow() for the glow parameters.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the circle
+//centerY - 	y-coordinate of the center of the circle
+//radius - 		radius of the circle
+GlowRenderer.prototype.strokeCircleWithGlow = function(centerX, centerY, radius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("strokeCircleWithGlow", arguments, getEllipseBounds(centerX, centerY, radius, radius), this.getStrokeMargin(), glowDistanceInPixels);
+	this.strokePathToGlowContexts(createEllipsePath(centerX, centerY, radius, radius), glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//strokeCircleWithOcclusion
+//
+//stroke the outline of a circle using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the circle
+//centerY - 	y-coordinate of the center of the circle
+//radius - 		radius of the circle
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.strokeCircleWithOcclusion = function(centerX, centerY, radius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("strokeCircleWithOcclusion", arguments, null, null, null, null, 0);
+	this.strokePathToOcclusionContext(createEllipsePath(centerX, centerY, radius, radius), occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//strokeEllipseWithGlow
+//
+//stroke the outline of an ellipse using the current state and have it glow.  See strokePathWithGlow() for the glow parameters.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the ellipse
+//centerY - 	y-coordinate of the center of the ellipse
+//radiusX - 	radius of the ellipse along its x-axis
+//radiusY - 	radius of the ellipse along its y-axis
+//rotation - 	rotation of the ellipse in radians
+GlowRenderer.prototype.strokeEllipseWithGlow = function(centerX, centerY, radiusX, radiusY, rotation, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("strokeEllipseWithGlow", arguments, getEllipseBounds(centerX, centerY, radiusX, radiusY), this.getStrokeMargin(), glowDistanceInPixels);
+	this.strokePathToGlowContexts(createEllipsePath(centerX, centerY, radiusX, radiusY, rotation), glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//strokeEllipseWithOcclusion
+//
+//stroke the outline of an ellipse using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//centerX - 	x-coordinate of the center of the ellipse
+//centerY - 	y-coordinate of the center of the ellipse
+//radiusX - 	radius of the ellipse along its x-axis
+//radiusY - 	radius of the ellipse along its y-axis
+//rotation - 	rotation of the ellipse in radians
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.strokeEllipseWithOcclusion = function(centerX, centerY, radiusX, radiusY, rotation, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("strokeEllipseWithOcclusion", arguments, null, null, null, null, 0);
+	this.strokePathToOcclusionContext(createEllipsePath(centerX, centerY, radiusX, radiusY, rotation), occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//strokeRoundRectWithGlow
+//
+//stroke the outline of a rectangle with rounded corners using the current state and have it glow.  See strokePathWithGlow() for the glow parameters.
+//
+//Parameters:
+//rectX - 			x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 			y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 		width of the rectangle
+//rectHeight - 		height of the rectangle
+//cornerRadius - 	radius of the rounded corners
+GlowRenderer.prototype.strokeRoundRectWithGlow = function(rectX, rectY, rectWidth, rectHeight, cornerRadius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("strokeRoundRectWithGlow", arguments, getRectBounds(rectX, rectY, rectWidth, rectHeight), this.getStrokeMargin(), glowDistanceInPixels);
+	this.strokePathToGlowContexts(createRoundRectPath(rectX, rectY, rectWidth, rectHeight, cornerRadius), glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//strokeRoundRectWithOcclusion
+//
+//stroke the outline of a rectangle with rounded corners using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//rectX - 			x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 			y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 		width of the rectangle
+//rectHeight - 		height of the rectangle
+//cornerRadius - 	radius of the rounded corners
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.strokeRoundRectWithOcclusion = function(rectX, rectY, rectWidth, rectHeight, cornerRadius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("strokeRoundRectWithOcclusion", arguments, null, null, null, null, 0);
+	this.strokePathToOcclusionContext(createRoundRectPath(rectX, rectY, rectWidth, rectHeight, cornerRadius), occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//strokePolygonWithGlow
+//
+//stroke the outline of a polygon using the current state and have it glow.  See strokePathWithGlow() for the glow parameters.
+//
+//Parameters:
+//polygonPoints - 	the x and y coordinates of the polygon's corners, in order ([x1, y1, x2, y2, ...])
+GlowRenderer.prototype.strokePolygonWithGlow = function(polygonPoints, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.recordPathDraw("strokePolygonWithGlow", arguments, getPolygonBounds(polygonPoints), this.getStrokeMargin(), glowDistanceInPixels);
+	this.strokePathToGlowContexts(createPolygonPath(polygonPoints), glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//strokePolygonWithOcclusion
+//
+//stroke the outline of a polygon using the current state so that it occludes glowing shapes behind it.
+//
+//Parameters:
+//polygonPoints - 	the x and y coordinates of the polygon's corners, in order ([x1, y1, x2, y2, ...])
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.strokePolygonWithOcclusion = function(polygonPoints, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	this.recordGlowDraw("strokePolygonWithOcclusion", arguments, null, null, null, null, 0);
+	this.strokePathToOcclusionContext(createPolygonPath(polygonPoints), occlusionTransmission, occlusionTint, occlusionGroups);
+};
+
+//getGlowMaskContext
+//
+//Returns the renderer's scratch context for turning an image's alpha channel into a solid mask, creating it (or resizing it) to match the glow
+//buffers when needed.  You generally won't call this function directly.  It is a utility function that is called by drawImageMask().
+GlowRenderer.prototype.getGlowMaskContext = function()
+{
+	if(this.glowMaskContext == null)
+	{
+		this.glowMaskContext = createHiddenCanvasContext(this.canvasWidth, this.canvasHeight);
+	}
+	else if(this.glowMaskContext.canvas.width != this.canvasWidth || this.glowMaskContext.canvas.height != this.canvasHeight)
+	{
+		this.glowMaskContext.canvas.width = this.canvasWidth;
+		this.glowMaskContext.canvas.height = this.canvasHeight;
+	}
+	
+	return this.glowMaskContext;
+};
+
+//drawImageMask
+//
+//Draw the silhouette of an image (every pixel that isn't fully transparent, keeping its alpha) to the passed context, filled with the passed
+//style instead of the image's own colors.  This is how an image's shape id or glow color override gets drawn.
+//
+//Parameters:
+//contextOut - 		the glow context to draw the silhouette to
+//image - 			the image, canvas, video frame or bitmap to draw
+//imageArguments - 	the arguments that follow the image in a standard drawImage() call ([dx, dy], [dx, dy, dw, dh] or [sx, sy, sw, sh, dx, dy, dw, dh])
+//fillStyle - 		the color (or shape id style) to fill the silhouette with
+GlowRenderer.prototype.drawImageMask = function(contextOut, image, imageArguments, fillStyle)
+{
+	var maskContext = this.getGlowMaskContext();
+	
+	if(maskContext == null)
+	{
+		return;
+	}
+	
+	//draw the image where the frame buffer's transform puts it, then replace its colors with the fill style while keeping its alpha
+	maskContext.setTransform(1, 0, 0, 1, 0, 0);
+	maskContext.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+	this.copyDrawState(maskContext);
+	maskContext.drawImage.apply(maskContext, [image].concat(imageArguments));
+	maskContext.setTransform(1, 0, 0, 1, 0, 0);
+	maskContext.globalCompositeOperation = "source-in";
+	maskContext.fillStyle = fillStyle;
+	maskContext.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
+	maskContext.globalCompositeOperation = "source-over";
+	
+	//the mask is already in canvas pixels, so copy it without any transform (the glow context's clip region still applies)
+	contextOut.save();
+	contextOut.setTransform(1, 0, 0, 1, 0, 0);
+	contextOut.globalAlpha = 1.0;
+	contextOut.globalCompositeOperation = "source-over";
+	contextOut.drawImage(maskContext.canvas, 0, 0);
+	contextOut.restore();
+};
+
+//drawImageWithGlow
+//
+//perform the standard drawImage using the current state.  Then draw the image's own pixels to the glow color buffer and its alpha channel to
+//the occlusion buffer, so the glow comes out of the image's actual silhouette and takes its color from the image.
+//
+//Parameters:
+//image - 					the image, canvas, video frame or bitmap to draw (anything drawImage() accepts)
+//imageArguments - 			the arguments that follow the image in a standard drawImage() call: [dx, dy], [dx, dy, dw, dh] or
+//							[sx, sy, sw, sh, dx, dy, dw, dh]
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  The lower
+//							the value, the softer the overall glow looks.  May also be a function of time (see getGlowValue()).
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  The intensity
+//							of the glow will diminish over this distance until it is no longer visible.  May also be a function of time.
+//glowColor - 				(optional) a single color (any valid fillStyle: CSS color string, gradient or pattern) for the whole glow.  If
+//							omitted, each glow pixel takes the color of the image pixel it comes from.
+//glowFalloff - 			(optional) how the glow fades over its distance: "linear" (the default), "quadratic", "exponential", "smoothstep",
+//							"gaussian", or a function that takes t (0 at the image, 1 at the end of the glow) and returns the fraction of the
+//							starting alpha at that point.
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.drawImageWithGlow = function(image, imageArguments, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordImageDraw("drawImageWithGlow", arguments, image, imageArguments, glowDistanceInPixels);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.drawImage != null)
+	{
+		this.frameBufferContext.drawImage.apply(this.frameBufferContext, [image].concat(imageArguments));
+	}
+	
+	//draw the image itself to the glow buffer, or its silhouette in the glow color if one was passed
+	if(this.glowColorContext != null && this.glowColorContext.drawImage != null)
+	{
+		if(glowColor != null)
+		{
+			this.drawImageMask(this.glowColorContext, image, imageArguments, glowColor);
+		}
+		else
+		{
+			this.copyDrawState(this.glowColorContext);
+			this.glowColorContext.drawImage.apply(this.glowColorContext, [image].concat(imageArguments));
+		}
+	}
+	
+	//draw the glow information (alpha, distance) to the occlusion buffer in the shape of the image
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.drawImage != null)
+	{
+		this.drawImageMask(this.glowOcclusionContext, image, imageArguments, this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff));
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//drawImageWithOcclusion
+//
+//perform the standard drawImage using the current state.  Then draw the image's silhouette to the occlusion buffer so it will block glow
+//processing and have glow applied to its edges during the screen drawing process
+//
+//Parameters:
+//image - 			the image, canvas, video frame or bitmap to draw (anything drawImage() accepts)
+//imageArguments - 	the arguments that follow the image in a standard drawImage() call: [dx, dy], [dx, dy, dw, dh] or [sx, sy, sw, sh, dx, dy, dw, dh]
+//occlusionTransmission - 	(optional) for a semi-transparent occluder such as frosted glass, how much of the glow behind it shows through (0 - 1).
+//							Without it the shape is an ordinary occluder.
+//occlusionTint - 			(optional) a CSS color that glow seen through a semi-transparent occluder is tinted with
+//occlusionGroups - 		(optional) the name of the glow group the shape occludes, or an array of names (see selectGlowGroup()).  Defaults to
+//							the default group only.
+GlowRenderer.prototype.drawImageWithOcclusion = function(image, imageArguments, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	var groupNames = getGlowGroupNames(occlusionGroups);
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var occlusionContext;
+	
+	//note the draw call and the area it covers for computeGlow()
+	this.recordImageDraw("drawImageWithOcclusion", arguments, image, imageArguments, 0);
+	
+	//draw to the screen context
+	if(this.frameBufferContext != null && this.frameBufferContext.drawImage != null)
+	{
+		this.frameBufferContext.drawImage.apply(this.frameBufferContext, [image].concat(imageArguments));
+	}
+	
+	//draw the image's silhouette to the occlusion context so no glow is computed for it but glow is applied to it, once for every group it occludes
+	for(groupLoop = 0; groupLoop < groupNames.length; groupLoop++)
+	{
+		this.selectGlowGroup(groupNames[groupLoop]);
+		occlusionContext = this.getGlowOccluderContext(occlusionTransmission);
+		
+		if(occlusionContext != null && occlusionContext.drawImage != null)
+		{
+			this.drawImageMask(occlusionContext, image, imageArguments, this.getGlowOccluderStyle(occlusionTransmission, occlusionTint));
+		}
+	}
+	this.selectGlowGroup(previousGroup);
+};
+
+
+//*********************
+//Rich text
+//
+//fillRichTextWithGlow() draws a paragraph made of styled spans: it breaks lines at "\n", wraps words to a maximum width, aligns each line and
+//draws every run of each span with fillTextWithGlow() (or fillTextWithOcclusion() for spans that don't glow), so one word can glow in a
+//sentence that otherwise only occludes.  layoutRichText() does the same layout without drawing anything, and both return the boxes of the lines
+//and of the spans on them, for hit testing or for drawing backgrounds and underlines.
+//
+//Spans are laid out left to right only, and a word that is wider than the maximum width on its own overflows it rather than being broken.
+//*********************
+
+//layoutRichText
+//
+//Measure and lay out rich text without drawing it (see "Rich text" above).  The text is measured with the frame buffer's current state (its font,
+//unless a span has one of its own).
+//
+//Parameters:
+//spans - 			an array of spans.  A span is a string, or an object with:
+//						text - 			the text of the span.  "\n" starts a new line.
+//						font - 			(optional) the CSS font of the span.  Defaults to the frame buffer's current font.
+//						fontWeight - 	(optional) a CSS font weight ("bold", 300...) that replaces the weight of the font
+//						fontStyle - 	(optional) "italic", "oblique" or "normal", replacing the style of the font
+//						fillStyle - 	(optional) the color, gradient or pattern of the span.  Defaults to the frame buffer's current fillStyle.
+//						glow - 			(optional) the span's glow: an object with startingAlpha and distance (numbers or functions of time),
+//										and optionally color and falloff (see fillTextWithGlow()).  Spans without one occlude.
+//						group - 		(optional) for a span that glows, the name of the glow group it belongs to
+//						occlusionGroups - (optional) for a span that doesn't glow, the glow group it occludes, or an array of names
+//textX - 			x-coordinate of the left edge of the text box
+//textY - 			y-coordinate of the top edge of the text box
+//layoutOptions - 	(optional) an object with any of:
+//						maxWidth - 		the width lines are wrapped to.  Without it lines are only broken at "\n".
+//						lineHeight - 	the height of each line in pixels.  Defaults to 1.2 times the height of the tallest font on the line.
+//						align - 		"left" (the default), "center" or "right", within maxWidth (or the widest line without it)
+//
+//Returns the layout: {left, top, width, height, lines}.  Each line is {left, top, width, height, baseline, spans}, and each of its spans is
+//{span, spanIndex, text, left, top, width, height, baseline}: the part of a span that is on that line (a span that wraps has a box on every
+//line it's on), with span the object (or string) it came from and spanIndex its index in spans.  The width of a line leaves out the spaces it
+//wrapped at.
+GlowRenderer.prototype.layoutRichText = function(spans, textX, textY, layoutOptions)
+{
+	var context = this.frameBufferContext;
+	var baseFont;
+	var lines = [];
+	var line;
+	var items;
+	var itemLoop;
+	var item;
+	var boxWidth = 0;
+	var lineTop = textY;
+	var lineLoop;
+	var runLoop;
+	var run;
+	var metrics;
+	var ascent;
+	var descent;
+	var lineX;
+	
+	if(layoutOptions == null)
+	{
+		layoutOptions = {};
+	}
+	
+	context.save();
+	baseFont = context.font;
+	
+	//break the spans into words, spaces and line breaks, then fill lines with them
+	items = this.getRichTextItems(spans, baseFont);
+	line = {items: [], width: 0, hasWord: false};
+	for(itemLoop = 0; itemLoop < items.length; itemLoop++)
+	{
+		item = items[itemLoop];
+		
+		if(item.kind == "break")
+		{
+			line.breakItem = item;
+			lines.push(line);
+			line = {items: [], width: 0, hasWord: false};
+			continue;
+		}
+		
+		//spaces at the start of a wrapped line are dropped
+		if(item.kind == "space" && line.items.length == 0 && lines.length > 0 && lines[lines.length - 1].breakItem == null)
+		{
+			continue;
+		}
+		
+		if(item.kind == "word" && layoutOptions.maxWidth != null && line.hasWord == true && line.width + item.width > layoutOptions.maxWidth)
+		{
+			lines.push(line);
+			line = {items: [], width: 0, hasWord: false};
+		}
+		
+		line.items.push(item);
+		line.width += item.width;
+		line.hasWord = line.hasWord || (item.kind == "word");
+	}
+	lines.push(line);
+	
+	//turn each line's items into runs (the text of one span on one line), measured as a whole so kerning within them is kept
+	for(lineLoop = 0; lineLoop < lines.length; lineLoop++)
+	{
+		line = lines[lineLoop];
+		
+		//the spaces a line wrapped at aren't part of it
+		while(line.items.length > 0 && line.items[line.items.length - 1].kind == "space")
+		{
+			line.items.pop();
+		}
+		
+		line.runs = [];
+		line.width = 0;
+		line.ascent = 0;
+		line.descent = 0;
+		for(itemLoop = 0; itemLoop < line.items.length; itemLoop++)
+		{
+			item = line.items[itemLoop];
+			for(runLoop = 0; runLoop < item.pieces.length; runLoop++)
+			{
+				run = line.runs[line.runs.length - 1];
+				if(run != null && run.spanIndex == item.pieces[runLoop].spanIndex)
+				{
+					run.text += item.pieces[runLoop].text;
+				}
+				else
+				{
+					line.runs.push({spanIndex: item.pieces[runLoop].spanIndex, font: item.pieces[runLoop].font, text: item.pieces[runLoop].text});
+				}
+			}
+		}
+		
+		//an empty line is as tall as the font it was broken in
+		if(line.runs.length == 0)
+		{
+			metrics = getRichTextFontMetrics(context, (line.breakItem != null) ? line.breakItem.pieces[0].font : baseFont, " ");
+			line.ascent = metrics.ascent;
+			line.descent = metrics.descent;
+		}
+		
+		for(runLoop = 0; runLoop < line.runs.length; runLoop++)
+		{
+			run = line.runs[runLoop];
+			metrics = getRichTextFontMetrics(context, run.font, run.text);
+			run.width = metrics.width;
+			run.ascent = metrics.ascent;
+			run.descent = metrics.descent;
+			line.width += run.width;
+			line.ascent = Math.max(line.ascent, run.ascent);
+			line.descent = Math.max(line.descent, run.descent);
+		}
+		
+		boxWidth = Math.max(boxWidth, line.width);
+	}
+	
+	if(layoutOptions.maxWidth != null)
+	{
+		boxWidth = layoutOptions.maxWidth;
+	}
+	
+	context.restore();
+	
+	//then place the lines one below the other, with the extra line height split evenly above and below the text (as CSS does)
+	for(lineLoop = 0; lineLoop < lines.length; lineLoop++)
+	{
+		line = lines[lineLoop];
+		ascent = line.ascent;
+		descent = line.descent;
+		
+		line.height = (layoutOptions.lineHeight != null) ? layoutOptions.lineHeight : (ascent + descent) * 1.2;
+		line.baseline = lineTop + ((line.height - ascent - descent) / 2) + ascent;
+		
+		switch(layoutOptions.align)
+		{
+			case "center":
+				lineX = textX + ((boxWidth - line.width) / 2);
+				break;
+			case "right":
+				lineX = textX + boxWidth - line.width;
+				break;
+			default:
+				lineX = textX;
+				break;
+		}
+		
+		lines[lineLoop] = {left: lineX, top: lineTop, width: line.width, height: line.height, baseline: line.baseline, spans: []};
+		for(runLoop = 0; runLoop < line.runs.length; runLoop++)
+		{
+			run = line.runs[runLoop];
+			lines[lineLoop].spans.push({span: spans[run.spanIndex], spanIndex: run.spanIndex, text: run.text, left: lineX, top: line.baseline - run.ascent,
+				width: run.width, height: run.ascent + run.descent, baseline: line.baseline});
+			lineX += run.width;
+		}
+		
+		lineTop += line.height;
+	}
+	
+	return {left: textX, top: textY, width: boxWidth, height: lineTop - textY, lines: lines};
+};
+
+//fillRichTextWithGlow
+//
+//Lay out rich text with layoutRichText() and draw it: each run of a span that glows is drawn with fillTextWithGlow(), and every other run
+//with fillTextWithOcclusion() (see "Rich text" above).  The frame buffer's state is left as it was.
+//
+//Parameters:
+//spans - 			the spans to draw (see layoutRichText())
+//textX - 			x-coordinate of the left edge of the text box
+//textY - 			y-coordinate of the top edge of the text box
+//layoutOptions - 	(optional) maxWidth, lineHeight and align (see layoutRichText())
+//
+//Returns the layout, as layoutRichText() does
+GlowRenderer.prototype.fillRichTextWithGlow = function(spans, textX, textY, layoutOptions)
+{
+	var layout = this.layoutRichText(spans, textX, textY, layoutOptions);
+	var baseFont = this.frameBufferContext.font;
+	var baseFillStyle = this.frameBufferContext.fillStyle;
+	var lineLoop;
+	var spanLoop;
+	var spanBox;
+	var span;
+	
+	this.frameBufferContext.save();
+	this.frameBufferContext.textAlign = "left";
+	this.frameBufferContext.textBaseline = "alphabetic";
+	
+	for(lineLoop = 0; lineLoop < layout.lines.length; lineLoop++)
+	{
+		for(spanLoop = 0; spanLoop < layout.lines[lineLoop].spans.length; spanLoop++)
+		{
+			spanBox = layout.lines[lineLoop].spans[spanLoop];
+			span = (typeof spanBox.span == "string") ? {} : spanBox.span;
+			
+			//runs of nothing but spaces would only add draw calls
+			if(/^\s*$/.test(spanBox.text) == true)
+			{
+				continue;
+			}
+			
+			this.frameBufferContext.font = getRichTextSpanFont((span.font != null) ? span.font : baseFont, span.fontWeight, span.fontStyle);
+			this.frameBufferContext.fillStyle = (span.fillStyle != null) ? span.fillStyle : baseFillStyle;
+			
+			if(span.glow != null)
+			{
+				this.fillTextWithGlow(spanBox.text, spanBox.left, spanBox.baseline, span.glow.startingAlpha, span.glow.distance, span.glow.color, span.glow.falloff,
+					span.group);
+			}
+			else
+			{
+				this.fillTextWithOcclusion(spanBox.text, spanBox.left, spanBox.baseline, null, null, span.occlusionGroups);
+			}
+		}
+	}
+	
+	this.frameBufferContext.restore();
+	
+	return layout;
+};
+
+//getRichTextItems
+//
+//Returns the spans of rich text broken into the pieces lines are made of: words (which may run across spans, as in "<b>glow</b>ing"), runs of
+//spaces and line breaks, each as {kind ("word", "space" or "break"), width, pieces}, where every piece is {spanIndex, font, text} and the width
+//is that of the pieces measured on their own.  You generally won't call this function directly.  It is a utility function that is called by
+//layoutRichText().
+//
+//Parameters:
+//spans - 		the spans (see layoutRichText())
+//baseFont - 	the font of spans that don't have one of their own
+GlowRenderer.prototype.getRichTextItems = function(spans, baseFont)
+{
+	var items = [];
+	var item = null;
+	var spanLoop;
+	var span;
+	var spanFont;
+	var pieceTexts;
+	var pieceLoop;
+	var pieceText;
+	var pieceKind;
+	
+	for(spanLoop = 0; spanLoop < spans.length; spanLoop++)
+	{
+		span = (typeof spans[spanLoop] == "string") ? {text: spans[spanLoop]} : spans[spanLoop];
+		spanFont = getRichTextSpanFont((span.font != null) ? span.font : baseFont, span.fontWeight, span.fontStyle);
+		pieceTexts = String(span.text).split(/(\n|[^\S\n]+)/);
+		
+		for(pieceLoop = 0; pieceLoop < pieceTexts.length; pieceLoop++)
+		{
+			pieceText = pieceTexts[pieceLoop];
+			if(pieceText.length == 0)
+			{
+				continue;
+			}
+			
+			pieceKind = (pieceText == "\n") ? "break" : ((/^\s+$/.test(pieceText) == true) ? "space" : "word");
+			
+			//a word carries on into the next span when nothing separates them
+			if(item == null || pieceKind == "break" || pieceKind != item.kind)
+			{
+				item = {kind: pieceKind, width: 0, pieces: []};
+				items.push(item);
+			}
+			
+			item.pieces.push({spanIndex: spanLoop, font: spanFont, text: (pieceKind == "break") ? "" : pieceText});
+			item.width += getRichTextFontMetrics(this.frameBufferContext, spanFont, item.pieces[item.pieces.length - 1].text).width;
+		}
+	}
+	
+	return items;
+};
+
+//getRichTextSpanFont
+//
+//Returns a CSS font with its weight and style replaced.  Whatever comes before the font size in a CSS font is its style, variant, weight and
+//stretch, so those keywords are replaced there and the rest is kept.  You generally won't call this function directly.
+//
+//Parameters:
+//font - 			the CSS font, e.g. "italic bold 20px serif"
+//fontWeight - 		(optional) the new weight ("normal", "bold", "bolder", "lighter" or 1 - 1000)
+//fontStyle - 		(optional) the new style ("normal", "italic" or "oblique")
+function getRichTextSpanFont(font, fontWeight, fontStyle)
+{
+	var sizeMatch;
+	var fontPrefix;
+	var prefixWords;
+	var keptWords = [];
+	var wordLoop;
+	
+	if(fontWeight == null && fontStyle == null)
+	{
+		return font;
+	}
+	
+	//the size is the first word that starts with a number followed by a unit or a percentage
+	sizeMatch = /(^|\s)[\d.]+(px|pt|pc|em|rem|ex|ch|vw|vh|%|in|cm|mm|q)\b/i.exec(font);
+	if(sizeMatch == null)
+	{
+		return font;
+	}
+	
+	fontPrefix = font.substring(0, sizeMatch.index);
+	prefixWords = fontPrefix.split(/\s+/);
+	for(wordLoop = 0; wordLoop < prefixWords.length; wordLoop++)
+	{
+		if(prefixWords[wordLoop].length == 0 || prefixWords[wordLoop] == "normal" ||
+			(fontWeight != null && /^(bold|bolder|lighter|\d+)$/i.test(prefixWords[wordLoop]) == true) ||
+			(fontStyle != null && /^(italic|oblique)$/i.test(prefixWords[wordLoop]) == true))
+		{
+			continue;
+		}
+		keptWords.push(prefixWords[wordLoop]);
+	}
+	
+	if(fontWeight != null)
+	{
+		keptWords.unshift(String(fontWeight));
+	}
+	if(fontStyle != null)
+	{
+		keptWords.unshift(fontStyle);
+	}
+	
+	return keptWords.join(" ") + " " + font.substring(sizeMatch.index).replace(/^\s+/, "");
+}
+
+//getRichTextFontMetrics
+//
+//Returns the width of a piece of text and the ascent and descent of its font, as {width, ascent, descent}.  The ascent and descent are the
+//font's (so every line in the same font is as tall, whatever letters it has), estimated from the font size where the browser doesn't report
+//them.  You generally won't call this function directly.
+//
+//Parameters:
+//context - 	the context to measure with
+//font - 		the CSS font of the text
+//text - 		the text to measure
+function getRichTextFontMetrics(context, font, text)
+{
+	var textMetrics;
+	var fontSize;
+	
+	context.font = font;
+	textMetrics = context.measureText(text);
+	
+	if(textMetrics.fontBoundingBoxAscent != null && textMetrics.fontBoundingBoxDescent != null)
+	{
+		return {width: textMetrics.width, ascent: textMetrics.fontBoundingBoxAscent, descent: textMetrics.fontBoundingBoxDescent};
+	}
+	
+	fontSize = /([\d.]+)px/.exec(context.font);
+	fontSize = (fontSize != null) ? parseFloat(fontSize[1]) : 10;
+	return {width: textMetrics.width, ascent: fontSize * 0.8, descent: fontSize * 0.2};
+}
+
+
+//*********************
+//Glow sprites
+//
+//Glow that never changes (labels, logos, static panels) doesn't need to be computed every frame.  The "WithGlowSprite" calls draw a shape as the
+//"WithGlow" calls do, but its glow is computed once, on its own, and kept as a sprite that is stamped into the glow output every frame after
+//that.  Sprites are keyed by the shape (its key, which for text includes the font and text layout), the fill and stroke state, the transform
+//(apart from whole pixel moves) and the glow parameters, so changing any of those computes a new sprite.  Only the glowMode "outer", glowBlendMode
+//"max" and no glowSpread are supported; the renderer's own settings for those are ignored.
+//
+//A sprite's glow is only right while nothing else interferes with it, so in a frame where an occluder hides part of the shape, another glowing
+//shape is drawn inside its glow, or a semi-transparent occluder is drawn to its group, the shape's glow is computed as usual instead.  The last
+//glowSpriteLimit sprites used are kept; invalidateGlowSprites() throws sprites away when something they depend on (an image, a gradient)
+//changes without their key changing.
+//*********************
+
+var glowSpriteRenderer = null;	//the renderer whose scratch buffers are used to compute sprites
+
+//drawGlowSprite
+//
+//Draw a glowing shape whose glow is kept as a sprite (see "Glow sprites" above).  The shape is drawn by a function of your own, which is called
+//for the frame buffer, the glow color context and the occlusion context (with their fill and stroke styles set) whenever the shape is drawn or
+//its sprite computed.
+//
+//Parameters:
+//spriteKey - 				a string that identifies the shape's geometry.  Shapes with the same key must look the same.
+//drawShape - 				a function that takes a context and draws the shape to it with the context's current state, e.g.
+//							function(context) { context.fill(logoPath); }
+//shapeBounds - 			the shape's bounding box ({left, top, right, bottom}, before the transform)
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape.  May also be a
+//							function of time (see getGlowValue()); the sprite is computed again whenever its value changes.
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn.  May also be a
+//							function of time.
+//glowColor - 				(optional) the color of the glow (see fillRectWithGlow())
+//glowFalloff - 			(optional) how the glow fades over its distance (see fillRectWithGlow())
+//glowGroup - 				(optional) the name of the glow group the shape belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.drawGlowSprite = function(spriteKey, drawShape, shapeBounds, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var previousGroup = this.selectGlowGroup(glowGroup);
+	var startingAlpha = this.getGlowValue(glowStartingAlpha256);
+	var distance = this.getGlowValue(glowDistanceInPixels) * this.pixelRatio;
+	var shapeAlpha256 = Math.floor(this.frameBufferContext.globalAlpha * 255);
+	var frameTransform = (this.frameBufferContext.getTransform != null) ? this.frameBufferContext.getTransform() : null;
+	var canvasBounds;
+	var cacheKey;
+	var sprite;
+	var shapeId;
+	
+	//note the draw call for skipUnchangedFrames.  Sprites don't mark any part of the canvas dirty, since their glow isn't computed there.
+	this.recordGlowDraw("drawGlowSprite", [spriteKey, shapeBounds.left, shapeBounds.top, shapeBounds.right, shapeBounds.bottom, startingAlpha, distance, glowColor,
+		glowFalloff, glowGroup], null, null, null, null, 0);
+	
+	//draw to the screen context
+	drawShape(this.frameBufferContext);
+	
+	//the glow color is drawn as usual, so that the shape's glow can still be computed in frames where its sprite can't be used
+	if(this.glowColorContext != null)
+	{
+		this.copySpriteDrawState(this.glowColorContext);
+		this.glowColorContext.fillStyle = this.getGlowFillStyle(glowColor);
+		this.glowColorContext.strokeStyle = this.getGlowStrokeStyle(glowColor);
+		drawShape(this.glowColorContext);
+	}
+	
+	//a shape without glow in the occlusion buffer (so it blocks other glow like any glowing shape) with an entry of its own, which
+	//prepareGlowSprites() gives the sprite's glow if the sprite can't be used this frame
+	if(this.glowOcclusionContext != null && frameTransform != null)
+	{
+		shapeId = addGlowShapeToTable(this.glowShapeTable, 0, shapeAlpha256, 0, -1, 0, this.glowGroup.code);
+		if(shapeId < 0)
+		{
+			shapeId = this.glowShapeTable.count - 1;
+		}
+		
+		this.copySpriteDrawState(this.glowOcclusionContext);
+		this.glowOcclusionContext.fillStyle = getGlowShapeIdStyle(shapeId);
+		this.glowOcclusionContext.strokeStyle = getGlowShapeIdStyle(shapeId);
+		drawShape(this.glowOcclusionContext);
+		
+		canvasBounds = getGlowTransformedBounds(shapeBounds, frameTransform);
+		cacheKey = this.getGlowSpriteKey(spriteKey, frameTransform, canvasBounds, startingAlpha, shapeAlpha256, distance, glowColor, glowFalloff);
+		sprite = this.getGlowSprite(cacheKey);
+		if(sprite == null)
+		{
+			sprite = this.bakeGlowSprite(cacheKey, spriteKey, drawShape, frameTransform, canvasBounds, startingAlpha, shapeAlpha256, distance, glowColor, glowFalloff);
+		}
+		
+		this.glowSpriteStamps.push({sprite: sprite, left: Math.floor(canvasBounds.left) + sprite.left, top: Math.floor(canvasBounds.top) + sprite.top,
+			bounds: canvasBounds, shapeId: shapeId, group: this.glowGroup.name, buffer: null, shapeIds: null});
+	}
+	else if(this.glowOcclusionContext != null)
+	{
+		//without the transform there's no telling where a sprite would go, so the shape glows as usual
+		this.copySpriteDrawState(this.glowOcclusionContext);
+		this.glowOcclusionContext.fillStyle = this.getGlowShapeStyle(glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff);
+		this.glowOcclusionContext.strokeStyle = this.glowOcclusionContext.fillStyle;
+		drawShape(this.glowOcclusionContext);
+		this.markGlowRegionDirty(null, null, null, null, distance);
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//fillTextWithGlowSprite
+//
+//fillTextWithGlow() with its glow kept as a sprite (see "Glow sprites" above).  Text that the browser can't measure is drawn with
+//fillTextWithGlow() instead.
+//
+//Parameters:
+//textToDraw - 				the actual string that will be drawn
+//textX - 					x-coordinate of the upper left-hand corner of the string
+//textY - 					y-coordinate of the upper left-hand corner of the string
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn
+//glowColor - 				(optional) the color of the glow.  If omitted, the glow will be the same color as the text's current fillStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance (see fillTextWithGlow())
+//glowGroup - 				(optional) the name of the glow group the text belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.fillTextWithGlowSprite = function(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	var textMetrics = (this.frameBufferContext.measureText != null) ? this.frameBufferContext.measureText(textToDraw) : null;
+	var spriteKey = "fillText:" + textToDraw;
+	var propertyLoop;
+	
+	if(textMetrics == null || textMetrics.actualBoundingBoxAscent == null)
+	{
+		this.fillTextWithGlow(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+		return;
+	}
+	
+	//the key leaves the position out, so the same text drawn anywhere shares a sprite, but the font and layout have to be in it
+	for(propertyLoop = 0; propertyLoop < glowTextLayoutProperties.length; propertyLoop++)
+	{
+		spriteKey += "|" + this.frameBufferContext[glowTextLayoutProperties[propertyLoop]];
+	}
+	
+	this.drawGlowSprite(spriteKey, function(context)
+	{
+		context.fillText(textToDraw, textX, textY);
+	},
+	{left: textX - textMetrics.actualBoundingBoxLeft, top: textY - textMetrics.actualBoundingBoxAscent, right: textX + textMetrics.actualBoundingBoxRight,
+		bottom: textY + textMetrics.actualBoundingBoxDescent}, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//fillRectWithGlowSprite
+//
+//fillRectWithGlow() with its glow kept as a sprite (see "Glow sprites" above).
+//
+//Parameters:
+//rectX - 					x-coordinate of the upper left-hand corner of the rectangle
+//rectY - 					y-coordinate of the upper left-hand corner of the rectangle
+//rectWidth - 				width of the rectangle
+//rectHeight - 				height of the rectangle
+//glowStartingAlpha256 - 	the desired alpha value of glow pixels drawn that immediately neighbor the pixels of the actual shape
+//glowDistanceInPixels - 	the distance away from the actual shape in which glow pixels will still be computed and drawn
+//glowColor - 				(optional) the color of the glow.  If omitted, the glow will be the same color as the rectangle's current fillStyle.
+//glowFalloff - 			(optional) how the glow fades over its distance (see fillRectWithGlow())
+//glowGroup - 				(optional) the name of the glow group the rectangle belongs to (see selectGlowGroup()).  Defaults to the default group.
+GlowRenderer.prototype.fillRectWithGlowSprite = function(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	this.drawGlowSprite("fillRect:" + rectWidth + "," + rectHeight, function(context)
+	{
+		context.fillRect(rectX, rectY, rectWidth, rectHeight);
+	},
+	{left: rectX, top: rectY, right: rectX + rectWidth, bottom: rectY + rectHeight}, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+};
+
+//invalidateGlowSprites
+//
+//Throw away cached glow sprites so that they're computed again the next time they're drawn.
+//
+//Parameters:
+//spriteKey - 	(optional) the key passed to drawGlowSprite() ("fillText:" followed by the text for fillTextWithGlowSprite(), "fillRect:" followed by
+//				the width and height for fillRectWithGlowSprite()).  Every sprite of that shape is thrown away.  Without it, every sprite is.
+GlowRenderer.prototype.invalidateGlowSprites = function(spriteKey)
+{
+	var spriteLoop;
+	
+	for(spriteLoop = this.glowSpriteOrder.length - 1; spriteLoop >= 0; spriteLoop--)
+	{
+		if(spriteKey == null || this.glowSprites[this.glowSpriteOrder[spriteLoop]].spriteKey == spriteKey)
+		{
+			delete this.glowSprites[this.glowSpriteOrder[spriteLoop]];
+			this.glowSpriteOrder.splice(spriteLoop, 1);
+		}
+	}
+};
+
+//copySpriteDrawState
+//
+//copyDrawState(), plus the line state the "stroke" calls copy, for the shapes drawn by drawGlowSprite() (which may be filled or stroked).  You
+//generally won't call this function directly.
+//
+//Parameters:
+//contextOut - 	the context that is about to be drawn to
+GlowRenderer.prototype.copySpriteDrawState = function(contextOut)
+{
+	this.copyDrawState(contextOut);
+	
+	contextOut.lineWidth = this.frameBufferContext.lineWidth;
+	contextOut.lineCap = this.frameBufferContext.lineCap;
+	contextOut.lineJoin = this.frameBufferContext.lineJoin;
+	contextOut.miterLimit = this.frameBufferContext.miterLimit;
+	if(this.frameBufferContext.getLineDash != null && contextOut.setLineDash != null)
+	{
+		contextOut.setLineDash(this.frameBufferContext.getLineDash());
+		contextOut.lineDashOffset = this.frameBufferContext.lineDashOffset;
+	}
+};
+
+//getGlowTransformedBounds
+//
+//Returns the box ({left, top, right, bottom}) around a box's four corners once they've been transformed.
+//
+//Parameters:
+//bounds - 		the box
+//transform - 	the transform (a DOMMatrix, or anything with a - f)
+function getGlowTransformedBounds(bounds, transform)
+{
+	var cornerX = [bounds.left, bounds.right, bounds.right, bounds.left];
+	var cornerY = [bounds.top, bounds.top, bounds.bottom, bounds.bottom];
+	var transformedBounds = {left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity};
+	var cornerLoop;
+	var pointX;
+	var pointY;
+	
+	for(cornerLoop = 0; cornerLoop < 4; cornerLoop++)
+	{
+		pointX = (transform.a * cornerX[cornerLoop]) + (transform.c * cornerY[cornerLoop]) + transform.e;
+		pointY = (transform.b * cornerX[cornerLoop]) + (transform.d * cornerY[cornerLoop]) + transform.f;
+		transformedBounds.left = Math.min(transformedBounds.left, pointX);
+		transformedBounds.top = Math.min(transformedBounds.top, pointY);
+		transformedBounds.right = Math.max(transformedBounds.right, pointX);
+		transformedBounds.bottom = Math.max(transformedBounds.bottom, pointY);
+	}
+	
+	return transformedBounds;
+}
+
+//getGlowSpriteKey
+//
+//Returns the cache key of a glow sprite: the shape's key and everything else that changes what the sprite looks like.  The position of the
+//shape only counts down to the pixel grid, so a shape that moves by whole pixels keeps its sprite.  You generally won't call this function
+//directly.
+//
+//Parameters:
+//spriteKey - 		the key passed to drawGlowSprite()
+//frameTransform - 	the frame buffer's transform
+//canvasBounds - 	the shape's bounding box on the canvas
+//startingAlpha - 	the starting alpha of the glow (0 - 255)
+//shapeAlpha256 - 	the alpha of the shape (0 - 255)
+//distance - 		the glow distance in canvas pixels
+//glowColor - 		the glow color passed to drawGlowSprite()
+//glowFalloff - 	the falloff curve passed to drawGlowSprite()
+GlowRenderer.prototype.getGlowSpriteKey = function(spriteKey, frameTransform, canvasBounds, startingAlpha, shapeAlpha256, distance, glowColor, glowFalloff)
+{
+	var keyParts = [spriteKey, startingAlpha, shapeAlpha256, distance, glowColor, glowFalloff, this.frameBufferContext.fillStyle, this.frameBufferContext.strokeStyle,
+		this.frameBufferContext.lineWidth, this.frameBufferContext.lineCap, this.frameBufferContext.lineJoin, this.frameBufferContext.miterLimit,
+		frameTransform.a, frameTransform.b, frameTransform.c, frameTransform.d, frameTransform.e - Math.floor(canvasBounds.left),
+		frameTransform.f - Math.floor(canvasBounds.top)];
+	
+	if(this.frameBufferContext.getLineDash != null)
+	{
+		keyParts.push(this.frameBufferContext.getLineDash().join(","), this.frameBufferContext.lineDashOffset);
+	}
+	
+	//gradients and patterns all turn into the same string, so sprites that use them need a key (or an invalidateGlowSprites()) of their own
+	return keyParts.join("|");
+};
+
+//getGlowSprite
+//
+//Returns the cached sprite with the passed cache key and marks it as the most recently used, or null if it isn't cached.  You generally won't
+//call this function directly.
+//
+//Parameters:
+//cacheKey - 	the sprite's cache key (see getGlowSpriteKey())
+GlowRenderer.prototype.getGlowSprite = function(cacheKey)
+{
+	var spriteIndex;
+	
+	if(this.glowSprites.hasOwnProperty(cacheKey) == false)
+	{
+		return null;
+	}
+	
+	spriteIndex = this.glowSpriteOrder.indexOf(cacheKey);
+	this.glowSpriteOrder.splice(spriteIndex, 1);
+	this.glowSpriteOrder.push(cacheKey);
+	
+	return this.glowSprites[cacheKey];
+};
+
+//bakeGlowSprite
+//
+//Compute the glow of a shape on its own, in a buffer just large enough for it, and cache it as a sprite.  The least recently used sprite is
+//thrown away once there are more than glowSpriteLimit.  You generally won't call this function directly.  It is a utility function that is called
+//by drawGlowSprite().
+//
+//Parameters:
+//cacheKey - 		the sprite's cache key (see getGlowSpriteKey())
+//spriteKey - 		the key passed to drawGlowSprite()
+//drawShape - 		the function that draws the shape
+//frameTransform - 	the frame buffer's transform
+//canvasBounds - 	the shape's bounding box on the canvas
+//startingAlpha - 	the starting alpha of the glow (0 - 255)
+//shapeAlpha256 - 	the alpha of the shape (0 - 255)
+//distance - 		the glow distance in canvas pixels
+//glowColor - 		the glow color passed to drawGlowSprite()
+//glowFalloff - 	the falloff curve passed to drawGlowSprite()
+//
+//Returns the sprite: {spriteKey, glow (the glow, as {data, width, height}), sources (for glowAt()), left and top (where the sprite starts,
+//relative to the first pixel of the shape's bounding box), shapePixels (how many pixels the shape covers), startingAlpha, distance,
+//colorOverride, falloff and falloffFunction (its glow parameters)}
+GlowRenderer.prototype.bakeGlowSprite = function(cacheKey, spriteKey, drawShape, frameTransform, canvasBounds, startingAlpha, shapeAlpha256, distance, glowColor, glowFalloff)
+{
+	//the same reach markGlowRegionDirty() allows for
+	var margin = Math.ceil((distance * 2) + 1);
+	var spriteLeft = Math.floor(canvasBounds.left) - margin;
+	var spriteTop = Math.floor(canvasBounds.top) - margin;
+	var spriteWidth = Math.max(1, Math.ceil(canvasBounds.right) - spriteLeft + margin);
+	var spriteHeight = Math.max(1, Math.ceil(canvasBounds.bottom) - spriteTop + margin);
+	var colorContext = createHiddenCanvasContext(spriteWidth, spriteHeight);
+	var shapeIdContext = createHiddenCanvasContext(spriteWidth, spriteHeight);
+	var shapeTable = createGlowShapeTable(2);
+	var falloffCurves = [];
+	var shapeIdBuffer;
+	var sprite;
+	var pixelLoop;
+	var cropBounds;
+	var croppedGlow;
+	var croppedSources;
+	var sourceIndex;
+	var seed;
+	
+	if(typeof glowFalloff == "function")
+	{
+		falloffCurves.push(glowFalloff);
+	}
+	
+	sprite = {spriteKey: spriteKey, glow: null, sources: new Int32Array(spriteWidth * spriteHeight), left: -margin, top: -margin, shapePixels: 0,
+		startingAlpha: startingAlpha, distance: distance, colorOverride: this.getGlowColorOverride(glowColor),
+		falloff: (typeof glowFalloff == "function") ? glowFalloffModes.length : Math.max(0, glowFalloffModes.indexOf(glowFalloff)),
+		falloffFunction: (typeof glowFalloff == "function") ? glowFalloff : null};
+	addGlowShapeToTable(shapeTable, startingAlpha, shapeAlpha256, distance, sprite.colorOverride, sprite.falloff, 0);
+	
+	//draw the shape where it would be on the canvas, moved so that its box (and the reach of its glow) starts at the sprite's corner
+	this.copySpriteDrawState(colorContext);
+	this.copySpriteDrawState(shapeIdContext);
+	colorContext.setTransform(frameTransform.a, frameTransform.b, frameTransform.c, frameTransform.d, frameTransform.e - spriteLeft, frameTransform.f - spriteTop);
+	shapeIdContext.setTransform(frameTransform.a, frameTransform.b, frameTransform.c, frameTransform.d, frameTransform.e - spriteLeft, frameTransform.f - spriteTop);
+	colorContext.fillStyle = this.getGlowFillStyle(glowColor);
+	colorContext.strokeStyle = this.getGlowStrokeStyle(glowColor);
+	shapeIdContext.fillStyle = getGlowShapeIdStyle(1);
+	shapeIdContext.strokeStyle = getGlowShapeIdStyle(1);
+	drawShape(colorContext);
+	drawShape(shapeIdContext);
+	
+	shapeIdBuffer = shapeIdContext.getImageData(0, 0, spriteWidth, spriteHeight);
+	for(pixelLoop = 0; pixelLoop < spriteWidth * spriteHeight; pixelLoop++)
+	{
+		if(shapeIdBuffer.data[(pixelLoop * 4) + 3] >= glowMinimumCoverage && readGlowShapeId(shapeIdBuffer, pixelLoop, shapeTable) == 1)
+		{
+			sprite.shapePixels++;
+		}
+	}
+	
+	if(glowSpriteRenderer == null)
+	{
+		glowSpriteRenderer = new GlowRenderer();
+	}
+	
+	sprite.glow = computeGlowFromBuffers(colorContext.getImageData(0, 0, spriteWidth, spriteHeight), shapeIdBuffer, shapeTable,
+		{falloffCurves: falloffCurves, renderer: glowSpriteRenderer, sourceBuffer: sprite.sources});
+	
+	//the margin allows for the farthest the glow could reach, so trim the sprite to what the glow and the shape actually cover
+	cropBounds = {left: spriteWidth, top: spriteHeight, right: 1, bottom: 1};
+	for(pixelLoop = 0; pixelLoop < spriteWidth * spriteHeight; pixelLoop++)
+	{
+		if(sprite.glow.data[(pixelLoop * 4) + 3] > 0 || shapeIdBuffer.data[(pixelLoop * 4) + 3] > 0)
+		{
+			cropBounds.left = Math.min(cropBounds.left, pixelLoop % spriteWidth);
+			cropBounds.top = Math.min(cropBounds.top, Math.floor(pixelLoop / spriteWidth));
+			cropBounds.right = Math.max(cropBounds.right, (pixelLoop % spriteWidth) + 1);
+			cropBounds.bottom = Math.max(cropBounds.bottom, Math.floor(pixelLoop / spriteWidth) + 1);
+		}
+	}
+	cropBounds.left = Math.min(cropBounds.left, cropBounds.right - 1);
+	cropBounds.top = Math.min(cropBounds.top, cropBounds.bottom - 1);
+	
+	croppedGlow = {data: new Uint8ClampedArray((cropBounds.right - cropBounds.left) * (cropBounds.bottom - cropBounds.top) * 4),
+		width: cropBounds.right - cropBounds.left, height: cropBounds.bottom - cropBounds.top};
+	croppedSources = new Int32Array(croppedGlow.width * croppedGlow.height);
+	for(pixelLoop = 0; pixelLoop < croppedGlow.width * croppedGlow.height; pixelLoop++)
+	{
+		sourceIndex = ((Math.floor(pixelLoop / croppedGlow.width) + cropBounds.top) * spriteWidth) + (pixelLoop % croppedGlow.width) + cropBounds.left;
+		croppedGlow.data.set(sprite.glow.data.subarray(sourceIndex * 4, (sourceIndex * 4) + 4), pixelLoop * 4);
+		
+		//the shape pixels the glow comes from are inside the trimmed sprite, since the shape is
+		seed = sprite.sources[sourceIndex];
+		croppedSources[pixelLoop] = (seed < 0) ? -1 : ((Math.floor(seed / spriteWidth) - cropBounds.top) * croppedGlow.width) + (seed % spriteWidth) - cropBounds.left;
+	}
+	
+	sprite.glow = croppedGlow;
+	sprite.sources = croppedSources;
+	sprite.left += cropBounds.left;
+	sprite.top += cropBounds.top;
+	
+	this.glowSprites[cacheKey] = sprite;
+	this.glowSpriteOrder.push(cacheKey);
+	while(this.glowSpriteOrder.length > Math.max(1, this.glowSpriteLimit))
+	{
+		delete this.glowSprites[this.glowSpriteOrder.shift()];
+	}
+	
+	this.glowFrameStats.spritesBaked++;
+	
+	return sprite;
+};
+
+//prepareGlowSprites
+//
+//Check every sprite stamped this frame against what was drawn after it.  Where the sprite can be used, its glow is copied for
+//stampGlowSprites(), leaving out the pixels of glowing shapes (glow is never written over them).  Where it can't (see "Glow sprites" above), the
+//shape's table entry is given the sprite's glow and its region is marked dirty, so the glow is computed with everything else.  You generally
+//won't call this function directly.  It is a utility function that is called by computeGlow().
+GlowRenderer.prototype.prepareGlowSprites = function()
+{
+	var previousGroup = this.glowGroup.name;
+	var stampLoop;
+	var stamp;
+	var sprite;
+	var shapeIds;
+	var pixelLoop;
+	var shapeId;
+	var shapePixels;
+	var usable;
+	
+	for(stampLoop = 0; stampLoop < this.glowSpriteStamps.length; stampLoop++)
+	{
+		stamp = this.glowSpriteStamps[stampLoop];
+		sprite = stamp.sprite;
+		stamp.buffer = null;
+		
+		this.selectGlowGroup(stamp.group);
+		
+		//sprites that don't fit on the canvas, or whose group has semi-transparent occluders, are computed as usual
+		usable = (this.glowTransmissionUsed == false && stamp.left >= 0 && stamp.top >= 0 && stamp.left + sprite.glow.width <= this.canvasWidth &&
+			stamp.top + sprite.glow.height <= this.canvasHeight);
+		
+		if(usable == true)
+		{
+			shapeIds = this.glowOcclusionContext.getImageData(stamp.left, stamp.top, sprite.glow.width, sprite.glow.height);
+			stamp.buffer = this.glowOutputContext.createImageData(sprite.glow.width, sprite.glow.height);
+			shapePixels = 0;
+			
+			for(pixelLoop = 0; pixelLoop < sprite.glow.width * sprite.glow.height && usable == true; pixelLoop++)
+			{
+				shapeId = (shapeIds.data[(pixelLoop * 4) + 3] >= glowMinimumCoverage) ? readGlowShapeId(shapeIds, pixelLoop, this.glowShapeTable) : -1;
+				
+				if(shapeId == stamp.shapeId)
+				{
+					shapePixels++;
+				}
+				else if(shapeId > 0 && this.glowShapeTable.shapeAlpha256[shapeId] > 0)
+				{
+					//another glowing shape inside the glow would block it
+					usable = (sprite.glow.data[(pixelLoop * 4) + 3] == 0);
+				}
+				else
+				{
+					stamp.buffer.data[pixelLoop * 4] = sprite.glow.data[pixelLoop * 4];
+					stamp.buffer.data[(pixelLoop * 4) + 1] = sprite.glow.data[(pixelLoop * 4) + 1];
+					stamp.buffer.data[(pixelLoop * 4) + 2] = sprite.glow.data[(pixelLoop * 4) + 2];
+					stamp.buffer.data[(pixelLoop * 4) + 3] = sprite.glow.data[(pixelLoop * 4) + 3];
+				}
+			}
+			
+			//part of the shape is hidden by something drawn in front of it, or its edges blend into something drawn behind it
+			if(shapePixels != sprite.shapePixels)
+			{
+				usable = false;
+			}
+			
+			stamp.shapeIds = shapeIds;
+		}
+		
+		if(usable == true)
+		{
+			this.glowFrameStats.spritesStamped++;
+		}
+		else
+		{
+			stamp.buffer = null;
+			this.glowShapeTable.startingAlpha[stamp.shapeId] = sprite.startingAlpha;
+			this.glowShapeTable.distance[stamp.shapeId] = sprite.distance;
+			this.glowShapeTable.colorOverride[stamp.shapeId] = sprite.colorOverride;
+			
+			//a falloff function of the sprite's own is added to this frame's curves
+			this.glowShapeTable.falloff[stamp.shapeId] = (sprite.falloff >= glowFalloffModes.length) ? this.getGlowFalloffCode(sprite.falloffFunction) : sprite.falloff;
+			
+			this.markGlowRegionDirty(stamp.bounds.left, stamp.bounds.top, stamp.bounds.right, stamp.bounds.bottom, sprite.distance);
+		}
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//stampGlowSprites
+//
+//Add the glow of the sprites prepared by prepareGlowSprites() to the glow output regions.  Where a sprite overlaps a computed region of its
+//group, the brighter glow is kept in that region; the rest of the sprite becomes an output region of its own.  You generally won't call this
+//function directly.  It is a utility function that is called once this frame's glow has been computed.
+GlowRenderer.prototype.stampGlowSprites = function()
+{
+	var computedRegions = this.glowOutputRegions.length;
+	var glowGroups = this.getGlowGroupsToCompute();
+	var stampLoop;
+	var stamp;
+	var regionLoop;
+	var region;
+	var sortedRegions = [];
+	var groupLoop;
+	var rowLoop;
+	var columnLoop;
+	var stampOffset;
+	var regionOffset;
+	var seed;
+	
+	for(stampLoop = 0; stampLoop < this.glowSpriteStamps.length; stampLoop++)
+	{
+		stamp = this.glowSpriteStamps[stampLoop];
+		if(stamp.buffer == null)
+		{
+			continue;
+		}
+		
+		for(regionLoop = 0; regionLoop < computedRegions; regionLoop++)
+		{
+			region = this.glowOutputRegions[regionLoop];
+			if(region.group != stamp.group)
+			{
+				continue;
+			}
+			
+			for(rowLoop = Math.max(stamp.top, region.top); rowLoop < Math.min(stamp.top + stamp.buffer.height, region.top + region.height); rowLoop++)
+			{
+				for(columnLoop = Math.max(stamp.left, region.left); columnLoop < Math.min(stamp.left + stamp.buffer.width, region.left + region.width); columnLoop++)
+				{
+					stampOffset = ((rowLoop - stamp.top) * stamp.buffer.width) + (columnLoop - stamp.left);
+					regionOffset = ((rowLoop - region.top) * region.width) + (columnLoop - region.left);
+					
+					if(stamp.buffer.data[(stampOffset * 4) + 3] > region.buffer.data[(regionOffset * 4) + 3])
+					{
+						region.buffer.data[regionOffset * 4] = stamp.buffer.data[stampOffset * 4];
+						region.buffer.data[(regionOffset * 4) + 1] = stamp.buffer.data[(stampOffset * 4) + 1];
+						region.buffer.data[(regionOffset * 4) + 2] = stamp.buffer.data[(stampOffset * 4) + 2];
+						region.buffer.data[(regionOffset * 4) + 3] = stamp.buffer.data[(stampOffset * 4) + 3];
+						
+						//the shape pixel the glow comes from, if it's inside this region
+						seed = stamp.sprite.sources[stampOffset];
+						if(region.sources != null)
+						{
+							region.sources[regionOffset] = -1;
+							if(seed >= 0 && stamp.left + (seed % stamp.buffer.width) >= region.left && stamp.left + (seed % stamp.buffer.width) < region.left + region.width &&
+								stamp.top + Math.floor(seed / stamp.buffer.width) >= region.top && stamp.top + Math.floor(seed / stamp.buffer.width) < region.top + region.height)
+							{
+								region.sources[regionOffset] = ((stamp.top + Math.floor(seed / stamp.buffer.width) - region.top) * region.width) +
+									(stamp.left + (seed % stamp.buffer.width) - region.left);
+							}
+						}
+					}
+					
+					//either way, the region draws this pixel
+					stamp.buffer.data[(stampOffset * 4) + 3] = 0;
+				}
+			}
+		}
+		
+		this.glowOutputRegions.push({left: stamp.left, top: stamp.top, width: stamp.buffer.width, height: stamp.buffer.height, buffer: stamp.buffer,
+			group: stamp.group, shapeIds: stamp.shapeIds, sources: stamp.sprite.sources});
+	}
+	
+	//keep every group's regions together, in the order the groups are composited
+	for(groupLoop = 0; groupLoop < glowGroups.length; groupLoop++)
+	{
+		for(regionLoop = 0; regionLoop < this.glowOutputRegions.length; regionLoop++)
+		{
+			if(this.glowOutputRegions[regionLoop].group == glowGroups[groupLoop].name)
+			{
+				sortedRegions.push(this.glowOutputRegions[regionLoop]);
+			}
+		}
+	}
+	this.glowOutputRegions = sortedRegions;
+};
+
+
+//*********************
+//Glow processing
+//
+//The following calls are used perform each phase of the glow pixel processing and composite operations.  Users of this library will generally call 
+//these in the following order:
+//clearContexts()
+//computeGlow()
+//compositeAndDraw()
+//
+//There normally shouldn't be any need for a developer to explicitly call seedGlowPixels(), computeGlowDistanceTransform() or propagateGlowSeed().
+//Those are utility functions that are called by computeGlowFromBuffers(), which does the actual glow computation on plain pixel buffers and can
+//be called on its own (without a canvas or a DOM) if you already have the pixel data.
+//
+//Every "WithGlow" and "WithOcclusion" call notes what it drew and where.  A GlowRenderer uses this to read back, compute and write only the parts
+//of the canvas around glowing shapes (trackDirtyRegions, on by default; the global functions leave it off), which saves most of the work when
+//the glowing shapes only cover part of the canvas.  If you set skipUnchangedFrames, a frame whose draw calls are exactly the same as the last
+//one's (same calls, same arguments, same fill style, font, alpha and line settings) reuses the last frame's glow without computing anything.
+//Objects such as paths and images are compared by identity, so reuse them from frame to frame to get the benefit, and call invalidateGlow() if
+//you change one in place.
+//
+//Glow costs about as much as the area it covers, so large, soft glows can be computed at half or quarter resolution instead (glowQuality) and
+//scaled back up with little visible difference.  Setting glowTimeBudget picks the quality automatically from how long each frame takes.
+//*********************
+
+//clearContexts
+//
+//Clear the frame buffer, the glow color, output and occlusion contexts, the transmission context and each group's contexts, and start a new
+//shape table.  Typically called once per frame to reset the drawing area.
+//
+//Parameters:
+//canvasWidth -		(optional) the width of all four canvases (they should all be the same size).  Defaults to the size of the frame buffer's canvas.
+//canvasHeight - 	(optional) the height of all four canvases (they should all be the same size).  Defaults to the size of the frame buffer's canvas.
+GlowRenderer.prototype.clearContexts = function(canvasWidth, canvasHeight)
+{
+	var clearStartTime = this.glowStatsClock();
+	var groupLoop;
+	var group;
+	
+	//the default group's contexts are the ones cleared below
+	this.selectGlowGroup("");
+	
+	//follow the frame buffer if its canvas has been resized since the last frame
+	if(this.frameBufferContext != null && this.frameBufferContext.canvas != null &&
+		(this.frameBufferContext.canvas.width != this.canvasWidth || this.frameBufferContext.canvas.height != this.canvasHeight))
+	{
+		this.resizeGlowBuffers();
+	}
+	
+	if(canvasWidth == null || canvasHeight == null)
+	{
+		canvasWidth = this.canvasWidth;
+		canvasHeight = this.canvasHeight;
+	}
+	
+	if(this.frameBufferContext != null && this.frameBufferContext.clearRect != null)
+	{
+		//when drawing at a pixel ratio, the frame is cleared in canvas pixels and then scaled so that shapes are drawn in CSS pixels
+		if(this.pixelRatio != 1)
+		{
+			this.frameBufferContext.setTransform(1, 0, 0, 1, 0, 0);
+			this.frameBufferContext.clearRect(0, 0, canvasWidth, canvasHeight);
+			this.frameBufferContext.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+		}
+		else
+		{
+			this.frameBufferContext.clearRect(0, 0, canvasWidth, canvasHeight);
+		}
+	}
+	
+	//the glow contexts pick up the frame buffer's transform as shapes are drawn, so put them back to canvas pixels before clearing them
+	if(this.glowColorContext != null && this.glowColorContext.clearRect != null)
+	{
+		this.glowColorContext.setTransform(1, 0, 0, 1, 0, 0);
+		this.glowColorContext.clearRect(0, 0, canvasWidth, canvasHeight);
+	}
+	
+	if(this.glowOutputContext != null && this.glowOutputContext.clearRect != null)
+	{
+		this.glowOutputContext.clearRect(0, 0, canvasWidth, canvasHeight);	
+	}
+	
+	if(this.glowOcclusionContext != null && this.glowOcclusionContext.clearRect != null)
+	{
+		this.glowOcclusionContext.setTransform(1, 0, 0, 1, 0, 0);
+		this.glowOcclusionContext.clearRect(0, 0, canvasWidth, canvasHeight);	
+	}
+	
+	//the transmission context is only cleared if it was drawn to (see getGlowOccluderContext())
+	this.glowTransmissionUsed = false;
+	
+	//the other glow groups' contexts are cleared the same way, and the groups count as unused until they're drawn to again
+	for(groupLoop = 1; groupLoop < this.glowGroups.length; groupLoop++)
+	{
+		group = this.glowGroups[groupLoop];
+		if(group.drawn == true)
+		{
+			group.colorContext.setTransform(1, 0, 0, 1, 0, 0);
+			group.colorContext.clearRect(0, 0, group.colorContext.canvas.width, group.colorContext.canvas.height);
+			group.occlusionContext.setTransform(1, 0, 0, 1, 0, 0);
+			group.occlusionContext.clearRect(0, 0, group.occlusionContext.canvas.width, group.occlusionContext.canvas.height);
+		}
+		
+		group.transmissionUsed = false;
+		group.drawn = false;
+	}
+	this.glowGroup.drawn = false;
+	
+	//the shape table and the table of user-supplied falloff curves start over every frame
+	this.glowShapeTable.count = 1;
+	this.glowShapeKeys = {};
+	this.glowFalloffCurves.length = 0;
+	
+	//start a new draw log and set of dirty regions (and sprites) for the next frame
+	this.glowDrawLog = [];
+	this.glowDirtyRegions = [];
+	this.glowSpriteStamps = [];
+	
+	this.glowFrameStats = createGlowFrameStats();
+	this.glowFrameStats.clearTime = this.glowStatsClock() - clearStartTime;
+};
+
+
+//recordGlowDraw
+//
+//Note a draw call made through one of the "WithGlow" or "WithOcclusion" functions.  The call (its name, arguments and the frame buffer state that
+//affects the glow buffers) is added to this frame's draw log, which computeGlow() compares with the last frame's log when skipUnchangedFrames is
+//set.  For glowing shapes, the shape's bounding box, grown by as far as its glow can reach, is also added to the dirty regions so that
+//computeGlow() only has to process that part of the canvas.  You generally won't call this function directly unless you draw your own shapes
+//to the glow buffers (see markGlowRegionDirty()).
+//
+//Parameters:
+//drawName - 		the name of the draw call
+//drawArguments - 	the arguments the draw call was made with
+//left - 			left edge of the shape's bounding box, in the frame buffer's current (possibly transformed) coordinates, or null if the bounds
+//					aren't known (the whole canvas is then dirty)
+//top - 			top edge of the shape's bounding box
+//right - 			right edge of the shape's bounding box
+//bottom - 			bottom edge of the shape's bounding box
+//glowDistance - 	the glow distance of the shape in pixels (or a function of time, see getGlowValue()), or 0 for occluding shapes
+GlowRenderer.prototype.recordGlowDraw = function(drawName, drawArguments, left, top, right, bottom, glowDistance)
+{
+	var logEntry = [drawName];
+	var argumentLoop;
+	var propertyLoop;
+	var cornerLoop;
+	var frameTransform = null;
+	var cornerX;
+	var cornerY;
+	var timeDependent = false;
+	
+	for(argumentLoop = 0; argumentLoop < drawArguments.length; argumentLoop++)
+	{
+		//arrays (polygon points, image arguments) are copied, so that an array changed in place between frames is noticed
+		logEntry.push((drawArguments[argumentLoop] instanceof Array) ? drawArguments[argumentLoop].slice() : drawArguments[argumentLoop]);
+		
+		if(typeof drawArguments[argumentLoop] == "function")
+		{
+			timeDependent = true;
+		}
+	}
+	
+	//arguments that are functions (of time) can give a different result every frame even though they're the same functions
+	if(timeDependent == true)
+	{
+		logEntry.push(this.glowTime);
+	}
+	
+	//the parts of the frame buffer's state that are copied to the glow buffers
+	if(this.frameBufferContext != null)
+	{
+		logEntry.push(this.frameBufferContext.fillStyle, this.frameBufferContext.strokeStyle, this.frameBufferContext.globalAlpha, this.frameBufferContext.imageSmoothingEnabled,
+			this.frameBufferContext.lineWidth, this.frameBufferContext.lineCap, this.frameBufferContext.lineJoin, this.frameBufferContext.miterLimit, this.frameBufferContext.lineDashOffset);
+		
+		for(propertyLoop = 0; propertyLoop < glowTextLayoutProperties.length; propertyLoop++)
+		{
+			logEntry.push(this.frameBufferContext[glowTextLayoutProperties[propertyLoop]]);
+		}
+		
+		if(this.frameBufferContext.getLineDash != null)
+		{
+			logEntry.push(this.frameBufferContext.getLineDash().join(","));
+		}
+		
+		if(this.frameBufferContext.getTransform != null)
+		{
+			frameTransform = this.frameBufferContext.getTransform();
+			logEntry.push(frameTransform.a, frameTransform.b, frameTransform.c, frameTransform.d, frameTransform.e, frameTransform.f);
+		}
+	}
+	
+	//the renderer's own drawing state
+	logEntry.push(this.glowBlendMode, this.glowMode, this.glowOffsetX, this.glowOffsetY, this.glowSpread);
+	
+	this.glowDrawLog.push(logEntry);
+	
+	//only glowing shapes need glow computed around them.  Occluders only matter where they fall inside a glowing shape's region.
+	glowDistance = this.getGlowValue(glowDistance);
+	if(glowDistance <= 0)
+	{
+		return;
+	}
+	
+	//a translated, rotated or scaled box covers the box around its four transformed corners
+	if(left != null && frameTransform != null)
+	{
+		cornerX = [left, right, right, left];
+		cornerY = [top, top, bottom, bottom];
+		left = Infinity;
+		top = Infinity;
+		right = -Infinity;
+		bottom = -Infinity;
+		
+		for(cornerLoop = 0; cornerLoop < 4; cornerLoop++)
+		{
+			left = Math.min(left, (frameTransform.a * cornerX[cornerLoop]) + (frameTransform.c * cornerY[cornerLoop]) + frameTransform.e);
+			right = Math.max(right, (frameTransform.a * cornerX[cornerLoop]) + (frameTransform.c * cornerY[cornerLoop]) + frameTransform.e);
+			top = Math.min(top, (frameTransform.b * cornerX[cornerLoop]) + (frameTransform.d * cornerY[cornerLoop]) + frameTransform.f);
+			bottom = Math.max(bottom, (frameTransform.b * cornerX[cornerLoop]) + (frameTransform.d * cornerY[cornerLoop]) + frameTransform.f);
+		}
+	}
+	
+	//spread glow reaches that much farther, and offset glow reaches as far again as it's moved
+	glowDistance += Math.max(0, this.glowSpread);
+	if(this.glowMode == "offset")
+	{
+		glowDistance += Math.max(Math.abs(this.glowOffsetX), Math.abs(this.glowOffsetY));
+	}
+	
+	this.markGlowRegionDirty(left, top, right, bottom, glowDistance * this.pixelRatio);
+};
+
+//markGlowRegionDirty
+//
+//Add a glowing shape's bounding box, grown by the farthest its glow can reach, to the regions that computeGlow() will process this frame.
+//Overlapping regions are merged so that every glow is computed together with the shapes and occluders near it.  The draw calls in this library
+//call this for you; call it yourself if you draw your own glowing shapes directly to the glow buffers.
+//
+//Parameters:
+//left - 			left edge of the shape's bounding box in canvas pixels, or null to mark the whole canvas dirty
+//top - 			top edge of the shape's bounding box
+//right - 			right edge of the shape's bounding box
+//bottom - 			bottom edge of the shape's bounding box
+//glowDistance - 	the glow distance of the shape in pixels
+GlowRenderer.prototype.markGlowRegionDirty = function(left, top, right, bottom, glowDistance)
+{
+	var glowReach;
+	var region;
+	var regionLoop;
+	var mergedRegion = true;
+	
+	if(left == null)
+	{
+		left = 0;
+		top = 0;
+		right = this.canvasWidth;
+		bottom = this.canvasHeight;
+	}
+	
+	//because the per-pixel alpha decrease is rounded down, a glow can reach a little past its distance (but never twice as far).  One more pixel
+	//covers anti-aliasing.
+	glowReach = (glowDistance * 2) + 1;
+	
+	//(shapes with a negative width or height have their edges the other way around)
+	region = {
+		left: Math.max(0, Math.floor(Math.min(left, right) - glowReach)),
+		top: Math.max(0, Math.floor(Math.min(top, bottom) - glowReach)),
+		right: Math.min(this.canvasWidth, Math.ceil(Math.max(left, right) + glowReach)),
+		bottom: Math.min(this.canvasHeight, Math.ceil(Math.max(top, bottom) + glowReach))
+	};
+	
+	//nothing to do for shapes that are entirely off the canvas
+	if(region.right <= region.left || region.bottom <= region.top)
+	{
+		return;
+	}
+	
+	//absorb every region this one overlaps (repeating, since the merged region may now overlap others)
+	while(mergedRegion == true)
+	{
+		mergedRegion = false;
+		
+		for(regionLoop = 0; regionLoop < this.glowDirtyRegions.length; regionLoop++)
+		{
+			if(this.glowDirtyRegions[regionLoop].left < region.right && region.left < this.glowDirtyRegions[regionLoop].right &&
+				this.glowDirtyRegions[regionLoop].top < region.bottom && region.top < this.glowDirtyRegions[regionLoop].bottom)
+			{
+				region.left = Math.min(region.left, this.glowDirtyRegions[regionLoop].left);
+				region.top = Math.min(region.top, this.glowDirtyRegions[regionLoop].top);
+				region.right = Math.max(region.right, this.glowDirtyRegions[regionLoop].right);
+				region.bottom = Math.max(region.bottom, this.glowDirtyRegions[regionLoop].bottom);
+				this.glowDirtyRegions.splice(regionLoop, 1);
+				mergedRegion = true;
+				break;
+			}
+		}
+	}
+	
+	this.glowDirtyRegions.push(region);
+};
+
+//invalidateGlow
+//
+//Force the next computeGlow() to recompute the glow even if skipUnchangedFrames is set and the draw calls are the same as last frame.  Call this
+//when something the draw log can't see has changed, such as the contents of an image or a Path2D that was modified in place.  (Arrays passed to
+//the draw calls, such as polygon points, are compared by their contents, so changing one in place doesn't need this.)
+GlowRenderer.prototype.invalidateGlow = function()
+{
+	this.previousGlowDrawLog = null;
+};
+
+//isGlowDrawLogUnchanged
+//
+//Returns true if this frame's draw log is identical to the one from the last time glow was computed.  You generally won't call this function
+//directly.  It is a utility function that is called by the computeGlow() function.
+GlowRenderer.prototype.isGlowDrawLogUnchanged = function()
+{
+	var entryLoop;
+	var valueLoop;
+	
+	if(this.previousGlowDrawLog == null || this.previousGlowDrawLog.length != this.glowDrawLog.length)
+	{
+		return false;
+	}
+	
+	for(entryLoop = 0; entryLoop < this.glowDrawLog.length; entryLoop++)
+	{
+		if(this.previousGlowDrawLog[entryLoop].length != this.glowDrawLog[entryLoop].length)
+		{
+			return false;
+		}
+		
+		for(valueLoop = 0; valueLoop < this.glowDrawLog[entryLoop].length; valueLoop++)
+		{
+			if(isGlowDrawLogValueEqual(this.previousGlowDrawLog[entryLoop][valueLoop], this.glowDrawLog[entryLoop][valueLoop]) == false)
+			{
+				return false;
+			}
+		}
+	}
+	
+	return true;
+};
+
+//isGlowDrawLogValueEqual
+//
+//Returns true if two values from draw log entries are the same: identical, or arrays with identical elements.  You generally won't call this
+//function directly.  It is a utility function that is called by isGlowDrawLogUnchanged().
+//
+//Parameters:
+//previousValue - 	the value from the last frame's draw log
+//value - 			the value from this frame's draw log
+function isGlowDrawLogValueEqual(previousValue, value)
+{
+	var elementLoop;
+	
+	if(previousValue === value)
+	{
+		return true;
+	}
+	
+	if((previousValue instanceof Array) == false || (value instanceof Array) == false || previousValue.length != value.length)
+	{
+		return false;
+	}
+	
+	for(elementLoop = 0; elementLoop < value.length; elementLoop++)
+	{
+		if(previousValue[elementLoop] !== value[elementLoop])
+		{
+			return false;
+		}
+	}
+	
+	return true;
+}
+
+//getStrokeMargin
+//
+//Returns how far (in pixels) the frame buffer's current line settings extend an outline past the path it strokes.  Used to grow the bounding
+//box of stroked shapes.
+GlowRenderer.prototype.getStrokeMargin = function()
+{
+	if(this.frameBufferContext.lineJoin == "miter")
+	{
+		return (this.frameBufferContext.lineWidth / 2) * Math.max(this.frameBufferContext.miterLimit, 1);
+	}
+	
+	return this.frameBufferContext.lineWidth / 2;
+};
+
+//recordTextDraw
+//
+//recordGlowDraw() for text.  The text is measured with the frame buffer's current font; if the browser can't report the height of the text, the
+//whole canvas is marked dirty.
+//
+//Parameters:
+//drawName - 		the name of the draw call
+//drawArguments - 	the arguments the draw call was made with
+//textToDraw - 		the string being drawn
+//textX - 			x-coordinate the string is drawn at
+//textY - 			y-coordinate the string is drawn at
+//margin - 			extra space around the text (the stroke margin for outlined text)
+//glowDistance - 	the glow distance of the text in pixels, or 0 for occluding text
+GlowRenderer.prototype.recordTextDraw = function(drawName, drawArguments, textToDraw, textX, textY, margin, glowDistance)
+{
+	var textMetrics = null;
+	
+	if(this.frameBufferContext != null && this.frameBufferContext.measureText != null)
+	{
+		textMetrics = this.frameBufferContext.measureText(textToDraw);
+	}
+	
+	if(textMetrics != null && textMetrics.actualBoundingBoxAscent != null)
+	{
+		this.recordGlowDraw(drawName, drawArguments, textX - textMetrics.actualBoundingBoxLeft - margin, textY - textMetrics.actualBoundingBoxAscent - margin,
+			textX + textMetrics.actualBoundingBoxRight + margin, textY + textMetrics.actualBoundingBoxDescent + margin, glowDistance);
+	}
+	else
+	{
+		this.recordGlowDraw(drawName, drawArguments, null, null, null, null, glowDistance);
+	}
+};
+
+//recordPathDraw
+//
+//recordGlowDraw() for paths, using a bounding box passed as {left, top, right, bottom}.  If there is no bounding box, the whole canvas is
+//marked dirty.
+//
+//Parameters:
+//drawName - 		the name of the draw call
+//drawArguments - 	the arguments the draw call was made with
+//pathBounds - 		the bounding box of the path, or null if it isn't known
+//margin - 			extra space around the path (the stroke margin for outlines)
+//glowDistance - 	the glow distance of the path in pixels, or 0 for occluding paths
+GlowRenderer.prototype.recordPathDraw = function(drawName, drawArguments, pathBounds, margin, glowDistance)
+{
+	if(pathBounds != null)
+	{
+		this.recordGlowDraw(drawName, drawArguments, pathBounds.left - margin, pathBounds.top - margin, pathBounds.right + margin, pathBounds.bottom + margin, glowDistance);
+	}
+	else
+	{
+		this.recordGlowDraw(drawName, drawArguments, null, null, null, null, glowDistance);
+	}
+};
+
+//recordImageDraw
+//
+//recordGlowDraw() for images, using the destination rectangle of the drawImage() arguments.
+//
+//Parameters:
+//drawName - 		the name of the draw call
+//drawArguments - 	the arguments the draw call was made with
+//image - 			the image being drawn
+//imageArguments - 	the arguments that follow the image in a standard drawImage() call
+//glowDistance - 	the glow distance of the image in pixels, or 0 for occluding images
+GlowRenderer.prototype.recordImageDraw = function(drawName, drawArguments, image, imageArguments, glowDistance)
+{
+	var imageWidth = image.naturalWidth || image.videoWidth || image.width;
+	var imageHeight = image.naturalHeight || image.videoHeight || image.height;
+	
+	if(imageArguments.length >= 8)
+	{
+		this.recordGlowDraw(drawName, drawArguments, imageArguments[4], imageArguments[5], imageArguments[4] + imageArguments[6], imageArguments[5] + imageArguments[7], glowDistance);
+	}
+	else if(imageArguments.length >= 4)
+	{
+		this.recordGlowDraw(drawName, drawArguments, imageArguments[0], imageArguments[1], imageArguments[0] + imageArguments[2], imageArguments[1] + imageArguments[3], glowDistance);
+	}
+	else
+	{
+		this.recordGlowDraw(drawName, drawArguments, imageArguments[0], imageArguments[1], imageArguments[0] + imageWidth, imageArguments[1] + imageHeight, glowDistance);
+	}
+};
+
+//seedGlowPixels
+//
+//First step of the glow distance transform.  Look up the glow parameters of every shape pixel in the shape table and make each glowing shape
+//pixel the glow source ("seed") of its own position.  Pixels that aren't part of a shape start out with no seed.  Only "outer" glows that blend
+//with "max" are seeded together; every other glowing shape is seeded on its own, in a pass of its own, so that its glow can be placed (see
+//seedInnerGlowPixels() and seedOffsetGlowPixels()) and blended in separately.  You generally won't call this function directly.  It is a utility
+//function that is called by the computeGlowFromBuffers() function.
+//
+//Parameters:
+//shapeIdBuffer - 	the pixel data of the occlusion buffer ({data, width, height}), holding the shape id and coverage of every pixel.  If you
+//					called the setGlowOcclusionContext() function in this library then the renderer's glowOcclusionBuffer was populated with the
+//					buffer you need and can be used as this parameter.
+//shapeTable - 		the glow parameters the shape ids refer to (see createGlowShapeTable())
+//pixelCount - 		the number of pixels in the buffer (canvas width * canvas height)
+//seedShapeId - 	(optional) the shape to seed on its own.  Without it, every glowing "outer" shape whose glow blends with "max" is seeded.
+//
+//Returns the ids, in the order they were drawn, of the glowing shapes that need a pass of their own (always empty when seedShapeId is passed)
+GlowRenderer.prototype.seedGlowPixels = function(shapeIdBuffer, shapeTable, pixelCount, seedShapeId)
+{
+	var xLoop;	//pixel buffer loop counter
+	var shapeId;
+	var separateShapeFound = new Uint8Array(shapeTable.count);	//1 for the shapes that need a pass of their own
+	var separateShapes = [];
+	var seedMode = (seedShapeId != null) ? shapeTable.mode[seedShapeId] : 0;
+	
+	for(xLoop = 0; xLoop < pixelCount; xLoop++)
+	{
+		//pixels that aren't part of a shape have no glow source until one is propagated to them
+		this.glowSeedIndex[xLoop] = -1;
+		this.glowSeedAlpha[xLoop] = 0;
+		this.glowPixelIsShape[xLoop] = 0;
+		this.glowPixelShapeId[xLoop] = -1;
+		
+		//check the coverage (is this pixel part of a shape at all?)
+		if(shapeIdBuffer.data[(xLoop * 4) + 3] < glowMinimumCoverage)
+		{
+			continue;
+		}
+		
+		shapeId = readGlowShapeId(shapeIdBuffer, xLoop, shapeTable);
+		if(shapeId < 0)
+		{
+			shapeId = this.findNeighboringGlowShapeId(shapeIdBuffer, xLoop, shapeTable);
+		}
+		this.glowPixelShapeId[xLoop] = shapeId;
+		
+		//occluders (no shape alpha) are blockers, not shape pixels: they receive glow, and have it written over them
+		if(shapeTable.shapeAlpha256[shapeId] == 0)
+		{
+			continue;
+		}
+		
+		this.glowPixelIsShape[xLoop] = 1;
+		this.setGlowSeedShape(shapeId, shapeTable);
+		
+		//only shapes that actually glow become seeds.  Shapes with no starting alpha or no distance stay in the buffer as blockers, and so do
+		//the shapes that are seeded in another pass.
+		if(this.glowStartingAlpha <= 0 || this.glowDistance <= 0)
+		{
+			continue;
+		}
+		
+		if(seedShapeId == null && (shapeTable.blend[shapeId] != 0 || shapeTable.mode[shapeId] != 0))
+		{
+			separateShapeFound[shapeId] = 1;
+		}
+		else if((seedShapeId == null || shapeId == seedShapeId) && seedMode == 0)
+		{
+			this.seedGlowPixel(xLoop, xLoop, shapeId, shapeTable);
+		}
+	}
+	
+	//inner and offset glows are placed once the whole buffer's shapes are known
+	if(seedMode == 1)
+	{
+		this.seedInnerGlowPixels(shapeIdBuffer.width, shapeIdBuffer.height, shapeTable, seedShapeId);
+	}
+	else if(seedMode == 2)
+	{
+		this.seedOffsetGlowPixels(shapeIdBuffer.width, shapeIdBuffer.height, shapeTable, seedShapeId);
+	}
+	
+	for(shapeId = 1; shapeId < shapeTable.count; shapeId++)
+	{
+		if(separateShapeFound[shapeId] == 1)
+		{
+			separateShapes.push(shapeId);
+		}
+	}
+	
+	return separateShapes;
+};
+
+//setGlowSeedShape
+//
+//Load the glow distance, starting alpha and increment of a shape into the renderer's scratch variables.  You generally won't call this function
+//directly.  It is a utility function that is called by the seeding functions.
+//
+//Parameters:
+//shapeId - 		the shape's entry in the shape table
+//shapeTable - 		the glow parameters of the shapes
+GlowRenderer.prototype.setGlowSeedShape = function(shapeId, shapeTable)
+{
+	var shapeAlpha256 = shapeTable.shapeAlpha256[shapeId];
+	
+	//get the glow characteristics from the shape table
+	this.glowDistance = shapeTable.distance[shapeId];
+	
+	//if the pixel to which glow will be applied is part of a shape that is not completely opaque,
+	//adjust the starting alpha of the glow downward to reflect that partial transparency.  For example, 
+	//if the starting alpha for the glow was 70%, but the shape itself was 50% transparent, then the 
+	//actual starting alpha for the glow should be 35% (70% * 50%) rather than 70%.
+	if(shapeAlpha256 != 255)
+	{
+		this.glowStartingAlphaAdjustment = 1 - (shapeAlpha256 / 255);
+	}
+	else
+	{
+		this.glowStartingAlphaAdjustment = 0;
+	}
+	this.glowStartingAlpha = shapeTable.startingAlpha[shapeId] - (this.glowStartingAlphaAdjustment * shapeTable.startingAlpha[shapeId]);
+	
+	//compute the amount by which each further pixel's alpha should be reduced to display a linearly decreasing glow.
+	this.glowIncrement = Math.floor(this.glowStartingAlpha / this.glowDistance);
+	
+	//the glow reaches as far as its alpha stays above zero.  If the starting alpha is too small to be reduced by a whole
+	//step per pixel, the glow distance itself is the limit.
+	if(this.glowIncrement > 0)
+	{
+		this.glowReach = this.glowStartingAlpha / this.glowIncrement;
+	}
+	else
+	{
+		this.glowReach = this.glowDistance;
+	}
+};
+
+//seedGlowPixel
+//
+//Make a pixel a glow source, with the glow of the shape last loaded by setGlowSeedShape().  You generally won't call this function directly.  It
+//is a utility function that is called by the seeding functions.
+//
+//Parameters:
+//seedIndex - 		the linear index of the pixel the glow starts from
+//colorIndex - 		the linear index of the glow color buffer pixel that gives the glow its color
+//shapeId - 		the shape's entry in the shape table
+//shapeTable - 		the glow parameters of the shapes
+GlowRenderer.prototype.seedGlowPixel = function(seedIndex, colorIndex, shapeId, shapeTable)
+{
+	this.glowPixelsSeeded++;
+	
+	this.glowSeedIndex[seedIndex] = seedIndex;
+	this.glowSeedAlpha[seedIndex] = this.glowStartingAlpha;
+	this.glowPixelStartingAlpha[seedIndex] = this.glowStartingAlpha;
+	this.glowPixelIncrement[seedIndex] = this.glowIncrement;
+	this.glowPixelFalloff[seedIndex] = shapeTable.falloff[shapeId];
+	this.glowPixelShape[seedIndex] = shapeId;
+	this.glowPixelSpread[seedIndex] = Math.max(0, shapeTable.spread[shapeId]);
+	this.glowPixelColorIndex[seedIndex] = colorIndex;
+	this.glowPixelReach[seedIndex] = this.glowReach;
+};
+
+//seedInnerGlowPixels
+//
+//Seed the "inner" glow of one shape.  Its edge pixels (those next to a pixel that isn't part of the shape, whether empty, an occluder or another
+//shape) become the seeds, and every pixel outside the shape becomes a blocker, so the glow fades inward over the shape and nowhere else.  Parts
+//of the shape hidden by shapes drawn in front of it aren't part of it any more, so the glow starts at the edges of what's visible.  You generally
+//won't call this function directly.  It is a utility function that is called by seedGlowPixels().
+//
+//Parameters:
+//bufferWidth - 	width of the buffers in pixels
+//bufferHeight - 	height of the buffers in pixels
+//shapeTable - 		the glow parameters of the shapes
+//seedShapeId - 	the shape whose glow is seeded
+GlowRenderer.prototype.seedInnerGlowPixels = function(bufferWidth, bufferHeight, shapeTable, seedShapeId)
+{
+	var xLoop;
+	var yLoop;
+	var pixelIndex;
+	
+	this.setGlowSeedShape(seedShapeId, shapeTable);
+	
+	for(yLoop = 0; yLoop < bufferHeight; yLoop++)
+	{
+		for(xLoop = 0; xLoop < bufferWidth; xLoop++)
+		{
+			pixelIndex = (yLoop * bufferWidth) + xLoop;
+			
+			if(this.glowPixelShapeId[pixelIndex] != seedShapeId)
+			{
+				this.glowPixelIsShape[pixelIndex] = 1;
+				continue;
+			}
+			
+			this.glowPixelIsShape[pixelIndex] = 0;
+			
+			//the edges of the buffer aren't edges of the shape; it may carry on past them
+			if((xLoop > 0 && this.glowPixelShapeId[pixelIndex - 1] != seedShapeId) ||
+				(xLoop < bufferWidth - 1 && this.glowPixelShapeId[pixelIndex + 1] != seedShapeId) ||
+				(yLoop > 0 && this.glowPixelShapeId[pixelIndex - bufferWidth] != seedShapeId) ||
+				(yLoop < bufferHeight - 1 && this.glowPixelShapeId[pixelIndex + bufferWidth] != seedShapeId))
+			{
+				this.seedGlowPixel(pixelIndex, pixelIndex, seedShapeId, shapeTable);
+			}
+		}
+	}
+};
+
+//seedOffsetGlowPixels
+//
+//Seed the "offset" glow of one shape: every pixel of the shape seeds the pixel its offset away, so the glow spreads from a moved copy of the
+//shape like a drop shadow.  Glowing shapes (the shape itself included) stay blockers, so the glow is hidden behind them, and occluders have it
+//written over them just like outer glow.  You generally won't call this function directly.  It is a utility function that is called by
+//seedGlowPixels().
+//
+//Parameters:
+//bufferWidth - 	width of the buffers in pixels
+//bufferHeight - 	height of the buffers in pixels
+//shapeTable - 		the glow parameters of the shapes
+//seedShapeId - 	the shape whose glow is seeded
+GlowRenderer.prototype.seedOffsetGlowPixels = function(bufferWidth, bufferHeight, shapeTable, seedShapeId)
+{
+	var offsetX = Math.round(shapeTable.offsetX[seedShapeId]);
+	var offsetY = Math.round(shapeTable.offsetY[seedShapeId]);
+	var xLoop;
+	var yLoop;
+	var pixelIndex;
+	
+	this.setGlowSeedShape(seedShapeId, shapeTable);
+	
+	for(yLoop = Math.max(0, -offsetY); yLoop < Math.min(bufferHeight, bufferHeight - offsetY); yLoop++)
+	{
+		for(xLoop = Math.max(0, -offsetX); xLoop < Math.min(bufferWidth, bufferWidth - offsetX); xLoop++)
+		{
+			pixelIndex = (yLoop * bufferWidth) + xLoop;
+			
+			if(this.glowPixelShapeId[pixelIndex] == seedShapeId)
+			{
+				this.seedGlowPixel(pixelIndex + (offsetY * bufferWidth) + offsetX, pixelIndex, seedShapeId, shapeTable);
+			}
+		}
+	}
+};
+
+//findNeighboringGlowShapeId
+//
+//Returns the shape id of a pixel whose own id is unreadable, which happens where the anti-aliased edges of two shapes overlap and the canvas
+//blends their ids together.  The pixel takes the id of the most fully covered of its eight neighbors that has a valid one, or 0 (an occluder) if
+//none does.  You generally won't call this function directly.  It is a utility function that is called by seedGlowPixels().
+//
+//Parameters:
+//shapeIdBuffer - 	the pixel data of the occlusion buffer ({data, width, height})
+//pixelIndex - 		the linear index of the pixel
+//shapeTable - 		the glow parameters the shape ids refer to
+GlowRenderer.prototype.findNeighboringGlowShapeId = function(shapeIdBuffer, pixelIndex, shapeTable)
+{
+	var pixelX = pixelIndex % shapeIdBuffer.width;
+	var pixelY = Math.floor(pixelIndex / shapeIdBuffer.width);
+	var xOffset;
+	var yOffset;
+	var neighborIndex;
+	var neighborId;
+	var bestId = 0;
+	var bestCoverage = 0;
+	
+	for(yOffset = -1; yOffset <= 1; yOffset++)
+	{
+		for(xOffset = -1; xOffset <= 1; xOffset++)
+		{
+			if((xOffset == 0 && yOffset == 0) || pixelX + xOffset < 0 || pixelX + xOffset >= shapeIdBuffer.width ||
+				pixelY + yOffset < 0 || pixelY + yOffset >= shapeIdBuffer.height)
+			{
+				continue;
+			}
+			
+			neighborIndex = pixelIndex + (yOffset * shapeIdBuffer.width) + xOffset;
+			neighborId = readGlowShapeId(shapeIdBuffer, neighborIndex, shapeTable);
+			
+			if(neighborId >= 0 && shapeIdBuffer.data[(neighborIndex * 4) + 3] > bestCoverage)
+			{
+				bestId = neighborId;
+				bestCoverage = shapeIdBuffer.data[(neighborIndex * 4) + 3];
+			}
+		}
+	}
+	
+	return bestId;
+};
+
+//propagateGlowSeed
+//
+//Offer the glow source of a neighboring pixel to the passed pixel.  If that source would give the pixel a brighter glow than the one it already
+//has, the pixel adopts it.  The alpha is computed from the straight-line (Euclidean) distance between the pixel and the source, which gives round
+//glows, and the alpha fades over that distance along the source's falloff curve.  You generally won't call this function directly.  It is a
+//utility function that is called repeatedly by computeGlowDistanceTransform().
+//
+//Parameters:
+//pixelIndex - 		linear index (not byte offset) of the pixel being computed
+//pixelX - 			x-coordinate of the pixel being computed (in canvas coordinates, not window or screen coordinates)
+//pixelY - 			y-coordinate of the pixel being computed (in canvas coordinates, not window or screen coordinates)
+//neighborIndex - 	linear index of the neighboring pixel whose glow source is being offered
+//canvasWidth - 	width of your canvas element (should be equal among all four canvases)
+GlowRenderer.prototype.propagateGlowSeed = function(pixelIndex, pixelX, pixelY, neighborIndex, canvasWidth)
+{
+	var seed = this.glowSeedIndex[neighborIndex];	//linear index of the shape pixel the neighbor's glow comes from
+	var seedX;
+	var distanceX;
+	var distanceY;
+	var distanceToSeed;
+	var alphaForPixel;
+	
+	//nothing to offer if the neighbor isn't lit by any shape
+	if(seed < 0)
+	{
+		return;
+	}
+	
+	seedX = seed % canvasWidth;
+	distanceX = pixelX - seedX;
+	distanceY = pixelY - ((seed - seedX) / canvasWidth);
+	distanceToSeed = Math.sqrt((distanceX * distanceX) + (distanceY * distanceY));
+	alphaForPixel = this.getGlowSeedAlpha(seed, distanceToSeed);
+	
+	//if any existing glow value already on this pixel is less than the glow from this source, take this source instead.
+	if(alphaForPixel > this.glowSeedAlpha[pixelIndex])
+	{
+		this.glowSeedIndex[pixelIndex] = seed;
+		this.glowSeedAlpha[pixelIndex] = alphaForPixel;
+	}
+};
+
+//getGlowSeedAlpha
+//
+//Returns the alpha of a glow source's glow at the passed distance from it, or -1 past the reach of its glow (see getGlowAlphaAtDistance()).  You
+//generally won't call this function directly.  It is a utility function that is called by propagateGlowSeed() and upsampleGlowBuffer().
+//
+//Parameters:
+//seed - 			linear index of the glow source (a pixel seeded by seedGlowPixel())
+//distanceToSeed - 	the distance from the source, in pixels
+GlowRenderer.prototype.getGlowSeedAlpha = function(seed, distanceToSeed)
+{
+	return this.getGlowAlphaAtDistance(this.glowPixelStartingAlpha[seed], this.glowPixelIncrement[seed], this.glowPixelReach[seed],
+		this.glowPixelFalloff[seed], this.glowPixelSpread[seed], distanceToSeed);
+};
+
+//getGlowAlphaAtDistance
+//
+//Returns the alpha of glow at the passed distance from where it starts, or -1 past its reach.  The glow keeps its starting alpha as far as its
+//spread and fades along its falloff curve past that.  You generally won't call this function directly.  It is a utility function that is called
+//by getGlowSeedAlpha() and upsampleGlowBuffer().
+//
+//Parameters:
+//startingAlpha - 	the alpha the glow starts at
+//increment - 		the amount linear glow fades by per pixel
+//reach - 			the distance in pixels at which the glow has faded out
+//falloffCode - 	the glow's falloff curve (see glowFalloffModes)
+//spread - 			the distance in pixels the glow keeps its starting alpha for
+//distance - 		the distance from where the glow starts, in pixels
+GlowRenderer.prototype.getGlowAlphaAtDistance = function(startingAlpha, increment, reach, falloffCode, spread, distance)
+{
+	//the glow keeps its starting alpha as far as its spread, and only starts to fade past it
+	if(spread > 0)
+	{
+		distance = Math.max(0, distance - spread);
+	}
+	
+	//past the reach of the glow
+	if(distance > reach)
+	{
+		return -1;
+	}
+	
+	if(falloffCode == 0)
+	{
+		return startingAlpha - (distance * increment);
+	}
+	
+	return this.computeGlowFalloffAlpha(startingAlpha, falloffCode, distance / reach);
+};
+
+//computeGlowDistanceTransform
+//
+//Spread the glow sources placed by seedGlowPixels() across the canvas with a two-pass distance transform.  The first pass walks the buffer from
+//the top left to the bottom right, the second from the bottom right back to the top left, and each pixel looks at the neighbors that have already
+//been visited in that pass.  Every pixel is visited a fixed number of times, so the cost depends only on the size of the canvas and not on the glow
+//distance.  Blockers (see glowPixelIsShape) never adopt a neighbor's source, so glow can't travel through them.  You generally won't call
+//this function directly.  It is a utility function that is called by the computeGlowFromBuffers() function.
+//
+//Parameters:
+//canvasWidth - 		width of your canvas element (should be equal among all four canvases)
+//canvasHeight - 		height of your canvas element (should be equal among all four canvases)
+GlowRenderer.prototype.computeGlowDistanceTransform = function(canvasWidth, canvasHeight)
+{
+	var xLoop;	//pixel buffer loop counters
+	var yLoop;
+	var pixelIndex;
+	
+	//forward pass
+	for(yLoop = 0; yLoop < canvasHeight; yLoop++)
+	{
+		for(xLoop = 0; xLoop < canvasWidth; xLoop++)
+		{
+			pixelIndex = (yLoop * canvasWidth) + xLoop;
+			
+			//if this pixel is part of a shape, it does not need to have glow applied to it.
+			if(this.glowPixelIsShape[pixelIndex] == 0)
+			{
+				this.glowPixelVisits++;
+				
+				//west
+				if(xLoop > 0)
+				{
+					this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex - 1, canvasWidth);
+				}
+				
+				if(yLoop > 0)
+				{
+					//north-west
+					if(xLoop > 0)
+					{
+						this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex - canvasWidth - 1, canvasWidth);
+					}
+					
+					//north
+					this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex - canvasWidth, canvasWidth);
+					
+					//north-east
+					if(xLoop < canvasWidth - 1)
+					{
+						this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex - canvasWidth + 1, canvasWidth);
+					}
+				}
+			}
+		}
+		
+		//sweep the same row back from right to left so sources can travel west as well
+		for(xLoop = canvasWidth - 2; xLoop >= 0; xLoop--)
+		{
+			pixelIndex = (yLoop * canvasWidth) + xLoop;
+			
+			if(this.glowPixelIsShape[pixelIndex] == 0)
+			{
+				this.glowPixelVisits++;
+				
+				//east
+				this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex + 1, canvasWidth);
+			}
+		}
+	}
+	
+	//backward pass
+	for(yLoop = canvasHeight - 1; yLoop >= 0; yLoop--)
+	{
+		for(xLoop = canvasWidth - 1; xLoop >= 0; xLoop--)
+		{
+			pixelIndex = (yLoop * canvasWidth) + xLoop;
+			
+			if(this.glowPixelIsShape[pixelIndex] == 0)
+			{
+				this.glowPixelVisits++;
+				
+				//east
+				if(xLoop < canvasWidth - 1)
+				{
+					this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex + 1, canvasWidth);
+				}
+				
+				if(yLoop < canvasHeight - 1)
+				{
+					//south-east
+					if(xLoop < canvasWidth - 1)
+					{
+						this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex + canvasWidth + 1, canvasWidth);
+					}
+					
+					//south
+					this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex + canvasWidth, canvasWidth);
+					
+					//south-west
+					if(xLoop > 0)
+					{
+						this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex + canvasWidth - 1, canvasWidth);
+					}
+				}
+			}
+		}
+		
+		//sweep the same row back from left to right so sources can travel east as well
+		for(xLoop = 1; xLoop < canvasWidth; xLoop++)
+		{
+			pixelIndex = (yLoop * canvasWidth) + xLoop;
+			
+			if(this.glowPixelIsShape[pixelIndex] == 0)
+			{
+				this.glowPixelVisits++;
+				
+				//west
+				this.propagateGlowSeed(pixelIndex, xLoop, yLoop, pixelIndex - 1, canvasWidth);
+			}
+		}
+	}
+};
+
+//writeGlowPixels
+//
+//Write the glow found by computeGlowDistanceTransform() to the output buffer, blending it with the glow already there.  Glow seen through a
+//semi-transparent occluder (one drawn after both the glowing shape and whatever is at the pixel) is dimmed by its transmission and tinted by its
+//tint.  You generally won't call this function directly.  It is a utility function that is called by the computeGlowFromBuffers() function.
+//
+//Parameters:
+//colorBuffer - 	the glow colors ({data, width, height})
+//shapeTable - 		the glow parameters of the shapes
+//outputBuffer - 	the buffer the glow is written to ({data, width, height})
+//pixelCount - 		the number of pixels in the buffers
+//blendCode - 		how the glow combines with the glow already in the output buffer (an index into glowBlendModes)
+//glassFound - 		(optional) true if readGlowGlassIds() found semi-transparent occluders
+//sourceBuffer - 	(optional) an Int32Array with one entry per pixel.  For every pixel the glow is written to, it's set to the index of the
+//					shape pixel that lights it the most.
+GlowRenderer.prototype.writeGlowPixels = function(colorBuffer, shapeTable, outputBuffer, pixelCount, blendCode, glassFound, sourceBuffer)
+{
+	var xLoop;	//pixel buffer loop counter
+	var bufferOffsetForPixel;
+	var seed;
+	var colorOverride;
+	var glowAlpha;
+	var glassId;
+	
+	//for each pixel
+	for(xLoop = 0; xLoop < pixelCount; xLoop++)
+	{
+		seed = this.glowSeedIndex[xLoop];
+		bufferOffsetForPixel = xLoop * 4;
+		
+		//blockers never get glow written over them
+		if(seed < 0 || this.glowPixelIsShape[xLoop] == 1)
+		{
+			continue;
+		}
+		
+		//the glow is behind a semi-transparent occluder if the occluder was drawn after the glowing shape and after whatever is drawn at this pixel
+		glowAlpha = this.glowSeedAlpha[xLoop];
+		glassId = (glassFound == true) ? this.glowPixelGlassId[xLoop] : -1;
+		if(glassId > this.glowPixelShape[seed] && glassId > this.glowPixelShapeId[xLoop])
+		{
+			glowAlpha = glowAlpha * shapeTable.transmission[glassId];
+		}
+		else
+		{
+			glassId = -1;
+		}
+		
+		//with "max", dimmer glow than what's there already is skipped
+		if(blendCode == 0 && outputBuffer.data[bufferOffsetForPixel + 3] >= glowAlpha)
+		{
+			continue;
+		}
+		
+		//use the shape's own glow color if it has one, otherwise get it from the color buffer at the shape pixel the glow comes from
+		colorOverride = shapeTable.colorOverride[this.glowPixelShape[seed]];
+		if(colorOverride >= 0)
+		{
+			this.glowRed = colorOverride >> 16;
+			this.glowGreen = (colorOverride >> 8) & 255;
+			this.glowBlue = colorOverride & 255;
+		}
+		else
+		{
+			this.glowRed = colorBuffer.data[this.glowPixelColorIndex[seed] * 4];
+			this.glowGreen = colorBuffer.data[(this.glowPixelColorIndex[seed] * 4) + 1];
+			this.glowBlue = colorBuffer.data[(this.glowPixelColorIndex[seed] * 4) + 2];
+		}
+		
+		//tinted glass colors the glow seen through it
+		if(glassId > 0 && shapeTable.colorOverride[glassId] >= 0)
+		{
+			this.glowRed = this.glowRed * (shapeTable.colorOverride[glassId] >> 16) / 255;
+			this.glowGreen = this.glowGreen * ((shapeTable.colorOverride[glassId] >> 8) & 255) / 255;
+			this.glowBlue = this.glowBlue * (shapeTable.colorOverride[glassId] & 255) / 255;
+		}
+		
+		//note the shape pixel that lights this pixel the most (for "offset" glow the seed has been moved off the shape, so it's the pixel the
+		//seed was moved from)
+		if(sourceBuffer != null && glowAlpha > 0 && glowAlpha >= outputBuffer.data[bufferOffsetForPixel + 3])
+		{
+			sourceBuffer[xLoop] = this.glowPixelColorIndex[seed];
+		}
+		
+		blendGlowPixel(outputBuffer.data, bufferOffsetForPixel, this.glowRed, this.glowGreen, this.glowBlue, glowAlpha, blendCode);
+	}//next pixel
+};
+
+//readGlowGlassIds
+//
+//Find the semi-transparent occluder (if any) over every pixel of a transmission buffer.  You generally won't call this function directly.  It is
+//a utility function that is called by the computeGlowFromBuffers() function.
+//
+//Parameters:
+//transmissionBuffer - 	the pixel data of the transmission buffer ({data, width, height}), or null if no semi-transparent occluders were drawn
+//shapeTable - 			the glow parameters the shape ids refer to
+//pixelCount - 			the number of pixels in the buffer
+//
+//Returns true if any pixel is covered by a semi-transparent occluder
+GlowRenderer.prototype.readGlowGlassIds = function(transmissionBuffer, shapeTable, pixelCount)
+{
+	var xLoop;
+	var glassId;
+	var glassFound = false;
+	
+	for(xLoop = 0; xLoop < pixelCount; xLoop++)
+	{
+		this.glowPixelGlassId[xLoop] = -1;
+		
+		if(transmissionBuffer == null || transmissionBuffer.data[(xLoop * 4) + 3] < glowMinimumCoverage)
+		{
+			continue;
+		}
+		
+		glassId = readGlowShapeId(transmissionBuffer, xLoop, shapeTable);
+		if(glassId > 0 && shapeTable.shapeAlpha256[glassId] == 0)
+		{
+			this.glowPixelGlassId[xLoop] = glassId;
+			glassFound = true;
+		}
+	}
+	
+	return glassFound;
+};
+
+//blendGlowPixel
+//
+//Combine a glow pixel with the glow already written to a pixel of the output buffer.  Colors are blended as light: each color counts in
+//proportion to its alpha.
+//
+//Parameters:
+//outputData - 	the output buffer's pixel data
+//byteOffset - 	the offset of the pixel's first (red) byte
+//glowRed - 	the red component of the glow (0 - 255)
+//glowGreen - 	the green component of the glow (0 - 255)
+//glowBlue - 	the blue component of the glow (0 - 255)
+//glowAlpha - 	the alpha of the glow (0 - 255)
+//blendCode - 	how the glow combines with what's there (an index into glowBlendModes): 0 keeps whichever is brighter, 1 adds them (clamped at
+//				fully opaque), 2 screens them, and 3 averages their colors weighted by alpha and keeps the larger alpha
+function blendGlowPixel(outputData, byteOffset, glowRed, glowGreen, glowBlue, glowAlpha, blendCode)
+{
+	var outputAlpha = outputData[byteOffset + 3];
+	var blendedAlpha;
+	var componentLoop;
+	var glowComponents;
+	var outputPremultiplied;
+	var glowPremultiplied;
+	
+	if(glowAlpha <= 0)
+	{
+		return;
+	}
+	
+	//nothing to blend with, or the brighter glow wins
+	if(outputAlpha == 0 || blendCode == 0)
+	{
+		if(outputAlpha < glowAlpha)
+		{
+			outputData[byteOffset] = glowRed;
+			outputData[byteOffset + 1] = glowGreen;
+			outputData[byteOffset + 2] = glowBlue;
+			outputData[byteOffset + 3] = glowAlpha;
+		}
+		return;
+	}
+	
+	glowComponents = [glowRed, glowGreen, glowBlue];
+	switch(blendCode)
+	{
+		case 1:
+			blendedAlpha = Math.min(255, outputAlpha + glowAlpha);
+			break;
+		case 2:
+			blendedAlpha = outputAlpha + glowAlpha - ((outputAlpha * glowAlpha) / 255);
+			break;
+		default:
+			blendedAlpha = Math.max(outputAlpha, glowAlpha);
+			break;
+	}
+	
+	for(componentLoop = 0; componentLoop < 3; componentLoop++)
+	{
+		outputPremultiplied = outputData[byteOffset + componentLoop] * outputAlpha / 255;
+		glowPremultiplied = glowComponents[componentLoop] * glowAlpha / 255;
+		
+		switch(blendCode)
+		{
+			case 1:
+				outputData[byteOffset + componentLoop] = Math.min(255, (outputPremultiplied + glowPremultiplied) * 255 / blendedAlpha);
+				break;
+			case 2:
+				outputData[byteOffset + componentLoop] = Math.min(255, (outputPremultiplied + glowPremultiplied - (outputPremultiplied * glowPremultiplied / 255)) * 255 / blendedAlpha);
+				break;
+			default:
+				outputData[byteOffset + componentLoop] = (outputPremultiplied + glowPremultiplied) * 255 / (outputAlpha + glowAlpha);
+				break;
+		}
+	}
+	
+	outputData[byteOffset + 3] = blendedAlpha;
+}
+
+//computeGlowFromBuffers
+//
+//The glow computation itself, with no canvas or DOM involved, so it can run anywhere (a worker, Node, a test).  Takes the pixel data of a glow
+//color buffer and a shape id buffer (laid out like the canvases described at the top of this file) and the shape table the ids refer to, and
+//returns a buffer holding only the glow pixels: for every pixel that isn't part of a shape, the color and alpha of the glow from the shape pixel
+//that lights it the most (and, for "inner" glow, the pixels of the glowing shape itself).  GlowRenderer.computeGlow() reads its contexts back and
+//calls this for each region.
+//
+//Parameters:
+//colorBuffer - 		the glow colors, as {data, width, height} with four bytes (RGBA) per pixel in data.  An ImageData works.
+//shapeIdBuffer - 		the shape ids and coverage of the glowing and occluding shapes (see "Shape ID buffer" above), as {data, width, height}.
+//						Must be the same size as the color buffer.
+//shapeTable - 			the glow parameters of the shapes (see createGlowShapeTable())
+//options - 			(optional) an object with any of:
+//							falloffCurves - 	the user-supplied falloff functions the falloff codes after the built-in ones refer to
+//							outputBuffer - 		the buffer to write the glow to.  Glow is only written over pixels whose alpha is lower than it.
+//												Without it a new, cleared buffer is created.
+//							renderer - 			a GlowRenderer whose scratch arrays should be reused from call to call.  Without it a
+//												temporary one is created.
+//							transmissionBuffer - the semi-transparent occluders, in the same format as the shape id buffer and the same size
+//												(see getGlowOccluderContext()).  Without it there are none.
+//							sourceBuffer - 		an Int32Array with one entry per pixel.  For every pixel the glow is written to, it's set to
+//												the index of the shape pixel that lights it the most (-1 for every other pixel); see glowAt().
+//							resolution - 		the fraction of the buffers' resolution to compute the glow at: 1 (the default), 0.5 or 0.25
+//												(any 1 / n works).  Every glow distance is scaled to match and the glow is scaled back up
+//												with upsampleGlowBuffer(), so the result is the same size either way.
+//
+//Returns the output buffer ({data, width, height}), or null if the buffers or the shape table are missing or the buffers aren't the same size
+function computeGlowFromBuffers(colorBuffer, shapeIdBuffer, shapeTable, options)
+{
+	var bufferWidth;
+	var bufferHeight;
+	var pixelCount;
+	var renderer;
+	var outputBuffer;
+	var separateShapes;	//glowing shapes that aren't "outer" glow or don't blend with "max", and get a pass of their own
+	var glassFound;
+	var shapeLoop;
+	var pixelLoop;
+	
+	if(colorBuffer == null || shapeIdBuffer == null || shapeTable == null || colorBuffer.width != shapeIdBuffer.width || colorBuffer.height != shapeIdBuffer.height)
+	{
+		return null;
+	}
+	
+	if(options == null)
+	{
+		options = {};
+	}
+	
+	if(options.resolution != null && options.resolution < 1)
+	{
+		return computeReducedGlowFromBuffers(colorBuffer, shapeIdBuffer, shapeTable, options);
+	}
+	
+	bufferWidth = shapeIdBuffer.width;
+	bufferHeight = shapeIdBuffer.height;
+	pixelCount = bufferWidth * bufferHeight;
+	
+	renderer = (options.renderer != null) ? options.renderer : new GlowRenderer();
+	if(options.falloffCurves != null)
+	{
+		renderer.glowFalloffCurves = options.falloffCurves;
+	}
+	
+	if(options.outputBuffer != null)
+	{
+		outputBuffer = options.outputBuffer;
+	}
+	else
+	{
+		outputBuffer = {data: new Uint8ClampedArray(pixelCount * 4), width: bufferWidth, height: bufferHeight};
+	}
+	
+	//the per-pixel distance transform data only needs to be reallocated when a buffer is larger than any before it
+	if(renderer.glowSeedIndex == null || renderer.glowSeedIndex.length < pixelCount)
+	{
+		renderer.glowSeedIndex = new Int32Array(pixelCount);
+		renderer.glowSeedAlpha = new Float32Array(pixelCount);
+		renderer.glowPixelStartingAlpha = new Float32Array(pixelCount);
+		renderer.glowPixelIncrement = new Float32Array(pixelCount);
+		renderer.glowPixelReach = new Float32Array(pixelCount);
+		renderer.glowPixelFalloff = new Uint16Array(pixelCount);
+		renderer.glowPixelShape = new Int32Array(pixelCount);
+		renderer.glowPixelSpread = new Float32Array(pixelCount);
+		renderer.glowPixelColorIndex = new Int32Array(pixelCount);
+		renderer.glowPixelShapeId = new Int32Array(pixelCount);
+		renderer.glowPixelGlassId = new Int32Array(pixelCount);
+		renderer.glowPixelIsShape = new Uint8Array(pixelCount);
+	}
+	
+	glassFound = renderer.readGlowGlassIds(options.transmissionBuffer, shapeTable, pixelCount);
+	
+	separateShapes = renderer.seedGlowPixels(shapeIdBuffer, shapeTable, pixelCount);
+	renderer.computeGlowDistanceTransform(bufferWidth, bufferHeight);
+	if(options.sourceBuffer != null)
+	{
+		for(pixelLoop = 0; pixelLoop < pixelCount; pixelLoop++)
+		{
+			options.sourceBuffer[pixelLoop] = -1;
+		}
+	}
+	
+	renderer.writeGlowPixels(colorBuffer, shapeTable, outputBuffer, pixelCount, 0, glassFound, options.sourceBuffer);
+	
+	//then blend in the glow of every other shape, one at a time, in the order they were drawn
+	for(shapeLoop = 0; shapeLoop < separateShapes.length; shapeLoop++)
+	{
+		renderer.seedGlowPixels(shapeIdBuffer, shapeTable, pixelCount, separateShapes[shapeLoop]);
+		renderer.computeGlowDistanceTransform(bufferWidth, bufferHeight);
+		renderer.writeGlowPixels(colorBuffer, shapeTable, outputBuffer, pixelCount, shapeTable.blend[separateShapes[shapeLoop]], glassFound, options.sourceBuffer);
+	}
+	
+	return outputBuffer;
+}
+
+//computeReducedGlowFromBuffers
+//
+//computeGlowFromBuffers() at a reduced resolution: every buffer is sampled down with sampleGlowBuffer(), the glow is computed from the samples with
+//distances scaled to match, and the result is scaled back up to the size of the buffers passed.  You generally won't call this function directly.
+//It is a utility function that is called by computeGlowFromBuffers() when its resolution option is below 1.
+//
+//Parameters:
+//colorBuffer - 	the glow colors (see computeGlowFromBuffers())
+//shapeIdBuffer - 	the shape ids and coverage (see computeGlowFromBuffers())
+//shapeTable - 		the glow parameters of the shapes
+//options - 		the options passed to computeGlowFromBuffers()
+//
+//Returns the output buffer ({data, width, height}), at the size of the buffers passed
+function computeReducedGlowFromBuffers(colorBuffer, shapeIdBuffer, shapeTable, options)
+{
+	var pixelStep = Math.max(1, Math.round(1 / options.resolution));
+	var reducedShapeIds = sampleGlowBuffer(shapeIdBuffer, pixelStep);
+	var reducedSources = new Int32Array(reducedShapeIds.width * reducedShapeIds.height);	//needed to scale the glow back up
+	var renderer = (options.renderer != null) ? options.renderer : new GlowRenderer();
+	var reducedTable = scaleGlowShapeTable(shapeTable, 1 / pixelStep);
+	var reducedGlow;
+	var outputBuffer;
+	var shapeLoop;
+	
+	for(shapeLoop = 0; shapeLoop < reducedTable.count; shapeLoop++)
+	{
+		if(reducedTable.mode[shapeLoop] == 0)
+		{
+			reducedTable.spread[shapeLoop] += glowReducedSpread;
+		}
+	}
+	
+	reducedGlow = computeGlowFromBuffers(sampleGlowBuffer(colorBuffer, pixelStep), reducedShapeIds, reducedTable,
+		{
+			falloffCurves: options.falloffCurves,
+			renderer: renderer,
+			transmissionBuffer: (options.transmissionBuffer != null) ? sampleGlowBuffer(options.transmissionBuffer, pixelStep) : null,
+			sourceBuffer: reducedSources
+		});
+	
+	if(options.outputBuffer != null)
+	{
+		outputBuffer = options.outputBuffer;
+	}
+	else
+	{
+		outputBuffer = {data: new Uint8ClampedArray(shapeIdBuffer.width * shapeIdBuffer.height * 4), width: shapeIdBuffer.width, height: shapeIdBuffer.height};
+	}
+	
+	upsampleGlowBuffer(reducedGlow, reducedShapeIds, shapeIdBuffer, shapeTable, renderer, pixelStep, outputBuffer, reducedSources, options.sourceBuffer);
+	
+	return outputBuffer;
+}
+
+//sampleGlowBuffer
+//
+//Returns a buffer with one pixel for every pixelStep by pixelStep block of the passed one, taken from the middle of the block.  The pixels are
+//sampled rather than averaged because the shape id buffer's colors are ids, and an average of two ids is neither of them.  You generally won't
+//call this function directly.  It is a utility function that is called by computeReducedGlowFromBuffers().
+//
+//Parameters:
+//pixelBuffer - 	the buffer to sample, as {data, width, height}
+//pixelStep - 		the size of the blocks, in pixels
+function sampleGlowBuffer(pixelBuffer, pixelStep)
+{
+	var sampledWidth = Math.ceil(pixelBuffer.width / pixelStep);
+	var sampledHeight = Math.ceil(pixelBuffer.height / pixelStep);
+	var sampledData = new Uint8ClampedArray(sampledWidth * sampledHeight * 4);
+	var pixelData = pixelBuffer.data;	//kept in locals, since reading an ImageData's properties for every pixel is slow
+	var pixelWidth = pixelBuffer.width;
+	var pixelHeight = pixelBuffer.height;
+	var sampleOffset = Math.floor(pixelStep / 2);
+	var sampleX;
+	var sampleY;
+	var sourceOffset;
+	var sampledOffset;
+	var byteLoop;
+	
+	for(sampleY = 0; sampleY < sampledHeight; sampleY++)
+	{
+		for(sampleX = 0; sampleX < sampledWidth; sampleX++)
+		{
+			sourceOffset = ((Math.min(pixelHeight - 1, (sampleY * pixelStep) + sampleOffset) * pixelWidth) + Math.min(pixelWidth - 1, (sampleX * pixelStep) + sampleOffset)) * 4;
+			sampledOffset = ((sampleY * sampledWidth) + sampleX) * 4;
+			for(byteLoop = 0; byteLoop < 4; byteLoop++)
+			{
+				sampledData[sampledOffset + byteLoop] = pixelData[sourceOffset + byteLoop];
+			}
+		}
+	}
+	
+	return {data: sampledData, width: sampledWidth, height: sampledHeight};
+}
+
+//scaleGlowShapeTable
+//
+//Returns a copy of a shape table with every distance in it (glow distance, offset and spread) multiplied by a scale, for computing glow on a
+//buffer of a different resolution.  The other fields are shared with the original table.  You generally won't call this function directly.
+//
+//Parameters:
+//shapeTable - 	a table created by createGlowShapeTable()
+//scale - 		the factor to multiply the distances by
+function scaleGlowShapeTable(shapeTable, scale)
+{
+	var scaledTable = {};
+	var distanceFields = ["distance", "offsetX", "offsetY", "spread"];
+	var fieldName;
+	var fieldLoop;
+	var shapeLoop;
+	
+	for(fieldName in shapeTable)
+	{
+		if(shapeTable.hasOwnProperty(fieldName) == true)
+		{
+			scaledTable[fieldName] = shapeTable[fieldName];
+		}
+	}
+	
+	for(fieldLoop = 0; fieldLoop < distanceFields.length; fieldLoop++)
+	{
+		scaledTable[distanceFields[fieldLoop]] = new Float32Array(shapeTable[distanceFields[fieldLoop]].length);
+		for(shapeLoop = 0; shapeLoop < shapeTable.count; shapeLoop++)
+		{
+			scaledTable[distanceFields[fieldLoop]][shapeLoop] = shapeTable[distanceFields[fieldLoop]][shapeLoop] * scale;
+		}
+	}
+	
+	return scaledTable;
+}
+
+//isGlowingShapePixel
+//
+//Returns true if a pixel of a shape id buffer is covered by a glowing shape (rather than an occluder, an anti-aliased edge or nothing).
+//
+//Parameters:
+//shapeIdBuffer - 	the shape id buffer, as {data, width, height}
+//pixelIndex - 		the linear index of the pixel
+//shapeTable - 		the shape table the ids refer to
+function isGlowingShapePixel(shapeIdBuffer, pixelIndex, shapeTable)
+{
+	var shapeId;
+	
+	if(shapeIdBuffer.data[(pixelIndex * 4) + 3] < glowMinimumCoverage)
+	{
+		return false;
+	}
+	
+	shapeId = readGlowShapeId(shapeIdBuffer, pixelIndex, shapeTable);
+	return (shapeId > 0 && shapeTable.shapeAlpha256[shapeId] > 0);
+}
+
+//upsampleGlowBuffer
+//
+//Scale glow computed at a reduced resolution back up to full resolution, blending the four nearest samples of each pixel bilinearly.  Samples on a
+//glowing shape are only blended into pixels on a glowing shape, and the rest only into the pixels around them, so the glow stays crisp at the
+//shapes' full resolution edges instead of fading into them.  Colors are blended by alpha, so transparent samples don't darken the glow.
+//
+//A reduced sample measures its glow from the middle of its source's block, which can be up to a block away from the shape's actual edge, and the
+//pixels between the edge and the first sample outside it have nothing to blend toward.  So the alpha of "outer" glow is worked out again for each
+//pixel from the nearest full resolution shape pixel, with the shape's full resolution glow parameters.  Each sample finds the shape pixel nearest
+//it in (or just beside) its source's block, and a pixel is measured from the nearest of its samples' shape pixels, or searches for its own next
+//to a shape's edge.  Glow is only written over pixels whose alpha is lower than it.  You generally won't call this function directly.  It is a
+//utility function that is called by computeReducedGlowFromBuffers().
+//
+//Parameters:
+//reducedGlow - 		the glow computed at the reduced resolution, as {data, width, height}
+//reducedShapeIds - 	the shape id buffer it was computed from (see sampleGlowBuffer())
+//shapeIdBuffer - 		the full resolution shape id buffer
+//shapeTable - 			the shape table the ids refer to
+//renderer - 			the GlowRenderer the reduced glow was computed with, which still holds the glow parameters of its sources
+//pixelStep - 			the number of full resolution pixels across each reduced pixel
+//outputBuffer - 		the full resolution buffer to write the glow to
+//reducedSources - 		the glow sources of the reduced glow (see computeGlowFromBuffers())
+//sourceBuffer - 		(optional) the full resolution glow sources to fill in from them
+function upsampleGlowBuffer(reducedGlow, reducedShapeIds, shapeIdBuffer, shapeTable, renderer, pixelStep, outputBuffer, reducedSources, sourceBuffer)
+{
+	var reducedWidth = reducedGlow.width;
+	var reducedHeight = reducedGlow.height;
+	var reducedData = reducedGlow.data;	//kept in locals, since reading an ImageData's properties for every pixel is slow
+	var outputData = outputBuffer.data;
+	var outputWidth = outputBuffer.width;
+	var outputHeight = outputBuffer.height;
+	var shapeIdData = shapeIdBuffer.data;
+	var reducedIsShape = new Uint8Array(reducedWidth * reducedHeight);
+	var reducedNearest = new Int32Array(reducedWidth * reducedHeight);	//the full resolution shape pixel nearest each "outer" glow sample, or -1
+	var reducedShape = new Int32Array(reducedWidth * reducedHeight);	//the shape that pixel belongs to
+	var reducedScale = new Float32Array(reducedWidth * reducedHeight);	//the sample's alpha over the alpha its source gives at its distance
+	var shapeStartingAlpha = new Float32Array(shapeTable.count);	//the full resolution glow parameters of each shape
+	var shapeIncrement = new Float32Array(shapeTable.count);
+	var shapeReach = new Float32Array(shapeTable.count);
+	var outputIsShape = new Uint8Array(outputWidth * outputHeight);
+	var sampleIndexes = [0, 0, 0, 0];
+	var sampleWeights = [0, 0, 0, 0];
+	var sampleOffset = Math.floor(pixelStep / 2);
+	var pixelX;
+	var pixelY;
+	var pixelIndex;
+	var pixelIsShape;
+	var reducedX;
+	var reducedY;
+	var fractionX;
+	var fractionY;
+	var sampleLoop;
+	var sampleAlpha;
+	var samplesLeftOut;
+	var totalWeight;
+	var totalAlpha;
+	var totalRed;
+	var totalGreen;
+	var totalBlue;
+	var brightestSample;
+	var brightestAlpha;
+	var glowAlpha;
+	var seed;
+	var nearestPixel;
+	var distanceX;
+	var distanceY;
+	var nearestDistance;
+	var nearestLeft;	//the bounds of the shape pixels a pixel's samples found
+	var nearestTop;
+	var nearestRight;
+	var nearestBottom;
+	var candidatePixel;
+	var shapeId;
+	
+	for(shapeId = 1; shapeId < shapeTable.count; shapeId++)
+	{
+		renderer.setGlowSeedShape(shapeId, shapeTable);
+		shapeStartingAlpha[shapeId] = renderer.glowStartingAlpha;
+		shapeIncrement[shapeId] = renderer.glowIncrement;
+		shapeReach[shapeId] = renderer.glowReach;
+	}
+	
+	for(pixelIndex = 0; pixelIndex < reducedWidth * reducedHeight; pixelIndex++)
+	{
+		reducedIsShape[pixelIndex] = isGlowingShapePixel(reducedShapeIds, pixelIndex, shapeTable) ? 1 : 0;
+	}
+	
+	//most pixels aren't covered by any shape, so their coverage is checked before their shape id is read
+	for(pixelIndex = 0; pixelIndex < outputWidth * outputHeight; pixelIndex++)
+	{
+		outputIsShape[pixelIndex] = (shapeIdData[(pixelIndex * 4) + 3] >= glowMinimumCoverage && isGlowingShapePixel(shapeIdBuffer, pixelIndex, shapeTable)) ? 1 : 0;
+	}
+	
+	for(pixelIndex = 0; pixelIndex < reducedWidth * reducedHeight; pixelIndex++)
+	{
+		seed = reducedSources[pixelIndex];
+		reducedNearest[pixelIndex] = -1;
+		if(reducedIsShape[pixelIndex] == 1 || reducedData[(pixelIndex * 4) + 3] == 0 || seed < 0 || shapeTable.mode[renderer.glowPixelShape[seed]] != 0)
+		{
+			continue;
+		}
+		
+		//the ratio carries over anything else that dimmed the glow (such as a semi-transparent occluder)
+		distanceX = (pixelIndex % reducedWidth) - (seed % reducedWidth);
+		distanceY = Math.floor(pixelIndex / reducedWidth) - Math.floor(seed / reducedWidth);
+		sampleAlpha = renderer.getGlowSeedAlpha(seed, Math.sqrt((distanceX * distanceX) + (distanceY * distanceY)));
+		if(sampleAlpha > 0)
+		{
+			//from the full resolution pixel the sample was taken from
+			reducedNearest[pixelIndex] = findNearestGlowShapePixel(outputIsShape, outputWidth, outputHeight, seed % reducedWidth,
+				Math.floor(seed / reducedWidth), pixelStep, Math.min(outputWidth - 1, ((pixelIndex % reducedWidth) * pixelStep) + sampleOffset),
+				Math.min(outputHeight - 1, (Math.floor(pixelIndex / reducedWidth) * pixelStep) + sampleOffset));
+			reducedShape[pixelIndex] = renderer.glowPixelShape[seed];
+			reducedScale[pixelIndex] = reducedData[(pixelIndex * 4) + 3] / sampleAlpha;
+		}
+	}
+	
+	if(sourceBuffer != null)
+	{
+		for(pixelIndex = 0; pixelIndex < outputWidth * outputHeight; pixelIndex++)
+		{
+			sourceBuffer[pixelIndex] = -1;
+		}
+	}
+	
+	for(pixelY = 0; pixelY < outputHeight; pixelY++)
+	{
+		//where this row falls between the rows of samples (each sample was taken from the middle of its block)
+		reducedY = Math.max(0, (pixelY - sampleOffset) / pixelStep);
+		fractionY = reducedY - Math.floor(reducedY);
+		reducedY = Math.floor(reducedY);
+		
+		for(pixelX = 0; pixelX < outputWidth; pixelX++)
+		{
+			pixelIndex = (pixelY * outputWidth) + pixelX;
+			pixelIsShape = outputIsShape[pixelIndex];
+			
+			reducedX = Math.max(0, (pixelX - sampleOffset) / pixelStep);
+			fractionX = reducedX - Math.floor(reducedX);
+			reducedX = Math.floor(reducedX);
+			
+			sampleIndexes[0] = (reducedY * reducedWidth) + reducedX;
+			sampleIndexes[1] = (reducedY * reducedWidth) + Math.min(reducedWidth - 1, reducedX + 1);
+			sampleIndexes[2] = (Math.min(reducedHeight - 1, reducedY + 1) * reducedWidth) + reducedX;
+			sampleIndexes[3] = (Math.min(reducedHeight - 1, reducedY + 1) * reducedWidth) + Math.min(reducedWidth - 1, reducedX + 1);
+			
+			//most pixels are out of reach of any glow
+			if(reducedData[(sampleIndexes[0] * 4) + 3] + reducedData[(sampleIndexes[1] * 4) + 3] + reducedData[(sampleIndexes[2] * 4) + 3] +
+				reducedData[(sampleIndexes[3] * 4) + 3] == 0)
+			{
+				continue;
+			}
+			
+			sampleWeights[0] = (1 - fractionX) * (1 - fractionY);
+			sampleWeights[1] = fractionX * (1 - fractionY);
+			sampleWeights[2] = (1 - fractionX) * fractionY;
+			sampleWeights[3] = fractionX * fractionY;
+			
+			//leave out the samples on the other side of a shape's edge.  A gap between shapes narrower than a sample uses all of them, but a
+			//shape narrower than a sample gets no glow over it, the same as a shape with outer glow.
+			totalWeight = 0;
+			samplesLeftOut = false;
+			for(sampleLoop = 0; sampleLoop < 4; sampleLoop++)
+			{
+				if(reducedIsShape[sampleIndexes[sampleLoop]] == pixelIsShape)
+				{
+					totalWeight += sampleWeights[sampleLoop];
+				}
+				else if(sampleWeights[sampleLoop] > 0)
+				{
+					samplesLeftOut = true;
+				}
+			}
+			
+			if(totalWeight == 0 && pixelIsShape == 1)
+			{
+				continue;
+			}
+			
+			totalAlpha = 0;
+			totalRed = 0;
+			totalGreen = 0;
+			totalBlue = 0;
+			brightestSample = -1;
+			brightestAlpha = 0;
+			for(sampleLoop = 0; sampleLoop < 4; sampleLoop++)
+			{
+				if(totalWeight > 0 && reducedIsShape[sampleIndexes[sampleLoop]] != pixelIsShape)
+				{
+					continue;
+				}
+				
+				sampleAlpha = reducedData[(sampleIndexes[sampleLoop] * 4) + 3] * sampleWeights[sampleLoop];
+				totalAlpha += sampleAlpha;
+				totalRed += reducedData[sampleIndexes[sampleLoop] * 4] * sampleAlpha;
+				totalGreen += reducedData[(sampleIndexes[sampleLoop] * 4) + 1] * sampleAlpha;
+				totalBlue += reducedData[(sampleIndexes[sampleLoop] * 4) + 2] * sampleAlpha;
+				
+				if(sampleAlpha > brightestAlpha)
+				{
+					brightestSample = sampleIndexes[sampleLoop];
+					brightestAlpha = sampleAlpha;
+				}
+			}
+			
+			if(totalAlpha == 0)
+			{
+				continue;
+			}
+			
+			glowAlpha = (totalWeight > 0) ? totalAlpha / totalWeight : totalAlpha;
+			seed = (brightestSample >= 0) ? reducedSources[brightestSample] : -1;
+			nearestPixel = -1;
+			
+			//measure "outer" glow from the shape pixel nearest the pixel itself
+			if(pixelIsShape == 0 && brightestSample >= 0 && reducedNearest[brightestSample] >= 0)
+			{
+				if(samplesLeftOut)
+				{
+					nearestPixel = findNearestGlowShapePixel(outputIsShape, outputWidth, outputHeight, seed % reducedWidth, Math.floor(seed / reducedWidth),
+						pixelStep, pixelX, pixelY);
+				}
+				else
+				{
+					//the nearest of the shape pixels its samples found on the same shape, or the pixel between them that is straight across
+					//from it if that's on the shape too (as it is along a straight edge)
+					nearestLeft = outputWidth;
+					nearestTop = outputHeight;
+					nearestRight = -1;
+					nearestBottom = -1;
+					for(sampleLoop = 0; sampleLoop < 4; sampleLoop++)
+					{
+						candidatePixel = reducedNearest[sampleIndexes[sampleLoop]];
+						if(candidatePixel < 0 || reducedShape[sampleIndexes[sampleLoop]] != reducedShape[brightestSample])
+						{
+							continue;
+						}
+						
+						distanceX = pixelX - (candidatePixel % outputWidth);
+						distanceY = pixelY - Math.floor(candidatePixel / outputWidth);
+						if(nearestPixel < 0 || (distanceX * distanceX) + (distanceY * distanceY) < nearestDistance)
+						{
+							nearestPixel = candidatePixel;
+							nearestDistance = (distanceX * distanceX) + (distanceY * distanceY);
+						}
+						nearestLeft = Math.min(nearestLeft, candidatePixel % outputWidth);
+						nearestRight = Math.max(nearestRight, candidatePixel % outputWidth);
+						nearestTop = Math.min(nearestTop, Math.floor(candidatePixel / outputWidth));
+						nearestBottom = Math.max(nearestBottom, Math.floor(candidatePixel / outputWidth));
+					}
+					
+					candidatePixel = (Math.max(nearestTop, Math.min(nearestBottom, pixelY)) * outputWidth) + Math.max(nearestLeft, Math.min(nearestRight, pixelX));
+					if(nearestPixel >= 0 && outputIsShape[candidatePixel] == 1)
+					{
+						nearestPixel = candidatePixel;
+					}
+				}
+				
+				if(nearestPixel >= 0)
+				{
+					distanceX = pixelX - (nearestPixel % outputWidth);
+					distanceY = pixelY - Math.floor(nearestPixel / outputWidth);
+					shapeId = reducedShape[brightestSample];
+					glowAlpha = Math.max(0, renderer.getGlowAlphaAtDistance(shapeStartingAlpha[shapeId], shapeIncrement[shapeId], shapeReach[shapeId],
+						shapeTable.falloff[shapeId], shapeTable.spread[shapeId], Math.sqrt((distanceX * distanceX) + (distanceY * distanceY)))) *
+						reducedScale[brightestSample];
+				}
+			}
+			
+			if(glowAlpha <= outputData[(pixelIndex * 4) + 3])
+			{
+				continue;
+			}
+			
+			outputData[pixelIndex * 4] = totalRed / totalAlpha;
+			outputData[(pixelIndex * 4) + 1] = totalGreen / totalAlpha;
+			outputData[(pixelIndex * 4) + 2] = totalBlue / totalAlpha;
+			outputData[(pixelIndex * 4) + 3] = glowAlpha;
+			
+			//the glow's source is the shape pixel its alpha was measured from, or else the full resolution pixel its brightest sample's source
+			//was taken from
+			if(sourceBuffer != null && nearestPixel >= 0)
+			{
+				sourceBuffer[pixelIndex] = nearestPixel;
+			}
+			else if(sourceBuffer != null && seed >= 0)
+			{
+				sourceBuffer[pixelIndex] = (Math.min(outputHeight - 1, (Math.floor(seed / reducedWidth) * pixelStep) + sampleOffset) * outputWidth) +
+					Math.min(outputWidth - 1, ((seed % reducedWidth) * pixelStep) + sampleOffset);
+			}
+		}
+	}
+}
+
+//findNearestGlowShapePixel
+//
+//Returns the linear index of the glowing shape pixel nearest to the passed pixel, out of those in a reduced pixel's block, or -1 if there are
+//none.  A shape can reach into the next block toward the pixel without covering that block's sample, so the search goes up to a block farther
+//on that side.  Rows are searched from the one nearest the pixel outward, and stop once no pixel in them could be nearer than the one already
+//found.  You generally won't call this function directly.  It is a utility function that is called by upsampleGlowBuffer().
+//
+//Parameters:
+//isShape - 		one entry per full resolution pixel, 1 for the pixels of glowing shapes
+//bufferWidth - 	the width of the full resolution buffer in pixels
+//bufferHeight - 	the height of the full resolution buffer in pixels
+//blockX - 			x-coordinate of the reduced pixel
+//blockY - 			y-coordinate of the reduced pixel
+//pixelStep - 		the number of full resolution pixels across each reduced pixel
+//pixelX - 			x-coordinate of the full resolution pixel
+//pixelY - 			y-coordinate of the full resolution pixel
+function findNearestGlowShapePixel(isShape, bufferWidth, bufferHeight, blockX, blockY, pixelStep, pixelX, pixelY)
+{
+	var left = Math.max(0, (blockX * pixelStep) - ((pixelX < blockX * pixelStep) ? pixelStep - 1 : 0));
+	var right = Math.min(bufferWidth, ((blockX + 1) * pixelStep) + ((pixelX >= (blockX + 1) * pixelStep) ? pixelStep - 1 : 0));
+	var top = Math.max(0, (blockY * pixelStep) - ((pixelY < blockY * pixelStep) ? pixelStep - 1 : 0));
+	var bottom = Math.min(bufferHeight, ((blockY + 1) * pixelStep) + ((pixelY >= (blockY + 1) * pixelStep) ? pixelStep - 1 : 0));
+	var nearestPixel = -1;
+	var nearestDistance = 0;
+	var rowStep = (pixelY >= bottom) ? -1 : 1;
+	var rowLoop;
+	var columnLoop;
+	var distanceX;
+	var distanceY;
+	
+	for(rowLoop = (rowStep < 0) ? bottom - 1 : top; rowLoop >= top && rowLoop < bottom; rowLoop += rowStep)
+	{
+		distanceY = pixelY - rowLoop;
+		if(nearestPixel >= 0 && (distanceY * distanceY) >= nearestDistance)
+		{
+			//rows below a pixel above the rectangle (or above one below it) only get farther away
+			if((pixelY < top && rowStep > 0) || rowStep < 0)
+			{
+				break;
+			}
+			continue;
+		}
+		
+		for(columnLoop = left; columnLoop < right; columnLoop++)
+		{
+			distanceX = pixelX - columnLoop;
+			if(isShape[(rowLoop * bufferWidth) + columnLoop] == 1 && (nearestPixel < 0 || (distanceX * distanceX) + (distanceY * distanceY) < nearestDistance))
+			{
+				nearestPixel = (rowLoop * bufferWidth) + columnLoop;
+				nearestDistance = (distanceX * distanceX) + (distanceY * distanceY);
+			}
+		}
+	}
+	
+	return nearestPixel;
+}
+
+//computeGlowRegion
+//
+//Compute the glow for one rectangular part of the canvas.  Read back that part of each of the off-screen contexts, compute its glow with
+//computeGlowFromBuffers() and keep the result for compositeAndDraw().  You generally won't call this function directly.  It is a utility function
+//that is called by the computeGlow() function.
+//
+//Parameters:
+//regionLeft - 		x-coordinate of the left edge of the region
+//regionTop - 		y-coordinate of the top edge of the region
+//regionWidth - 	width of the region in pixels
+//regionHeight - 	height of the region in pixels
+GlowRenderer.prototype.computeGlowRegion = function(regionLeft, regionTop, regionWidth, regionHeight)
+{
+	var glowSources;
+	
+	//update the occlusion buffer with data from the occlusion context (now includes things that were drawn to it)
+	this.glowOcclusionBuffer = this.glowOcclusionContext.getImageData(regionLeft, regionTop, regionWidth, regionHeight);
+	
+	//update the glow write buffer with its cleared context
+	this.glowOutputBuffer = this.glowOutputContext.getImageData(regionLeft, regionTop, regionWidth, regionHeight);
+	
+	//update teh glow color buffer now that it has things drawn to it
+	this.glowColorBuffer = this.glowColorContext.getImageData(regionLeft, regionTop, regionWidth, regionHeight);
+	
+	//semi-transparent occluders, if any were drawn this frame
+	this.glowTransmissionBuffer = (this.glowTransmissionUsed == true) ? this.glowTransmissionContext.getImageData(regionLeft, regionTop, regionWidth, regionHeight) : null;
+	
+	//where each glow pixel comes from, for glowAt()
+	glowSources = new Int32Array(regionWidth * regionHeight);
+	
+	computeGlowFromBuffers(this.glowColorBuffer, this.glowOcclusionBuffer, this.glowShapeTable, {falloffCurves: this.glowFalloffCurves,
+		outputBuffer: this.glowOutputBuffer, renderer: this, transmissionBuffer: this.glowTransmissionBuffer, sourceBuffer: glowSources,
+		resolution: this.glowQuality});
+	
+	this.glowOutputRegions.push({left: regionLeft, top: regionTop, width: regionWidth, height: regionHeight, buffer: this.glowOutputBuffer,
+		group: this.glowGroup.name, shapeIds: this.glowOcclusionBuffer, sources: glowSources});
+};
+
+//computeGlowRegions
+//
+//Compute the glow for the passed parts of the canvas, once for every glow group drawn to this frame, in the order the groups are composited.
+//You generally won't call this function directly.  It is a utility function that is called by the computeGlow() function.
+//
+//Parameters:
+//glowRegions - 	the parts of the canvas ({left, top, right, bottom}) to compute glow for
+GlowRenderer.prototype.computeGlowRegions = function(glowRegions)
+{
+	var glowGroups = this.getGlowGroupsToCompute();
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var regionLoop;
+	
+	for(groupLoop = 0; groupLoop < glowGroups.length; groupLoop++)
+	{
+		this.selectGlowGroup(glowGroups[groupLoop].name);
+		
+		for(regionLoop = 0; regionLoop < glowRegions.length; regionLoop++)
+		{
+			this.computeGlowRegion(glowRegions[regionLoop].left, glowRegions[regionLoop].top, glowRegions[regionLoop].right - glowRegions[regionLoop].left,
+				glowRegions[regionLoop].bottom - glowRegions[regionLoop].top);
+		}
+	}
+	
+	this.selectGlowGroup(previousGroup);
+};
+
+//getGlowRegions
+//
+//Returns the parts of the canvas ({left, top, right, bottom}) that computeGlow() needs to process this frame: the dirty regions when
+//trackDirtyRegions is set, otherwise the whole canvas (or nothing, when the only glowing shapes are sprites that can be stamped).  You generally
+//won't call this function directly.
+GlowRenderer.prototype.getGlowRegions = function()
+{
+	var shapeLoop;
+	var liveGlow = false;
+	
+	if(this.trackDirtyRegions == true)
+	{
+		return this.glowDirtyRegions.slice();
+	}
+	
+	//when every glowing shape this frame was a sprite, there's nothing to compute
+	if(this.glowSpriteStamps.length > 0)
+	{
+		for(shapeLoop = 1; shapeLoop < this.glowShapeTable.count && liveGlow == false; shapeLoop++)
+		{
+			liveGlow = (this.glowShapeTable.shapeAlpha256[shapeLoop] > 0 && this.glowShapeTable.startingAlpha[shapeLoop] > 0);
+		}
+		
+		if(liveGlow == false)
+		{
+			return [];
+		}
+	}
+	
+	return [{left: 0, top: 0, right: this.canvasWidth, bottom: this.canvasHeight}];
+};
+
+//computeGlow
+//
+//Apply scene-wide glow.  When trackDirtyRegions is set, only the parts of the canvas that glowing shapes were drawn to this frame (grown by the
+//reach of their glow) are read back and computed; otherwise the whole canvas is.  When skipUnchangedFrames is set and exactly the same draw
+//calls were made as the last time glow was computed, the glow from that time is reused and nothing is read back or computed at all.  If a glow
+//worker has been set (see setGlowWorker()), the pixel data is handed to the worker and this returns right away; compositeAndDraw() then waits
+//for the result.
+GlowRenderer.prototype.computeGlow = function()
+{
+	var computeStartTime = this.glowStatsClock();
+	var glowRegions;
+	var groupCount;
+	var regionLoop;
+	
+	this.glowPixelsSeeded = 0;
+	this.glowPixelVisits = 0;
+	this.glowFrameStats.regions = 0;
+	this.glowFrameStats.pixelsComputed = 0;
+	this.glowFrameStats.quality = this.glowQuality;
+	
+	if(this.skipUnchangedFrames == true && this.previousGlowCanvasWidth == this.canvasWidth && this.previousGlowCanvasHeight == this.canvasHeight &&
+		this.previousGlowQuality == this.glowQuality && this.isGlowDrawLogUnchanged() == true)
+	{
+		this.glowFrameStats.computeTime = this.glowStatsClock() - computeStartTime;
+		return;
+	}
+	
+	//sprites that can't be stamped this frame add their regions to the ones computed
+	this.prepareGlowSprites();
+	
+	glowRegions = this.getGlowRegions();
+	this.glowOutputRegions = [];
+	
+	//every region is computed once for each glow group
+	groupCount = this.getGlowGroupsToCompute().length;
+	for(regionLoop = 0; regionLoop < glowRegions.length; regionLoop++)
+	{
+		this.glowFrameStats.regions += groupCount;
+		this.glowFrameStats.pixelsComputed += (glowRegions[regionLoop].right - glowRegions[regionLoop].left) * (glowRegions[regionLoop].bottom - glowRegions[regionLoop].top) * groupCount;
+	}
+	
+	//user-supplied falloff functions can't be sent to a worker, so frames that use them are computed here
+	if(this.glowWorker != null && this.glowFalloffCurves.length == 0)
+	{
+		this.sendGlowToWorker(glowRegions);
+	}
+	else
+	{
+		this.computeGlowRegions(glowRegions);
+		this.stampGlowSprites();
+	}
+	
+	this.previousGlowDrawLog = this.glowDrawLog;
+	this.previousGlowCanvasWidth = this.canvasWidth;
+	this.previousGlowCanvasHeight = this.canvasHeight;
+	this.previousGlowQuality = this.glowQuality;
+	
+	//a worker adds its own numbers when its result arrives
+	this.glowFrameStats.pixelsSeeded = this.glowPixelsSeeded;
+	this.glowFrameStats.pixelVisits = this.glowPixelVisits;
+	this.glowFrameStats.computeTime = this.glowStatsClock() - computeStartTime;
+};
+
+//adaptGlowQuality
+//
+//When glowTimeBudget is set, halve glowQuality (down to minimumGlowQuality) if the last frame's computeGlow() and compositeAndDraw() went over
+//the budget, or double it (up to 1) if the frame would still fit in half of the budget at the higher quality.  Doubling the resolution computes
+//about four times as many pixels, so the margin keeps the quality from going back and forth between frames.  Frames that didn't compute any glow
+//leave the quality as it is.  You generally won't call this function directly.  It is a utility function that is called by compositeAndDraw().
+GlowRenderer.prototype.adaptGlowQuality = function()
+{
+	var frameTime = this.glowFrameStats.computeTime + this.glowFrameStats.compositeTime;
+	
+	if(this.glowTimeBudget <= 0 || this.glowFrameStats.pixelsComputed == 0)
+	{
+		return;
+	}
+	
+	if(frameTime > this.glowTimeBudget && this.glowQuality / 2 >= this.minimumGlowQuality)
+	{
+		this.glowQuality /= 2;
+	}
+	else if(this.glowQuality < 1 && (this.glowFrameStats.computeTime * 4) + this.glowFrameStats.compositeTime < this.glowTimeBudget / 2)
+	{
+		this.glowQuality = Math.min(1, this.glowQuality * 2);
+	}
+};
+
+//compositeAndDraw
+//
+//Write the contents of the glow buffer to the frame buffer and draw it to the screen.  Only the regions computed by computeGlow() are written
+//and drawn.  If a glow worker is still computing this frame's glow, the drawing happens when its result arrives, so don't start drawing the next
+//frame until the returned promise resolves (or the callback is called).
+//
+//Parameters:
+//glowWriteBufferElement - (optional) the actual DOM element that represents the <canvas> to which glow pixels are written (this is NOT the frame buffer).
+//							Defaults to the canvas of the glow output context.
+//callback - 				(optional) a function to call once the glow has been drawn
+//compositeOptions - 		(optional) an object with any of:
+//								globalCompositeOperation - 	how the glow is composited with the frame buffer ("lighter", "screen", "overlay" or any
+//															other canvas composite operation).  Defaults to "source-over".
+//								intensity - 				a multiplier for the alpha of every glow pixel.  Defaults to 1.
+//								toneMapping - 				"none" (the default) lets glow that intensity pushes past fully opaque clip; "reinhard"
+//															and "exponential" roll it off smoothly instead (see mapGlowIntensity())
+//								blur - 						the standard deviation, in CSS pixels, of a blur applied to the glow before it's drawn.
+//															Defaults to 0 (no blur).
+//
+//Returns a promise that resolves once the glow has been drawn (or null if the browser doesn't support promises)
+GlowRenderer.prototype.compositeAndDraw = function(glowWriteBufferElement, callback, compositeOptions)
+{
+	var renderer = this;
+	var composite = function()
+	{
+		var compositeStartTime = renderer.glowStatsClock();
+		
+		renderer.drawGlowOutputRegions(glowWriteBufferElement, compositeOptions);
+		renderer.glowFrameStats.compositeTime = renderer.glowStatsClock() - compositeStartTime;
+		renderer.adaptGlowQuality();
+		
+		if(renderer.glowDebugView != null)
+		{
+			renderer.drawGlowDebugView(renderer.glowDebugView, renderer.glowDebugTarget);
+		}
+		
+		if(callback != null)
+		{
+			callback();
+		}
+	};
+	
+	//without a worker (or once it has answered) the glow can be drawn right away
+	if(this.glowWorkerPending == false)
+	{
+		composite();
+		
+		if(typeof Promise != "undefined")
+		{
+			return Promise.resolve();
+		}
+		return null;
+	}
+	
+	//otherwise wait for the worker
+	if(typeof Promise != "undefined")
+	{
+		return new Promise(function(resolve)
+		{
+			renderer.glowWorkerWaiting.push(function()
+			{
+				composite();
+				resolve();
+			});
+		});
+	}
+	
+	this.glowWorkerWaiting.push(composite);
+	return null;
+};
+
+//drawGlowOutputRegions
+//
+//Write the glow computed for each region to the glow output context and composite it with the frame buffer.  You generally won't call this
+//function directly.  It is a utility function that is called by compositeAndDraw().
+//
+//Parameters:
+//glowWriteBufferElement - 	(optional) the <canvas> to which glow pixels are written.  Defaults to the canvas of the glow output context.
+//compositeOptions - 		(optional) the compositing options passed to compositeAndDraw()
+GlowRenderer.prototype.drawGlowOutputRegions = function(glowWriteBufferElement, compositeOptions)
+{
+	var regionLoop;
+	var region;
+	var intensity;
+	var toneMapping;
+	var blurRadius;
+	var glowBuffer;
+	var blurBounds = null;	//the box around every region of the current glow group
+	var blurGroup = null;	//the glow group of the regions in blurBounds
+	
+	if(glowWriteBufferElement == null)
+	{
+		glowWriteBufferElement = this.glowOutputContext.canvas;
+	}
+	
+	if(compositeOptions == null)
+	{
+		compositeOptions = {};
+	}
+	intensity = (compositeOptions.intensity != null) ? compositeOptions.intensity : 1;
+	toneMapping = (compositeOptions.toneMapping != null) ? compositeOptions.toneMapping : "none";
+	blurRadius = (compositeOptions.blur != null) ? compositeOptions.blur * this.pixelRatio : 0;
+	
+	//the glow is already in canvas pixels, so it's drawn without whatever transform the frame buffer was left with
+	this.frameBufferContext.save();
+	this.frameBufferContext.setTransform(1, 0, 0, 1, 0, 0);
+	
+	if(compositeOptions.globalCompositeOperation != null)
+	{
+		this.frameBufferContext.globalCompositeOperation = compositeOptions.globalCompositeOperation;
+	}
+	
+	for(regionLoop = 0; regionLoop < this.glowOutputRegions.length; regionLoop++)
+	{
+		region = this.glowOutputRegions[regionLoop];
+		glowBuffer = region.buffer;
+		
+		//the region's own buffer is kept as it is (skipUnchangedFrames may draw it again), so the adjusted glow goes to a copy
+		if(intensity != 1 || toneMapping != "none")
+		{
+			glowBuffer = this.glowOutputContext.createImageData(region.width, region.height);
+			mapGlowIntensity(region.buffer, glowBuffer, intensity, toneMapping);
+		}
+		
+		//without canvas filters, each region is blurred on its own.  Regions reach well past their glow, so little is lost at their edges.
+		if(blurRadius > 0 && typeof this.frameBufferContext.filter != "string")
+		{
+			if(glowBuffer == region.buffer)
+			{
+				glowBuffer = this.glowOutputContext.createImageData(region.width, region.height);
+				glowBuffer.data.set(region.buffer.data);
+			}
+			blurGlowBuffer(glowBuffer, blurRadius);
+		}
+		
+		//each glow group's regions are blurred together, so the regions gathered so far are drawn before the next group's glow replaces them
+		if(blurBounds != null && region.group != blurGroup)
+		{
+			this.drawBlurredGlow(glowWriteBufferElement, blurBounds, blurRadius);
+			this.glowOutputContext.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+			blurBounds = null;
+		}
+		
+		//write the data from the glow output buffer (the buffer to which glow pixels were written during computeGlow) to the glow write context
+		this.glowOutputContext.putImageData(glowBuffer, region.left, region.top);
+		
+		if(blurRadius > 0 && typeof this.frameBufferContext.filter == "string")
+		{
+			//blurred regions are drawn together below, so that glow spread past one region's edge isn't drawn twice where regions meet
+			if(blurBounds == null)
+			{
+				blurBounds = {left: region.left, top: region.top, right: region.left + region.width, bottom: region.top + region.height};
+			}
+			blurBounds.left = Math.min(blurBounds.left, region.left);
+			blurBounds.top = Math.min(blurBounds.top, region.top);
+			blurBounds.right = Math.max(blurBounds.right, region.left + region.width);
+			blurBounds.bottom = Math.max(blurBounds.bottom, region.top + region.height);
+			blurGroup = region.group;
+		}
+		else
+		{
+			//composite the glow pixels with the rest of the pixels on the frame buffer
+			this.frameBufferContext.drawImage(glowWriteBufferElement, region.left, region.top, region.width, region.height, region.left, region.top, region.width, region.height);
+		}
+	}
+	
+	if(blurBounds != null)
+	{
+		this.drawBlurredGlow(glowWriteBufferElement, blurBounds, blurRadius);
+	}
+	
+	this.frameBufferContext.restore();
+};
+
+//drawBlurredGlow
+//
+//Draw part of the glow output context to the frame buffer through a canvas blur filter.  You generally won't call this function directly.  It is a
+//utility function that is called by drawGlowOutputRegions().
+//
+//Parameters:
+//glowWriteBufferElement - 	the <canvas> to which glow pixels were written
+//blurBounds - 				the box around the regions to draw ({left, top, right, bottom}), which is grown by the reach of the blur
+//blurRadius - 				the standard deviation of the blur, in canvas pixels
+GlowRenderer.prototype.drawBlurredGlow = function(glowWriteBufferElement, blurBounds, blurRadius)
+{
+	//a Gaussian blur reaches about three standard deviations
+	var blurMargin = Math.ceil(blurRadius * 3);
+	
+	blurBounds.left = Math.max(0, blurBounds.left - blurMargin);
+	blurBounds.top = Math.max(0, blurBounds.top - blurMargin);
+	blurBounds.right = Math.min(this.canvasWidth, blurBounds.right + blurMargin);
+	blurBounds.bottom = Math.min(this.canvasHeight, blurBounds.bottom + blurMargin);
+	
+	this.frameBufferContext.filter = "blur(" + blurRadius + "px)";
+	this.frameBufferContext.drawImage(glowWriteBufferElement, blurBounds.left, blurBounds.top, blurBounds.right - blurBounds.left, blurBounds.bottom - blurBounds.top,
+		blurBounds.left, blurBounds.top, blurBounds.right - blurBounds.left, blurBounds.bottom - blurBounds.top);
+	this.frameBufferContext.filter = "none";
+};
+
+//glowAt
+//
+//Returns what the last computeGlow() found at a point of the canvas, for hit testing and hover effects: the glow there, the shape it comes from, and
+//whether the point is on a shape itself or only in the glow around it.  The shape ids refer to this frame's shape table, so call this between
+//compositeAndDraw() and the next clearContexts() (mouse and pointer event handlers are called then).  Where glow groups overlap, the group
+//composited last that has glow or a shape at the point answers.  Points outside every region computed in the last frame have no glow.
+//
+//Parameters:
+//x - 	x-coordinate of the point in CSS pixels, ignoring any transform (see getGlowEventPoint())
+//y - 	y-coordinate of the point
+//
+//Returns an object with:
+//	red, green, blue - 	the color of the glow at the point (0 - 255), as it was written to the glow output buffer
+//	alpha - 			the alpha of the glow at the point (0 - 255), 0 if there's none
+//	glowShapeId - 		the id of the shape the glow at the point comes from (an index into glowShapeTable), or -1 if there's no glow
+//	sourceX, sourceY - 	the point (in CSS pixels) on that shape's edge that the glow comes from, or null if there's no glow
+//	shapeId - 			the id of the shape drawn at the point, 0 for an occluder, or -1 if nothing was drawn there
+//	inside - 			true if the point is on a glowing shape or an occluder rather than only in the glow around one
+//	occluder - 			true if the shape at the point is an occluder
+//	group - 			the name of the glow group that answered, or null if the point is outside every region
+GlowRenderer.prototype.glowAt = function(x, y)
+{
+	var result = {red: 0, green: 0, blue: 0, alpha: 0, glowShapeId: -1, sourceX: null, sourceY: null, shapeId: -1, inside: false, occluder: false, group: null};
+	var canvasX = Math.floor(x * this.pixelRatio);
+	var canvasY = Math.floor(y * this.pixelRatio);
+	var regionLoop;
+	var region;
+	var pixelIndex;
+	var sourceIndex;
+	var shapeId;
+	
+	//the last region composited is on top
+	for(regionLoop = this.glowOutputRegions.length - 1; regionLoop >= 0; regionLoop--)
+	{
+		region = this.glowOutputRegions[regionLoop];
+		if(canvasX < region.left || canvasY < region.top || canvasX >= region.left + region.width || canvasY >= region.top + region.height)
+		{
+			continue;
+		}
+		
+		pixelIndex = ((canvasY - region.top) * region.width) + (canvasX - region.left);
+		shapeId = (region.shapeIds != null && region.shapeIds.data[(pixelIndex * 4) + 3] >= glowMinimumCoverage) ?
+			readGlowShapeId(region.shapeIds, pixelIndex, this.glowShapeTable) : -1;
+		
+		//keep looking in the groups underneath when this one has nothing here, but fall back on the first region that has the point
+		if(result.group != null && region.buffer.data[(pixelIndex * 4) + 3] == 0 && shapeId < 0)
+		{
+			continue;
+		}
+		
+		result.red = region.buffer.data[pixelIndex * 4];
+		result.green = region.buffer.data[(pixelIndex * 4) + 1];
+		result.blue = region.buffer.data[(pixelIndex * 4) + 2];
+		result.alpha = region.buffer.data[(pixelIndex * 4) + 3];
+		result.shapeId = shapeId;
+		result.inside = (shapeId >= 0);
+		result.occluder = (shapeId >= 0 && this.glowShapeTable.shapeAlpha256[shapeId] == 0);
+		result.group = region.group;
+		result.glowShapeId = -1;
+		result.sourceX = null;
+		result.sourceY = null;
+		
+		//the shape pixel the glow comes from
+		sourceIndex = (region.sources != null && result.alpha > 0) ? region.sources[pixelIndex] : -1;
+		if(sourceIndex >= 0)
+		{
+			result.glowShapeId = readGlowShapeId(region.shapeIds, sourceIndex, this.glowShapeTable);
+			result.sourceX = (region.left + (sourceIndex % region.width) + 0.5) / this.pixelRatio;
+			result.sourceY = (region.top + Math.floor(sourceIndex / region.width) + 0.5) / this.pixelRatio;
+		}
+		
+		if(result.alpha > 0 || shapeId >= 0)
+		{
+			break;
+		}
+	}
+	
+	return result;
+};
+
+//getGlowEventPoint
+//
+//Returns the point of the canvas ({x, y}, in CSS pixels) that a mouse, pointer or touch event happened over, ready to pass to glowAt().  It takes
+//the canvas's position on the page and any CSS scaling of it into account.
+//
+//Parameters:
+//event - 	the DOM event (anything with clientX and clientY; for touch events, pass one of its touches)
+GlowRenderer.prototype.getGlowEventPoint = function(event)
+{
+	var canvas = this.frameBufferContext.canvas;
+	var canvasBounds = canvas.getBoundingClientRect();
+	var scaleX = (canvasBounds.width > 0) ? (canvas.width / this.pixelRatio) / canvasBounds.width : 1;
+	var scaleY = (canvasBounds.height > 0) ? (canvas.height / this.pixelRatio) / canvasBounds.height : 1;
+	
+	return {x: (event.clientX - canvasBounds.left) * scaleX, y: (event.clientY - canvasBounds.top) * scaleY};
+};
+
+//mapGlowIntensity
+//
+//Copy a glow buffer with the alpha of every pixel multiplied by an intensity and, optionally, tone mapped so that glow pushed past fully opaque
+//rolls off smoothly rather than clipping.  Both tone mapping curves leave fully transparent and fully opaque glow where they are, and bend
+//everything in between (even at an intensity of 1) towards opaque, more so the higher the intensity.  Alpha is treated as 0 - 1 here, with a the
+//glow's alpha and i the intensity:
+//	"reinhard" - 		(a * i) / (1 + (a * i)), scaled by (1 + i) / i so that full alpha stays fully opaque
+//	"exponential" - 	(1 - e^(-a * i)) / (1 - e^(-i))
+//Tone mapping only sees each pixel's final alpha.  Glows stacked with the "add" blend mode have already been clamped at fully opaque by then
+//(see blendGlowPixel()), so tone mapping can't bring back what that flattened.
+//
+//Parameters:
+//sourceBuffer - 	the glow buffer to read ({data, width, height})
+//targetBuffer - 	the buffer to write to, the same size as the source (it may be the source itself)
+//intensity - 		the multiplier for the glow's alpha
+//toneMapping - 	"none", "reinhard" or "exponential"
+function mapGlowIntensity(sourceBuffer, targetBuffer, intensity, toneMapping)
+{
+	var byteLoop;
+	var alpha;
+	var reinhardScale = (1 + intensity) / intensity;
+	var exponentialScale = 1 - Math.exp(-intensity);
+	
+	for(byteLoop = 0; byteLoop < sourceBuffer.data.length; byteLoop += 4)
+	{
+		targetBuffer.data[byteLoop] = sourceBuffer.data[byteLoop];
+		targetBuffer.data[byteLoop + 1] = sourceBuffer.data[byteLoop + 1];
+		targetBuffer.data[byteLoop + 2] = sourceBuffer.data[byteLoop + 2];
+		
+		alpha = sourceBuffer.data[byteLoop + 3] / 255;
+		if(alpha > 0 && intensity > 0)
+		{
+			if(toneMapping == "reinhard")
+			{
+				alpha = (alpha * intensity) / (1 + (alpha * intensity)) * reinhardScale;
+			}
+			else if(toneMapping == "exponential")
+			{
+				alpha = (1 - Math.exp(-alpha * intensity)) / exponentialScale;
+			}
+			else
+			{
+				alpha = alpha * intensity;
+			}
+		}
+		else
+		{
+			alpha = 0;
+		}
+		
+		targetBuffer.data[byteLoop + 3] = Math.min(1, alpha) * 255;
+	}
+}
+
+//blurGlowBuffer
+//
+//Blur a glow buffer in place, for browsers without canvas filters.  Three box blurs in a row come close to a Gaussian blur, and are done on
+//premultiplied colors so that the color of the glow doesn't bleed into its transparent surroundings.
+//
+//Parameters:
+//glowBuffer - 	the glow buffer to blur ({data, width, height})
+//blurRadius - 	the standard deviation of the blur, in canvas pixels
+function blurGlowBuffer(glowBuffer, blurRadius)
+{
+	var bufferWidth = glowBuffer.width;
+	var bufferHeight = glowBuffer.height;
+	var boxRadius = Math.max(1, Math.round(blurRadius));	//three boxes of this radius spread about as far as a Gaussian with blurRadius as its deviation
+	var premultiplied = new Float32Array(bufferWidth * bufferHeight * 4);
+	var scratch = new Float32Array(Math.max(bufferWidth, bufferHeight) * 4);
+	var byteLoop;
+	var passLoop;
+	var lineLoop;
+	var alpha;
+	
+	for(byteLoop = 0; byteLoop < premultiplied.length; byteLoop += 4)
+	{
+		alpha = glowBuffer.data[byteLoop + 3];
+		premultiplied[byteLoop] = glowBuffer.data[byteLoop] * alpha / 255;
+		premultiplied[byteLoop + 1] = glowBuffer.data[byteLoop + 1] * alpha / 255;
+		premultiplied[byteLoop + 2] = glowBuffer.data[byteLoop + 2] * alpha / 255;
+		premultiplied[byteLoop + 3] = alpha;
+	}
+	
+	for(passLoop = 0; passLoop < 3; passLoop++)
+	{
+		//rows, then columns
+		for(lineLoop = 0; lineLoop < bufferHeight; lineLoop++)
+		{
+			blurGlowLine(premultiplied, scratch, lineLoop * bufferWidth * 4, 4, bufferWidth, boxRadius);
+		}
+		
+		for(lineLoop = 0; lineLoop < bufferWidth; lineLoop++)
+		{
+			blurGlowLine(premultiplied, scratch, lineLoop * 4, bufferWidth * 4, bufferHeight, boxRadius);
+		}
+	}
+	
+	for(byteLoop = 0; byteLoop < premultiplied.length; byteLoop += 4)
+	{
+		alpha = premultiplied[byteLoop + 3];
+		glowBuffer.data[byteLoop + 3] = alpha;
+		
+		if(alpha > 0)
+		{
+			glowBuffer.data[byteLoop] = premultiplied[byteLoop] * 255 / alpha;
+			glowBuffer.data[byteLoop + 1] = premultiplied[byteLoop + 1] * 255 / alpha;
+			glowBuffer.data[byteLoop + 2] = premultiplied[byteLoop + 2] * 255 / alpha;
+		}
+	}
+}
+
+//blurGlowLine
+//
+//Box blur one row or column of premultiplied pixels with a running sum, treating pixels past its ends as transparent.  You generally won't
+//call this function directly.  It is a utility function that is called by blurGlowBuffer().
+//
+//Parameters:
+//pixels - 			the premultiplied pixel data (four floats per pixel)
+//scratch - 		an array with room for four floats per pixel of the line
+//firstOffset - 	the offset of the line's first pixel
+//pixelStride - 	the distance between the line's pixels in the array (4 for a row, four times the width for a column)
+//lineLength - 		the number of pixels in the line
+//boxRadius - 		the number of pixels on each side of a pixel that are averaged with it
+function blurGlowLine(pixels, scratch, firstOffset, pixelStride, lineLength, boxRadius)
+{
+	var pixelLoop;
+	var componentLoop;
+	var runningSum;
+	var boxWidth = (boxRadius * 2) + 1;
+	
+	for(componentLoop = 0; componentLoop < 4; componentLoop++)
+	{
+		runningSum = 0;
+		
+		//start with the box around the first pixel
+		for(pixelLoop = 0; pixelLoop <= boxRadius && pixelLoop < lineLength; pixelLoop++)
+		{
+			runningSum += pixels[firstOffset + (pixelLoop * pixelStride) + componentLoop];
+		}
+		
+		for(pixelLoop = 0; pixelLoop < lineLength; pixelLoop++)
+		{
+			scratch[(pixelLoop * 4) + componentLoop] = runningSum / boxWidth;
+			
+			//slide the box one pixel along
+			if(pixelLoop + boxRadius + 1 < lineLength)
+			{
+				runningSum += pixels[firstOffset + ((pixelLoop + boxRadius + 1) * pixelStride) + componentLoop];
+			}
+			if(pixelLoop - boxRadius >= 0)
+			{
+				runningSum -= pixels[firstOffset + ((pixelLoop - boxRadius) * pixelStride) + componentLoop];
+			}
+		}
+	}
+	
+	for(pixelLoop = 0; pixelLoop < lineLength; pixelLoop++)
+	{
+		for(componentLoop = 0; componentLoop < 4; componentLoop++)
+		{
+			pixels[firstOffset + (pixelLoop * pixelStride) + componentLoop] = scratch[(pixelLoop * 4) + componentLoop];
+		}
+	}
+}
+
+//*********************
+//Debugging
+//
+//When glow looks wrong, drawGlowDebugView() shows what the renderer is working from, decoded into something you can read, instead of the packed
+//colors of the hidden canvases.  Set glowDebugView (and optionally glowDebugTarget) to have compositeAndDraw() draw a view every frame.  The views:
+//	"startingAlpha" - 	a heatmap of the starting alpha of the glow of the shape at each pixel
+//	"shapeAlpha" - 		a heatmap of the alpha of the shape at each pixel
+//	"distance" - 		a heatmap of the glow distance of the shape at each pixel, scaled to the largest distance drawn this frame
+//	"color" - 			the glow color buffer
+//	"glow" - 			the glow computed by the last computeGlow(), on its own
+//	"outlines" - 		the outline of every shape, in a color of its own (occluders in white)
+//In the heatmaps, occluders are dark gray and pixels without a shape are left transparent.
+//
+//glowFrameStats holds numbers about the last frame: how many pixels were seeded, how many times the distance transform visited a pixel, how
+//many regions and pixels were computed, and how many milliseconds clearContexts(), computeGlow() and compositeAndDraw() took.
+//*********************
+
+var glowDebugViews = ["startingAlpha", "shapeAlpha", "distance", "color", "glow", "outlines"];	//the views drawGlowDebugView() can draw
+
+//createGlowFrameStats
+//
+//Returns a set of frame statistics with every number at 0 (see glowFrameStats).  The fields:
+//	pixelsSeeded - 		the number of pixels glow started from, over every pass of every region
+//	pixelVisits - 		the number of times the distance transform visited a pixel that isn't a blocker
+//	regions - 			the number of regions computed (once for each glow group)
+//	pixelsComputed - 	the number of pixels in those regions (at full resolution, whatever the quality)
+//	quality - 			the glowQuality the frame's glow was computed at
+//	clearTime - 		milliseconds spent in clearContexts()
+//	computeTime - 		milliseconds spent in computeGlow(), plus the time a glow worker spent on the frame
+//	compositeTime - 	milliseconds spent writing the glow to the frame buffer in compositeAndDraw()
+//	spritesBaked - 		the number of glow sprites computed (see drawGlowSprite())
+//	spritesStamped - 	the number of glow sprites stamped rather than computed as usual
+function createGlowFrameStats()
+{
+	return {pixelsSeeded: 0, pixelVisits: 0, regions: 0, pixelsComputed: 0, quality: 0, clearTime: 0, computeTime: 0, compositeTime: 0, spritesBaked: 0, spritesStamped: 0};
+}
+
+//getGlowHeatmapColor
+//
+//Returns the color ([red, green, blue]) of a heatmap value: black through blue, red and yellow to white.  You generally won't call this function
+//directly.  It is a utility function that is called by drawGlowDebugView().
+//
+//Parameters:
+//heat - 	the value, from 0 to 1
+function getGlowHeatmapColor(heat)
+{
+	var heatmapStops = [[0, 0, 0], [0, 0, 255], [255, 0, 0], [255, 255, 0], [255, 255, 255]];
+	var position = Math.max(0, Math.min(1, heat)) * (heatmapStops.length - 1);
+	var stopIndex = Math.min(heatmapStops.length - 2, Math.floor(position));
+	var fraction = position - stopIndex;
+	
+	return [Math.round(heatmapStops[stopIndex][0] + ((heatmapStops[stopIndex + 1][0] - heatmapStops[stopIndex][0]) * fraction)),
+		Math.round(heatmapStops[stopIndex][1] + ((heatmapStops[stopIndex + 1][1] - heatmapStops[stopIndex][1]) * fraction)),
+		Math.round(heatmapStops[stopIndex][2] + ((heatmapStops[stopIndex + 1][2] - heatmapStops[stopIndex][2]) * fraction))];
+}
+
+//getGlowOutlineColor
+//
+//Returns the color ([red, green, blue]) the outline of a shape is drawn in by the "outlines" debug view: white for occluders, and a hue of its
+//own for every other shape id.  You generally won't call this function directly.
+//
+//Parameters:
+//shapeId - 	the shape's id
+function getGlowOutlineColor(shapeId)
+{
+	var hue;
+	var sector;
+	var fraction;
+	
+	if(shapeId == 0)
+	{
+		return [255, 255, 255];
+	}
+	
+	//step around the color wheel by the golden angle so that shapes drawn one after another get very different hues
+	hue = ((shapeId * 137.508) % 360) / 60;
+	sector = Math.floor(hue);
+	fraction = Math.round((hue - sector) * 255);
+	
+	switch(sector)
+	{
+		case 0:
+			return [255, fraction, 0];
+		case 1:
+			return [255 - fraction, 255, 0];
+		case 2:
+			return [0, 255, fraction];
+		case 3:
+			return [0, 255 - fraction, 255];
+		case 4:
+			return [fraction, 0, 255];
+		default:
+			return [255, 0, 255 - fraction];
+	}
+}
+
+//drawGlowDebugView
+//
+//Draw one of the debug views (see glowDebugViews) of the current glow buffers.  The heatmaps, the color buffer and the outlines show what has been
+//drawn since the last clearContexts(); the glow view shows the result of the last computeGlow().  The view is drawn over the whole target,
+//stretched to its size, without its transform.
+//
+//Parameters:
+//view - 			the name of the view
+//target - 			(optional) the context or <canvas> to draw the view to.  Defaults to the frame buffer.
+//groupName - 		(optional) the glow group whose buffers are shown.  Defaults to the default group.
+GlowRenderer.prototype.drawGlowDebugView = function(view, target, groupName)
+{
+	var group;
+	var viewContext;
+	var viewBuffer;
+	var shapeIdBuffer = null;
+	var targetContext;
+	var pixelCount = this.canvasWidth * this.canvasHeight;
+	var xLoop;
+	var regionLoop;
+	var region;
+	var rowLoop;
+	var columnLoop;
+	var sourceOffset;
+	var targetOffset;
+	var shapeIds;
+	var shapeId;
+	var maximumDistance = 0;
+	var heat;
+	var pixelColor;
+	
+	if(glowDebugViews.indexOf(view) < 0)
+	{
+		return;
+	}
+	
+	targetContext = (target == null) ? this.frameBufferContext : ((target.getContext != null) ? target.getContext("2d") : target);
+	viewContext = createHiddenCanvasContext(this.canvasWidth, this.canvasHeight);
+	if(targetContext == null || viewContext == null)
+	{
+		return;
+	}
+	viewBuffer = viewContext.createImageData(this.canvasWidth, this.canvasHeight);
+	
+	//read the buffers of the group being shown (the selected group's are the renderer's own, the others' are put away in the group)
+	group = this.getGlowGroup((groupName != null) ? groupName : "");
+	if(view == "color")
+	{
+		viewBuffer = ((group == this.glowGroup) ? this.glowColorContext : group.colorContext).getImageData(0, 0, this.canvasWidth, this.canvasHeight);
+	}
+	else if(view != "glow")
+	{
+		shapeIdBuffer = ((group == this.glowGroup) ? this.glowOcclusionContext : group.occlusionContext).getImageData(0, 0, this.canvasWidth, this.canvasHeight);
+	}
+	
+	if(shapeIdBuffer != null)
+	{
+		shapeIds = new Int32Array(pixelCount);
+		for(xLoop = 0; xLoop < pixelCount; xLoop++)
+		{
+			shapeIds[xLoop] = (shapeIdBuffer.data[(xLoop * 4) + 3] >= glowMinimumCoverage) ? readGlowShapeId(shapeIdBuffer, xLoop, this.glowShapeTable) : -1;
+			if(shapeIds[xLoop] > 0)
+			{
+				maximumDistance = Math.max(maximumDistance, this.glowShapeTable.distance[shapeIds[xLoop]]);
+			}
+		}
+		
+		for(xLoop = 0; xLoop < pixelCount; xLoop++)
+		{
+			shapeId = shapeIds[xLoop];
+			pixelColor = null;
+			
+			if(view == "outlines")
+			{
+				//a pixel is on an outline if one of the pixels beside it belongs to something else (or is off the canvas)
+				if(shapeId >= 0 && ((xLoop % this.canvasWidth) == 0 || shapeIds[xLoop - 1] != shapeId ||
+					(xLoop % this.canvasWidth) == this.canvasWidth - 1 || shapeIds[xLoop + 1] != shapeId ||
+					xLoop < this.canvasWidth || shapeIds[xLoop - this.canvasWidth] != shapeId ||
+					xLoop + this.canvasWidth >= pixelCount || shapeIds[xLoop + this.canvasWidth] != shapeId))
+				{
+					pixelColor = getGlowOutlineColor(shapeId);
+				}
+			}
+			else if(shapeId == 0 || (shapeId > 0 && this.glowShapeTable.shapeAlpha256[shapeId] == 0))
+			{
+				pixelColor = [64, 64, 64];
+			}
+			else if(shapeId > 0)
+			{
+				switch(view)
+				{
+					case "startingAlpha":
+						heat = this.glowShapeTable.startingAlpha[shapeId] / 255;
+						break;
+					case "shapeAlpha":
+						heat = this.glowShapeTable.shapeAlpha256[shapeId] / 255;
+						break;
+					default:
+						heat = (maximumDistance > 0) ? this.glowShapeTable.distance[shapeId] / maximumDistance : 0;
+						break;
+				}
+				pixelColor = getGlowHeatmapColor(heat);
+			}
+			
+			if(pixelColor != null)
+			{
+				viewBuffer.data[xLoop * 4] = pixelColor[0];
+				viewBuffer.data[(xLoop * 4) + 1] = pixelColor[1];
+				viewBuffer.data[(xLoop * 4) + 2] = pixelColor[2];
+				viewBuffer.data[(xLoop * 4) + 3] = 255;
+			}
+		}
+	}
+	else if(view == "glow")
+	{
+		//the regions of every group, with the brightest glow kept where they overlap
+		for(regionLoop = 0; regionLoop < this.glowOutputRegions.length; regionLoop++)
+		{
+			region = this.glowOutputRegions[regionLoop];
+			
+			//regions computed before the canvas was resized
+			if(region.left + region.width > this.canvasWidth || region.top + region.height > this.canvasHeight)
+			{
+				continue;
+			}
+			
+			for(rowLoop = 0; rowLoop < region.height; rowLoop++)
+			{
+				for(columnLoop = 0; columnLoop < region.width; columnLoop++)
+				{
+					sourceOffset = ((rowLoop * region.width) + columnLoop) * 4;
+					targetOffset = (((region.top + rowLoop) * this.canvasWidth) + region.left + columnLoop) * 4;
+					if(region.buffer.data[sourceOffset + 3] > viewBuffer.data[targetOffset + 3])
+					{
+						viewBuffer.data[targetOffset] = region.buffer.data[sourceOffset];
+						viewBuffer.data[targetOffset + 1] = region.buffer.data[sourceOffset + 1];
+						viewBuffer.data[targetOffset + 2] = region.buffer.data[sourceOffset + 2];
+						viewBuffer.data[targetOffset + 3] = region.buffer.data[sourceOffset + 3];
+					}
+				}
+			}
+		}
+	}
+	
+	viewContext.putImageData(viewBuffer, 0, 0);
+	
+	targetContext.save();
+	targetContext.setTransform(1, 0, 0, 1, 0, 0);
+	targetContext.drawImage(viewContext.canvas, 0, 0, this.canvasWidth, this.canvasHeight, 0, 0, targetContext.canvas.width, targetContext.canvas.height);
+	targetContext.restore();
+};
+
+
+//*********************
+//Scene
+//
+//A GlowScene is a retained alternative to calling the "WithGlow" and "WithOcclusion" functions yourself.  Add nodes (rectangles, text, paths
+//and images) with a z-index, a glow and a visibility flag, and the scene draws them back to front every frame: nodes with a glow are drawn with
+//the "WithGlow" functions and every other node with the "WithOcclusion" ones, so whatever is in front occludes the glow behind it without you
+//having to work out the draw order.  For example:
+//
+//	var scene = renderer.createGlowScene();
+//	var lamp = scene.addNode({type: "rect", x: 40, y: 40, width: 30, height: 30, fillStyle: "yellow", zIndex: 0,
+//		glow: {startingAlpha: 220, distance: 15}});
+//	scene.addNode({type: "text", text: "Shade", x: 30, y: 60, font: "24px sans-serif", fillStyle: "gray", zIndex: 1});
+//	scene.render();
+//	...
+//	scene.updateNode(lamp, {x: 60});
+//	scene.render();
+//*********************
+
+//GlowScene
+//
+//Create an empty scene that draws with the passed renderer.
+//
+//Parameters:
+//renderer - 	the GlowRenderer to draw with
+function GlowScene(renderer)
+{
+	this.renderer = renderer;
+	this.nodes = [];	//every node in the scene, in the order they were added
+	this.nextNodeId = 1;	//the id given to the next node added
+}
+
+//addNode
+//
+//Add a node to the scene.  The node is a plain object holding the passed properties, and can be changed with updateNode() (or by setting its
+//properties directly) before the next draw.  The properties a node can have:
+//	type - 				"rect", "text", "path" or "image"
+//	x, y - 				for rectangles, the upper left-hand corner; for text, where it's drawn (as in fillText())
+//	width, height - 	for rectangles, their size
+//	text - 				for text, the string to draw
+//	font - 				for text, the CSS font to draw it with
+//	path - 				for paths, the Path2D to draw
+//	fillRule - 			for filled paths, "nonzero" (the default) or "evenodd"
+//	bounds - 			for paths, (optional) their bounding box ({left, top, right, bottom}) so only that part of the canvas is computed
+//	image - 			for images, the image, canvas, video frame or bitmap to draw
+//	imageArguments - 	for images, the arguments that would follow the image in a drawImage() call ([dx, dy], [dx, dy, dw, dh] or
+//						[sx, sy, sw, sh, dx, dy, dw, dh])
+//	fillStyle - 		the fill color, gradient or pattern
+//	strokeStyle - 		the stroke color, gradient or pattern
+//	lineWidth - 		the width of the outline, when stroked
+//	stroke - 			true to draw the outline of the rectangle, text or path instead of filling it.  Defaults to false.
+//	alpha - 			the node's opacity (0 - 1).  Defaults to 1.
+//	zIndex - 			the node's depth: nodes with higher values are drawn in front of those with lower ones.  Nodes with the same zIndex are
+//						drawn in the order they were added.  Defaults to 0.
+//	visible - 			false to leave the node out of the frame.  Defaults to true.
+//	occludes - 			false to draw the node to the frame buffer only, so it neither glows nor blocks glow.  Defaults to true.
+//	transmission - 		for a node that doesn't glow, (optional) how much of the glow behind it shows through (0 - 1), making it a
+//						semi-transparent occluder such as frosted glass
+//	tint - 				for a semi-transparent occluder, (optional) the CSS color that glow seen through it is tinted with
+//	group - 			for a node that glows, (optional) the name of the glow group it belongs to (see selectGlowGroup())
+//	occlusionGroups - 	for a node that doesn't glow, (optional) the name of the glow group it occludes, or an array of names.  Defaults to
+//						the default group only.
+//	glow - 				null for a node that doesn't glow (it occludes), or an object with the node's glow: startingAlpha and distance (numbers
+//						or functions of time), and optionally color, falloff, blendMode, mode, offsetX, offsetY and spread (see the "WithGlow"
+//						functions and the renderer's glowBlendMode, glowMode, glowOffsetX, glowOffsetY and glowSpread)
+//
+//Parameters:
+//nodeProperties - 	the properties of the new node
+//
+//Returns the node
+GlowScene.prototype.addNode = function(nodeProperties)
+{
+	var node = {id: this.nextNodeId, type: "rect", zIndex: 0, visible: true, occludes: true, stroke: false, alpha: 1, glow: null};
+	
+	this.nextNodeId++;
+	this.nodes.push(node);
+	this.updateNode(node, nodeProperties);
+	
+	return node;
+};
+
+//updateNode
+//
+//Change some of a node's properties, for instance to move it, hide it or bring it to the front.  Properties that aren't passed keep their values.
+//
+//Parameters:
+//node - 				the node (or its id)
+//nodeProperties - 		the properties to change (see addNode())
+//
+//Returns the node, or null if it isn't in this scene
+GlowScene.prototype.updateNode = function(node, nodeProperties)
+{
+	var propertyName;
+	
+	node = this.getNode(node);
+	if(node == null)
+	{
+		return null;
+	}
+	
+	if(nodeProperties != null)
+	{
+		for(propertyName in nodeProperties)
+		{
+			if(nodeProperties.hasOwnProperty(propertyName) && propertyName != "id")
+			{
+				node[propertyName] = nodeProperties[propertyName];
+			}
+		}
+	}
+	
+	return node;
+};
+
+//removeNode
+//
+//Take a node out of the scene.
+//
+//Parameters:
+//node - 	the node (or its id)
+//
+//Returns true if the node was removed, or false if it wasn't in this scene
+GlowScene.prototype.removeNode = function(node)
+{
+	var nodeIndex;
+	
+	node = this.getNode(node);
+	nodeIndex = this.nodes.indexOf(node);
+	if(nodeIndex < 0)
+	{
+		return false;
+	}
+	
+	this.nodes.splice(nodeIndex, 1);
+	return true;
+};
+
+//getNode
+//
+//Returns the node with the passed id (or the node itself, if a node is passed), or null if it isn't in this scene.
+//
+//Parameters:
+//node - 	a node id or a node
+GlowScene.prototype.getNode = function(node)
+{
+	var nodeLoop;
+	
+	if(node == null)
+	{
+		return null;
+	}
+	
+	if(typeof node == "object")
+	{
+		return (this.nodes.indexOf(node) >= 0) ? node : null;
+	}
+	
+	for(nodeLoop = 0; nodeLoop < this.nodes.length; nodeLoop++)
+	{
+		if(this.nodes[nodeLoop].id == node)
+		{
+			return this.nodes[nodeLoop];
+		}
+	}
+	
+	return null;
+};
+
+//getDrawOrder
+//
+//Returns the visible nodes, back to front: by zIndex, then in the order they were added.
+GlowScene.prototype.getDrawOrder = function()
+{
+	var drawOrder = [];
+	var nodeLoop;
+	
+	for(nodeLoop = 0; nodeLoop < this.nodes.length; nodeLoop++)
+	{
+		if(this.nodes[nodeLoop].visible != false)
+		{
+			drawOrder.push(this.nodes[nodeLoop]);
+		}
+	}
+	
+	//Array.sort() isn't stable in every browser, so ties are broken by the order the nodes were added
+	drawOrder.sort(function(nodeA, nodeB)
+	{
+		if(nodeA.zIndex != nodeB.zIndex)
+		{
+			return nodeA.zIndex - nodeB.zIndex;
+		}
+		return nodeA.id - nodeB.id;
+	});
+	
+	return drawOrder;
+};
+
+//draw
+//
+//Draw every visible node, back to front.  Call this between the renderer's clearContexts() and computeGlow() (render() does all three), or from
+//the scene function of a GlowAnimation.
+GlowScene.prototype.draw = function()
+{
+	var drawOrder = this.getDrawOrder();
+	var nodeLoop;
+	
+	for(nodeLoop = 0; nodeLoop < drawOrder.length; nodeLoop++)
+	{
+		this.drawNode(drawOrder[nodeLoop]);
+	}
+};
+
+//render
+//
+//Draw a whole frame of the scene: clear the contexts, draw the nodes, compute the glow and composite it.
+//
+//Parameters:
+//compositeOptions - 	(optional) the compositing options passed to compositeAndDraw()
+//
+//Returns the promise returned by compositeAndDraw() (or null if the browser doesn't support promises)
+GlowScene.prototype.render = function(compositeOptions)
+{
+	this.renderer.clearContexts();
+	this.draw();
+	this.renderer.computeGlow();
+	
+	return this.renderer.compositeAndDraw(null, null, compositeOptions);
+};
+
+//drawNode
+//
+//Draw one node with the "WithGlow" function for its type if it glows, or the "WithOcclusion" one if it doesn't.  The frame buffer's state is
+//restored afterwards.  You generally won't call this function directly.  It is a utility function that is called by draw().
+//
+//Parameters:
+//node - 	the node to draw
+GlowScene.prototype.drawNode = function(node)
+{
+	var renderer = this.renderer;
+	var frameBufferContext = renderer.frameBufferContext;
+	var glow = node.glow;
+	var previousGlowState = [renderer.glowBlendMode, renderer.glowMode, renderer.glowOffsetX, renderer.glowOffsetY, renderer.glowSpread];
+	
+	frameBufferContext.save();
+	
+	if(node.fillStyle != null)
+	{
+		frameBufferContext.fillStyle = node.fillStyle;
+	}
+	if(node.strokeStyle != null)
+	{
+		frameBufferContext.strokeStyle = node.strokeStyle;
+	}
+	if(node.lineWidth != null)
+	{
+		frameBufferContext.lineWidth = node.lineWidth;
+	}
+	if(node.font != null)
+	{
+		frameBufferContext.font = node.font;
+	}
+	frameBufferContext.globalAlpha = frameBufferContext.globalAlpha * node.alpha;
+	
+	if(glow != null)
+	{
+		renderer.glowBlendMode = (glow.blendMode != null) ? glow.blendMode : renderer.glowBlendMode;
+		renderer.glowMode = (glow.mode != null) ? glow.mode : renderer.glowMode;
+		renderer.glowOffsetX = (glow.offsetX != null) ? glow.offsetX : renderer.glowOffsetX;
+		renderer.glowOffsetY = (glow.offsetY != null) ? glow.offsetY : renderer.glowOffsetY;
+		renderer.glowSpread = (glow.spread != null) ? glow.spread : renderer.glowSpread;
+	}
+	
+	//nodes that don't take part in the glow are drawn to the frame buffer alone
+	if(node.occludes == false && glow == null)
+	{
+		this.drawNodeToFrameBuffer(node);
+	}
+	else if(glow != null)
+	{
+		switch(node.type)
+		{
+			case "text":
+				if(node.stroke == true)
+				{
+					renderer.strokeTextWithGlow(node.text, node.x, node.y, glow.startingAlpha, glow.distance, glow.color, glow.falloff, node.group);
+				}
+				else
+				{
+					renderer.fillTextWithGlow(node.text, node.x, node.y, glow.startingAlpha, glow.distance, glow.color, glow.falloff, node.group);
+				}
+				break;
+			case "path":
+				if(node.stroke == true)
+				{
+					renderer.strokePathWithGlow(node.path, glow.startingAlpha, glow.distance, glow.color, glow.falloff, node.bounds, node.group);
+				}
+				else
+				{
+					renderer.fillPathWithGlow(node.path, node.fillRule, glow.startingAlpha, glow.distance, glow.color, glow.falloff, node.bounds, node.group);
+				}
+				break;
+			case "image":
+				renderer.drawImageWithGlow(node.image, node.imageArguments, glow.startingAlpha, glow.distance, glow.color, glow.falloff, node.group);
+				break;
+			default:
+				if(node.stroke == true)
+				{
+					renderer.strokeRectWithGlow(node.x, node.y, node.width, node.height, glow.startingAlpha, glow.distance, glow.color, glow.falloff, node.group);
+				}
+				else
+				{
+					renderer.fillRectWithGlow(node.x, node.y, node.width, node.height, glow.startingAlpha, glow.distance, glow.color, glow.falloff, node.group);
+				}
+				break;
+		}
+	}
+	else
+	{
+		switch(node.type)
+		{
+			case "text":
+				if(node.stroke == true)
+				{
+					renderer.strokeTextWithOcclusion(node.text, node.x, node.y, node.transmission, node.tint, node.occlusionGroups);
+				}
+				else
+				{
+					renderer.fillTextWithOcclusion(node.text, node.x, node.y, node.transmission, node.tint, node.occlusionGroups);
+				}
+				break;
+			case "path":
+				if(node.stroke == true)
+				{
+					renderer.strokePathWithOcclusion(node.path, node.transmission, node.tint, node.occlusionGroups);
+				}
+				else
+				{
+					renderer.fillPathWithOcclusion(node.path, node.fillRule, node.transmission, node.tint, node.occlusionGroups);
+				}
+				break;
+			case "image":
+				renderer.drawImageWithOcclusion(node.image, node.imageArguments, node.transmission, node.tint, node.occlusionGroups);
+				break;
+			default:
+				if(node.stroke == true)
+				{
+					renderer.strokeRectWithOcclusion(node.x, node.y, node.width, node.height, node.transmission, node.tint, node.occlusionGroups);
+				}
+				else
+				{
+					renderer.fillRectWithOcclusion(node.x, node.y, node.width, node.height, node.transmission, node.tint, node.occlusionGroups);
+				}
+				break;
+		}
+	}
+	
+	renderer.glowBlendMode = previousGlowState[0];
+	renderer.glowMode = previousGlowState[1];
+	renderer.glowOffsetX = previousGlowState[2];
+	renderer.glowOffsetY = previousGlowState[3];
+	renderer.glowSpread = previousGlowState[4];
+	frameBufferContext.restore();
+};
+
+//drawNodeToFrameBuffer
+//
+//Draw a node that doesn't take part in the glow (its occludes property is false) straight to the frame buffer with the standard canvas calls.
+//You generally won't call this function directly.  It is a utility function that is called by drawNode().
+//
+//Parameters:
+//node - 	the node to draw
+GlowScene.prototype.drawNodeToFrameBuffer = function(node)
+{
+	var frameBufferContext = this.renderer.frameBufferContext;
+	
+	switch(node.type)
+	{
+		case "text":
+			if(node.stroke == true)
+			{
+				frameBufferContext.strokeText(node.text, node.x, node.y);
+			}
+			else
+			{
+				frameBufferContext.fillText(node.text, node.x, node.y);
+			}
+			break;
+		case "path":
+			if(node.stroke == true)
+			{
+				frameBufferContext.stroke(node.path);
+			}
+			else
+			{
+				frameBufferContext.fill(node.path, (node.fillRule != null) ? node.fillRule : "nonzero");
+			}
+			break;
+		case "image":
+			frameBufferContext.drawImage.apply(frameBufferContext, [node.image].concat(node.imageArguments));
+			break;
+		default:
+			if(node.stroke == true)
+			{
+				frameBufferContext.strokeRect(node.x, node.y, node.width, node.height);
+			}
+			else
+			{
+				frameBufferContext.fillRect(node.x, node.y, node.width, node.height);
+			}
+			break;
+	}
+};
+
+//createGlowScene
+//
+//Returns a new, empty GlowScene that draws with this renderer.
+GlowRenderer.prototype.createGlowScene = function()
+{
+	return new GlowScene(this);
+};
+
+//*********************
+//Animation
+//
+//A GlowAnimation runs the usual frame loop for you: every frame it clears the contexts, calls your scene function to draw, computes the glow
+//and composites it, then asks for the next frame.  It can be paused and resumed, and it reports how long each frame took.  For example:
+//
+//	var animation = renderer.startGlowAnimation(function(renderer, time, animation)
+//	{
+//		renderer.frameBufferContext.fillStyle = "cyan";
+//		renderer.fillCircleWithGlow(100, 100, 20, createGlowPulse(80, 255, 1.5), createGlowBreathe(6, 14, 4));
+//	});
+//
+//Glow parameters given as functions of time (see getGlowValue()) are evaluated at the animation's time, in seconds since it started, not
+//counting the time it spent paused.  Pass your own clock (and frame scheduler) in the options to run an animation deterministically, for
+//instance in a test.
+//*********************
+
+//GlowAnimation
+//
+//Create an animation that draws a scene with the passed renderer every frame.  Call start() to begin.
+//
+//Parameters:
+//renderer - 		the GlowRenderer to draw with
+//drawScene - 		a function called every frame, after the contexts are cleared, to draw the scene.  It is passed the renderer, the animation's
+//					time in seconds and the animation itself (for deltaTime, frameDuration and frameNumber).
+//options - 		(optional) an object with any of:
+//						clock - 			a function that returns the current time in milliseconds.  Defaults to performance.now() (or Date.now()).
+//						requestFrame - 		a function that takes a callback and calls it when the next frame should be drawn, returning an id
+//											for cancelFrame.  Defaults to requestAnimationFrame() (or a 16 millisecond timeout).
+//						cancelFrame - 		a function that cancels a frame requested with requestFrame.  Defaults to cancelAnimationFrame()
+//											(or clearTimeout()).
+//						compositeOptions - 	the compositing options passed to compositeAndDraw() every frame
+//						onFrameDrawn - 		a function called (with the animation) after every frame has been drawn
+function GlowAnimation(renderer, drawScene, options)
+{
+	if(options == null)
+	{
+		options = {};
+	}
+	
+	this.renderer = renderer;
+	this.drawScene = drawScene;
+	this.clock = (options.clock != null) ? options.clock : getDefaultGlowClock();
+	this.requestFrame = options.requestFrame;
+	this.cancelFrame = options.cancelFrame;
+	this.compositeOptions = (options.compositeOptions != null) ? options.compositeOptions : null;
+	this.onFrameDrawn = (options.onFrameDrawn != null) ? options.onFrameDrawn : null;
+	
+	if(this.requestFrame == null)
+	{
+		if(typeof requestAnimationFrame != "undefined")
+		{
+			this.requestFrame = function(frameCallback) { return requestAnimationFrame(frameCallback); };
+			this.cancelFrame = function(frameRequest) { cancelAnimationFrame(frameRequest); };
+		}
+		else
+		{
+			this.requestFrame = function(frameCallback) { return setTimeout(frameCallback, 16); };
+			this.cancelFrame = function(frameRequest) { clearTimeout(frameRequest); };
+		}
+	}
+	
+	this.running = false;	//true between start() and stop()
+	this.paused = false;	//true between pause() and resume()
+	this.frameRequest = null;	//the id of the next frame requested, if any
+	this.frameInProgress = false;	//true while a frame is waiting for its glow (from a glow worker)
+	this.startClockTime = 0;	//the clock's time when the animation started
+	this.pausedClockTime = 0;	//the clock's time when the animation was paused
+	this.pausedDuration = 0;	//the total time, in milliseconds, spent paused
+	this.time = 0;	//the animation's time, in seconds, at the last frame
+	this.deltaTime = 0;	//the animation time, in seconds, between the last two frames
+	this.frameDuration = 0;	//how long, in milliseconds, the last frame took to draw (from clearing to the glow being composited)
+	this.frameNumber = 0;	//the number of frames drawn since the animation started
+}
+
+//getDefaultGlowClock
+//
+//Returns the clock used by animations that weren't given one: performance.now() where it exists, otherwise Date.now().
+function getDefaultGlowClock()
+{
+	if(typeof performance != "undefined" && performance.now != null)
+	{
+		return function() { return performance.now(); };
+	}
+	
+	return function() { return Date.now(); };
+}
+
+//start
+//
+//Start (or restart) the animation from time 0 and draw its first frame as soon as the frame scheduler allows.
+GlowAnimation.prototype.start = function()
+{
+	this.stop();
+	
+	this.running = true;
+	this.paused = false;
+	this.startClockTime = this.clock();
+	this.pausedDuration = 0;
+	this.time = 0;
+	this.deltaTime = 0;
+	this.frameNumber = 0;
+	this.requestNextFrame();
+};
+
+//stop
+//
+//Stop the animation.  The last frame drawn stays on the canvas.
+GlowAnimation.prototype.stop = function()
+{
+	this.running = false;
+	this.paused = false;
+	this.cancelNextFrame();
+};
+
+//pause
+//
+//Pause the animation.  No frames are drawn, and the animation's time stands still, until resume() is called.
+GlowAnimation.prototype.pause = function()
+{
+	if(this.running == false || this.paused == true)
+	{
+		return;
+	}
+	
+	this.paused = true;
+	this.pausedClockTime = this.clock();
+	this.cancelNextFrame();
+};
+
+//resume
+//
+//Resume a paused animation from the time it was paused at.
+GlowAnimation.prototype.resume = function()
+{
+	if(this.running == false || this.paused == false)
+	{
+		return;
+	}
+	
+	this.paused = false;
+	this.pausedDuration += this.clock() - this.pausedClockTime;
+	this.requestNextFrame();
+};
+
+//requestNextFrame
+//
+//Ask the frame scheduler for the next frame.  You generally won't call this function directly.
+GlowAnimation.prototype.requestNextFrame = function()
+{
+	var animation = this;
+	
+	if(this.frameRequest != null || this.frameInProgress == true)
+	{
+		return;
+	}
+	
+	this.frameRequest = this.requestFrame(function()
+	{
+		animation.frameRequest = null;
+		
+		if(animation.running == true && animation.paused == false)
+		{
+			animation.drawFrame();
+		}
+	});
+};
+
+//cancelNextFrame
+//
+//Cancel the frame requested from the frame scheduler, if any.  You generally won't call this function directly.
+GlowAnimation.prototype.cancelNextFrame = function()
+{
+	if(this.frameRequest != null)
+	{
+		if(this.cancelFrame != null)
+		{
+			this.cancelFrame(this.frameRequest);
+		}
+		this.frameRequest = null;
+	}
+};
+
+//drawFrame
+//
+//Draw one frame at the clock's current time: clear the contexts, draw the scene, compute the glow and composite it.  The next frame is requested
+//once the glow has been drawn (which, with a glow worker, can be after this returns).  Called by the frame scheduler; call it yourself to draw
+//frames one at a time, for instance with an injected clock in a test.
+//
+//Returns the promise returned by compositeAndDraw() (or null if the browser doesn't support promises)
+GlowAnimation.prototype.drawFrame = function()
+{
+	var animation = this;
+	var frameStartTime = this.clock();
+	var frameTime = (frameStartTime - this.startClockTime - this.pausedDuration) / 1000;
+	
+	this.deltaTime = (this.frameNumber > 0) ? frameTime - this.time : 0;
+	this.time = frameTime;
+	this.frameInProgress = true;
+	
+	this.renderer.glowTime = frameTime;
+	this.renderer.clearContexts();
+	this.drawScene(this.renderer, frameTime, this);
+	this.renderer.computeGlow();
+	
+	return this.renderer.compositeAndDraw(null, function()
+	{
+		animation.frameInProgress = false;
+		animation.frameDuration = animation.clock() - frameStartTime;
+		animation.frameNumber++;
+		
+		if(animation.onFrameDrawn != null)
+		{
+			animation.onFrameDrawn(animation);
+		}
+		
+		if(animation.running == true && animation.paused == false)
+		{
+			animation.requestNextFrame();
+		}
+	}, this.compositeOptions);
+};
+
+//startGlowAnimation
+//
+//Create a GlowAnimation that draws a scene with this renderer and start it.  See GlowAnimation for the parameters.
+//
+//Returns the animation, so that it can be paused, resumed or stopped
+GlowRenderer.prototype.startGlowAnimation = function(drawScene, options)
+{
+	var animation = new GlowAnimation(this, drawScene, options);
+	
+	animation.start();
+	return animation;
+};
+
+//createGlowPulse
+//
+//Returns a function of time (in seconds) for a glow parameter that pulses like a heartbeat: it jumps to its highest value at the start of every
+//period and dies away towards its lowest.
+//
+//Parameters:
+//lowValue - 	the value between beats
+//highValue - 	the value at the start of each beat
+//period - 		the time between beats, in seconds
+function createGlowPulse(lowValue, highValue, period)
+{
+	return function(time)
+	{
+		var phase = ((time % period) + period) % period / period;
+		
+		return lowValue + ((highValue - lowValue) * Math.exp(-5 * phase));
+	};
+}
+
+//createGlowBreathe
+//
+//Returns a function of time (in seconds) for a glow parameter that rises and falls smoothly, like slow breathing.  It starts at its lowest value.
+//
+//Parameters:
+//lowValue - 	the value at the bottom of each breath
+//highValue - 	the value at the top of each breath
+//period - 		the length of one breath, in seconds
+function createGlowBreathe(lowValue, highValue, period)
+{
+	return function(time)
+	{
+		return lowValue + ((highValue - lowValue) * (1 - Math.cos(2 * Math.PI * time / period)) / 2);
+	};
+}
+
+//createGlowFlicker
+//
+//Returns a function of time (in seconds) for a glow parameter that flickers at random between two values, like a failing light or a candle.
+//The randomness comes from the seed rather than Math.random(), so the same time always gives the same value.
+//
+//Parameters:
+//lowValue - 		the lowest value
+//highValue - 		the highest value
+//changesPerSecond - 	how many times a second the flicker picks a new value.  It moves smoothly between them.
+//seed - 			(optional) any whole number, to give several flickering shapes different patterns.  Defaults to 0.
+function createGlowFlicker(lowValue, highValue, changesPerSecond, seed)
+{
+	var getNoise = function(step)
+	{
+		//a small integer hash of the step and seed, scaled to 0 - 1
+		var hash = Math.imul((step + 1) ^ Math.imul(seed + 1, 0x27d4eb2d), 0x9e3779b1);
+		
+		hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+		return ((hash ^ (hash >>> 13)) >>> 0) / 4294967295;
+	};
+	
+	if(seed == null)
+	{
+		seed = 0;
+	}
+	
+	return function(time)
+	{
+		var position = time * changesPerSecond;
+		var step = Math.floor(position);
+		var blend = position - step;
+		
+		//ease from one random value to the next
+		blend = blend * blend * (3 - (2 * blend));
+		return lowValue + ((highValue - lowValue) * (getNoise(step) + ((getNoise(step + 1) - getNoise(step)) * blend)));
+	};
+}
+
+//createGlowFade
+//
+//Returns a function of time (in seconds) for a glow parameter that fades from one value to another: pass 0 and the full value to fade a glow in,
+//or the other way around to fade it out.
+//
+//Parameters:
+//fromValue - 	the value before the fade starts
+//toValue - 	the value once the fade has finished
+//duration - 	how long the fade takes, in seconds
+//delay - 		(optional) how long to wait before starting the fade, in seconds.  Defaults to 0.
+function createGlowFade(fromValue, toValue, duration, delay)
+{
+	if(delay == null)
+	{
+		delay = 0;
+	}
+	
+	return function(time)
+	{
+		var progress = (duration > 0) ? (time - delay) / duration : ((time >= delay) ? 1 : 0);
+		
+		return fromValue + ((toValue - fromValue) * Math.min(Math.max(progress, 0), 1));
+	};
+}
+
+//*********************
+//Glow worker
+//
+//Computing glow over a large canvas can keep the main thread busy for long enough to make a page's input lag.  A GlowRenderer can hand the
+//work to a Web Worker instead.  The worker is this same script: when it's loaded as a worker it waits for glow requests rather than drawing
+//anything.  Create one and give it to your renderer:
+//
+//	renderer.setGlowWorker(new Worker("canvas_glow_13.js"));
+//
+//From then on computeGlow() reads back the pixel data of the off-screen contexts and transfers it (without copying) to the worker, which
+//computes the glow and transfers the output back.  compositeAndDraw() returns a promise (and takes an optional callback) that completes once the
+//glow has been drawn; wait for it before drawing the next frame.  Frames that use falloff functions of your own are still computed on the main
+//thread, since functions can't be sent to a worker, and if the worker fails the renderer goes back to computing glow itself.
+//
+//In Node, the same script can be started with worker_threads (new Worker("canvas_glow_13.js")) and passed to setGlowWorker() the same way.
+//*********************
+
+//setGlowWorker
+//
+//Compute this renderer's glow in a worker instead of on the calling thread.
+//
+//Parameters:
+//glowWorker - 	a Web Worker (or Node worker_threads Worker) running this script, or null to go back to computing glow synchronously
+GlowRenderer.prototype.setGlowWorker = function(glowWorker)
+{
+	var renderer = this;
+	var onMessage = function(message)
+	{
+		//browsers wrap the message in an event, Node passes it as is
+		if(message != null && message.data != null)
+		{
+			message = message.data;
+		}
+		renderer.receiveGlowFromWorker(message);
+	};
+	var onError = function()
+	{
+		renderer.handleGlowWorkerError();
+	};
+	
+	this.glowWorker = glowWorker;
+	
+	if(glowWorker == null)
+	{
+		return;
+	}
+	
+	if(glowWorker.addEventListener != null)
+	{
+		glowWorker.addEventListener("message", onMessage);
+		glowWorker.addEventListener("error", onError);
+	}
+	else
+	{
+		glowWorker.on("message", onMessage);
+		glowWorker.on("error", onError);
+	}
+};
+
+//sendGlowToWorker
+//
+//Read back the passed regions of the off-screen contexts and transfer their pixel data to the glow worker, along with a copy of the shape table.
+//You generally won't call this function directly.  It is a utility function that is called by computeGlow().
+//
+//Parameters:
+//glowRegions - 	the parts of the canvas ({left, top, right, bottom}) to compute glow for
+GlowRenderer.prototype.sendGlowToWorker = function(glowRegions)
+{
+	var glowRequest = {glowFrame: this.glowWorkerFrame + 1, glowShapeTable: this.glowShapeTable, glowQuality: this.glowQuality, glowRegions: []};
+	var transferList = [];
+	var glowGroups = this.getGlowGroupsToCompute();
+	var previousGroup = this.glowGroup.name;
+	var groupLoop;
+	var regionLoop;
+	var region;
+	var regionWidth;
+	var regionHeight;
+	var requestRegion;
+	
+	//every region is sent once for each glow group, in the order the groups are composited
+	for(groupLoop = 0; groupLoop < glowGroups.length; groupLoop++)
+	{
+		this.selectGlowGroup(glowGroups[groupLoop].name);
+		
+		for(regionLoop = 0; regionLoop < glowRegions.length; regionLoop++)
+		{
+			region = glowRegions[regionLoop];
+			regionWidth = region.right - region.left;
+			regionHeight = region.bottom - region.top;
+			
+			requestRegion = {
+				left: region.left,
+				top: region.top,
+				width: regionWidth,
+				height: regionHeight,
+				group: this.glowGroup.name,
+				occlusion: this.glowOcclusionContext.getImageData(region.left, region.top, regionWidth, regionHeight).data.buffer,
+				color: this.glowColorContext.getImageData(region.left, region.top, regionWidth, regionHeight).data.buffer,
+				output: this.glowOutputContext.getImageData(region.left, region.top, regionWidth, regionHeight).data.buffer
+			};
+			transferList.push(requestRegion.occlusion, requestRegion.color, requestRegion.output);
+			
+			if(this.glowTransmissionUsed == true)
+			{
+				requestRegion.transmission = this.glowTransmissionContext.getImageData(region.left, region.top, regionWidth, regionHeight).data.buffer;
+				transferList.push(requestRegion.transmission);
+			}
+			
+			glowRequest.glowRegions.push(requestRegion);
+		}
+	}
+	
+	this.selectGlowGroup(previousGroup);
+	
+	this.glowWorkerFrame = glowRequest.glowFrame;
+	this.glowWorkerRegions = glowRegions;
+	this.glowWorkerPending = true;
+	this.glowWorker.postMessage(glowRequest, transferList);
+};
+
+//receiveGlowFromWorker
+//
+//Take the glow output sent back by the glow worker and draw any frames that were waiting for it.  Results for frames that have since been
+//replaced by a newer computeGlow() are ignored.  You generally won't call this function directly.
+//
+//Parameters:
+//glowResult - 	the message sent by the worker
+GlowRenderer.prototype.receiveGlowFromWorker = function(glowResult)
+{
+	var regionLoop;
+	var region;
+	
+	if(glowResult == null || glowResult.glowFrame != this.glowWorkerFrame)
+	{
+		return;
+	}
+	
+	this.glowOutputRegions = [];
+	for(regionLoop = 0; regionLoop < glowResult.glowRegions.length; regionLoop++)
+	{
+		region = glowResult.glowRegions[regionLoop];
+		this.glowOutputRegions.push({left: region.left, top: region.top, width: region.width, height: region.height,
+			buffer: this.createGlowImageData(region.output, region.width, region.height), group: region.group,
+			shapeIds: (region.occlusion != null) ? {data: new Uint8ClampedArray(region.occlusion), width: region.width, height: region.height} : null,
+			sources: (region.sources != null) ? new Int32Array(region.sources) : null});
+	}
+	
+	if(glowResult.glowStats != null)
+	{
+		this.glowFrameStats.pixelsSeeded += glowResult.glowStats.pixelsSeeded;
+		this.glowFrameStats.pixelVisits += glowResult.glowStats.pixelVisits;
+		this.glowFrameStats.computeTime += glowResult.glowStats.computeTime;
+	}
+	
+	this.stampGlowSprites();
+	this.finishGlowWorkerFrame();
+};
+
+//handleGlowWorkerError
+//
+//Stop using a glow worker that has failed and compute the pending frame's glow on this thread instead.  You generally won't call this function
+//directly.
+GlowRenderer.prototype.handleGlowWorkerError = function()
+{
+	this.glowWorker = null;
+	
+	if(this.glowWorkerPending == true)
+	{
+		this.glowOutputRegions = [];
+		this.glowPixelsSeeded = 0;
+		this.glowPixelVisits = 0;
+		this.computeGlowRegions(this.glowWorkerRegions);
+		this.stampGlowSprites();
+		this.glowFrameStats.pixelsSeeded += this.glowPixelsSeeded;
+		this.glowFrameStats.pixelVisits += this.glowPixelVisits;
+		
+		this.finishGlowWorkerFrame();
+	}
+};
+
+//finishGlowWorkerFrame
+//
+//Mark the pending worker frame as done and run the compositeAndDraw() calls that were waiting for it.  You generally won't call this function
+//directly.
+GlowRenderer.prototype.finishGlowWorkerFrame = function()
+{
+	var waitingLoop;
+	var glowWorkerWaiting = this.glowWorkerWaiting;
+	
+	this.glowWorkerPending = false;
+	this.glowWorkerWaiting = [];
+	
+	for(waitingLoop = 0; waitingLoop < glowWorkerWaiting.length; waitingLoop++)
+	{
+		glowWorkerWaiting[waitingLoop]();
+	}
+};
+
+//createGlowImageData
+//
+//Returns an ImageData that uses the passed pixel data (sent back from the glow worker) without copying it where the browser allows.
+//
+//Parameters:
+//pixelData - 		an ArrayBuffer of four bytes per pixel
+//imageWidth - 		width of the image in pixels
+//imageHeight - 	height of the image in pixels
+GlowRenderer.prototype.createGlowImageData = function(pixelData, imageWidth, imageHeight)
+{
+	var imageData;
+	
+	if(typeof ImageData != "undefined")
+	{
+		return new ImageData(new Uint8ClampedArray(pixelData), imageWidth, imageHeight);
+	}
+	
+	imageData = this.glowOutputContext.createImageData(imageWidth, imageHeight);
+	imageData.data.set(new Uint8ClampedArray(pixelData));
+	return imageData;
+};
+
+var glowWorkerRenderer = null;	//inside a glow worker, the renderer whose scratch buffers are used to compute glow
+
+//handleGlowWorkerRequest
+//
+//Inside a glow worker, compute the glow for a request sent by sendGlowToWorker() and transfer the output back.  Messages that aren't glow
+//requests are ignored.
+//
+//Parameters:
+//glowRequest - 	the message sent to the worker
+//replyPort - 		the object to post the reply with (the worker's global scope, or its parentPort in Node)
+function handleGlowWorkerRequest(glowRequest, replyPort)
+{
+	var glowResult;
+	var transferList = [];
+	var regionLoop;
+	var region;
+	var glowSources;
+	var computeStartTime;
+	
+	if(glowRequest == null || glowRequest.glowRegions == null || glowRequest.glowShapeTable == null)
+	{
+		return;
+	}
+	
+	if(glowWorkerRenderer == null)
+	{
+		glowWorkerRenderer = new GlowRenderer();
+	}
+	
+	glowResult = {glowFrame: glowRequest.glowFrame, glowRegions: [], glowStats: null};
+	computeStartTime = getDefaultGlowClock()();
+	glowWorkerRenderer.glowPixelsSeeded = 0;
+	glowWorkerRenderer.glowPixelVisits = 0;
+	
+	for(regionLoop = 0; regionLoop < glowRequest.glowRegions.length; regionLoop++)
+	{
+		region = glowRequest.glowRegions[regionLoop];
+		glowSources = new Int32Array(region.width * region.height);
+		
+		computeGlowFromBuffers({data: new Uint8ClampedArray(region.color), width: region.width, height: region.height},
+			{data: new Uint8ClampedArray(region.occlusion), width: region.width, height: region.height},
+			glowRequest.glowShapeTable,
+			{
+				outputBuffer: {data: new Uint8ClampedArray(region.output), width: region.width, height: region.height},
+				renderer: glowWorkerRenderer,
+				transmissionBuffer: (region.transmission != null) ? {data: new Uint8ClampedArray(region.transmission), width: region.width, height: region.height} : null,
+				sourceBuffer: glowSources,
+				resolution: glowRequest.glowQuality
+			});
+		
+		//the shape ids and glow sources go back too, for glowAt()
+		glowResult.glowRegions.push({left: region.left, top: region.top, width: region.width, height: region.height, group: region.group,
+			output: region.output, occlusion: region.occlusion, sources: glowSources.buffer});
+		transferList.push(region.output, region.occlusion, glowSources.buffer);
+	}
+	
+	glowResult.glowStats = {pixelsSeeded: glowWorkerRenderer.glowPixelsSeeded, pixelVisits: glowWorkerRenderer.glowPixelVisits,
+		computeTime: getDefaultGlowClock()() - computeStartTime};
+	
+	replyPort.postMessage(glowResult, transferList);
+}
+
+//startNodeGlowWorker
+//
+//Start answering glow requests if this script is running in a Node worker_threads worker.  worker_threads is only loaded here, through
+//module.require() rather than require(), so that bundlers and pages that load this file as a module never go looking for it.  You generally
+//won't call this function directly.
+function startNodeGlowWorker()
+{
+	var workerThreads = module.require("worker_threads");
+	
+	if(workerThreads.isMainThread == true)
+	{
+		return;
+	}
+	
+	workerThreads.parentPort.on("message", function(glowRequest)
+	{
+		handleGlowWorkerRequest(glowRequest, workerThreads.parentPort);
+	});
+}
+
+//start answering glow requests when this script is running as a worker (a Web Worker, or a Node worker_threads worker).  In Node that's only
+//possible when this file is the script the thread was started with (its main module); when it's loaded with require() it's just a library.
+if(typeof WorkerGlobalScope != "undefined" && self instanceof WorkerGlobalScope)
+{
+	self.addEventListener("message", function(event)
+	{
+		handleGlowWorkerRequest(event.data, self);
+	});
+}
+else if(typeof module != "undefined" && typeof require == "function" && require.main == module)
+{
+	startNodeGlowWorker();
+}
+
+//*********************
+//Global functions
+//
+//Before GlowRenderer existed, this library kept all of its state in global variables and was used through the functions below.  They still work
+//the same way, but are now thin wrappers around a single default renderer (defaultGlowRenderer), so pages written against the original version
+//don't need to change.  See the GlowRenderer methods of the same name for descriptions of their parameters.
+//*********************
+
+var defaultGlowRenderer = new GlowRenderer();	//the renderer behind the global functions
+defaultGlowRenderer.trackDirtyRegions = false;	//pages that draw straight to the glow contexts expect glow to be computed over the whole canvas
+
+//the default renderer's contexts, kept here as well for pages that draw to them directly (for example, setting frameBufferContext.fillStyle)
+var frameBufferContext = null;
+var glowColorContext = null;
+var glowOutputContext = null;
+var glowOcclusionContext = null;
+
+function setFrameBufferContext(contextIn)
+{
+	defaultGlowRenderer.setFrameBufferContext(contextIn);
+	frameBufferContext = defaultGlowRenderer.frameBufferContext;
+}
+
+function setGlowColorContext(contextIn, contextWidth, contextHeight)
+{
+	defaultGlowRenderer.setGlowColorContext(contextIn, contextWidth, contextHeight);
+	glowColorContext = defaultGlowRenderer.glowColorContext;
+}
+
+function setGlowOutputContext(contextIn, contextWidth, contextHeight)
+{
+	defaultGlowRenderer.setGlowOutputContext(contextIn, contextWidth, contextHeight);
+	glowOutputContext = defaultGlowRenderer.glowOutputContext;
+}
+
+function setGlowOcclusionContext(contextIn, contextWidth, contextHeight)
+{
+	defaultGlowRenderer.setGlowOcclusionContext(contextIn, contextWidth, contextHeight);
+	glowOcclusionContext = defaultGlowRenderer.glowOcclusionContext;
+}
+
+function fillRectWithGlow(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillRectWithGlow(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.fillRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function fillTextWithGlow(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillTextWithGlow(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillTextWithOcclusion(textToDraw, textX, textY, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.fillTextWithOcclusion(textToDraw, textX, textY, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function fillPathWithGlow(path, fillRule, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, pathBounds, glowGroup)
+{
+	defaultGlowRenderer.fillPathWithGlow(path, fillRule, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, pathBounds, glowGroup);
+}
+
+function fillPathWithOcclusion(path, fillRule, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.fillPathWithOcclusion(path, fillRule, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function fillCircleWithGlow(centerX, centerY, radius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillCircleWithGlow(centerX, centerY, radius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillCircleWithOcclusion(centerX, centerY, radius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.fillCircleWithOcclusion(centerX, centerY, radius, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function fillEllipseWithGlow(centerX, centerY, radiusX, radiusY, rotation, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillEllipseWithGlow(centerX, centerY, radiusX, radiusY, rotation, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillEllipseWithOcclusion(centerX, centerY, radiusX, radiusY, rotation, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.fillEllipseWithOcclusion(centerX, centerY, radiusX, radiusY, rotation, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function fillRoundRectWithGlow(rectX, rectY, rectWidth, rectHeight, cornerRadius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillRoundRectWithGlow(rectX, rectY, rectWidth, rectHeight, cornerRadius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillRoundRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, cornerRadius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.fillRoundRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, cornerRadius, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function fillPolygonWithGlow(polygonPoints, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillPolygonWithGlow(polygonPoints, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillPolygonWithOcclusion(polygonPoints, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.fillPolygonWithOcclusion(polygonPoints, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function strokeRectWithGlow(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.strokeRectWithGlow(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function strokeRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.strokeRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function strokeTextWithGlow(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.strokeTextWithGlow(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function strokeTextWithOcclusion(textToDraw, textX, textY, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.strokeTextWithOcclusion(textToDraw, textX, textY, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function strokePathWithGlow(path, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, pathBounds, glowGroup)
+{
+	defaultGlowRenderer.strokePathWithGlow(path, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, pathBounds, glowGroup);
+}
+
+function strokePathWithOcclusion(path, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.strokePathWithOcclusion(path, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function strokeCircleWithGlow(centerX, centerY, radius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.strokeCircleWithGlow(centerX, centerY, radius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function strokeCircleWithOcclusion(centerX, centerY, radius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.strokeCircleWithOcclusion(centerX, centerY, radius, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function strokeEllipseWithGlow(centerX, centerY, radiusX, radiusY, rotation, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.strokeEllipseWithGlow(centerX, centerY, radiusX, radiusY, rotation, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function strokeEllipseWithOcclusion(centerX, centerY, radiusX, radiusY, rotation, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.strokeEllipseWithOcclusion(centerX, centerY, radiusX, radiusY, rotation, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function strokeRoundRectWithGlow(rectX, rectY, rectWidth, rectHeight, cornerRadius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.strokeRoundRectWithGlow(rectX, rectY, rectWidth, rectHeight, cornerRadius, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function strokeRoundRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, cornerRadius, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.strokeRoundRectWithOcclusion(rectX, rectY, rectWidth, rectHeight, cornerRadius, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function strokePolygonWithGlow(polygonPoints, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.strokePolygonWithGlow(polygonPoints, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function strokePolygonWithOcclusion(polygonPoints, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.strokePolygonWithOcclusion(polygonPoints, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function drawImageWithGlow(image, imageArguments, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.drawImageWithGlow(image, imageArguments, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function drawImageWithOcclusion(image, imageArguments, occlusionTransmission, occlusionTint, occlusionGroups)
+{
+	defaultGlowRenderer.drawImageWithOcclusion(image, imageArguments, occlusionTransmission, occlusionTint, occlusionGroups);
+}
+
+function drawGlowDebugView(view, target, groupName)
+{
+	defaultGlowRenderer.drawGlowDebugView(view, target, groupName);
+}
+
+function layoutRichText(spans, textX, textY, layoutOptions)
+{
+	return defaultGlowRenderer.layoutRichText(spans, textX, textY, layoutOptions);
+}
+
+function fillRichTextWithGlow(spans, textX, textY, layoutOptions)
+{
+	return defaultGlowRenderer.fillRichTextWithGlow(spans, textX, textY, layoutOptions);
+}
+
+function drawGlowSprite(spriteKey, drawShape, shapeBounds, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.drawGlowSprite(spriteKey, drawShape, shapeBounds, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillTextWithGlowSprite(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillTextWithGlowSprite(textToDraw, textX, textY, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function fillRectWithGlowSprite(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup)
+{
+	defaultGlowRenderer.fillRectWithGlowSprite(rectX, rectY, rectWidth, rectHeight, glowStartingAlpha256, glowDistanceInPixels, glowColor, glowFalloff, glowGroup);
+}
+
+function invalidateGlowSprites(spriteKey)
+{
+	defaultGlowRenderer.invalidateGlowSprites(spriteKey);
+}
+
+function clearContexts(canvasWidth, canvasHeight)
+{
+	defaultGlowRenderer.clearContexts(canvasWidth, canvasHeight);
+}
+
+function markGlowRegionDirty(left, top, right, bottom, glowDistance)
+{
+	defaultGlowRenderer.markGlowRegionDirty(left, top, right, bottom, glowDistance);
+}
+
+function invalidateGlow()
+{
+	defaultGlowRenderer.invalidateGlow();
+}
+
+function setGlowWorker(glowWorker)
+{
+	defaultGlowRenderer.setGlowWorker(glowWorker);
+}
+
+function resizeGlowBuffers(canvasWidth, canvasHeight)
+{
+	defaultGlowRenderer.resizeGlowBuffers(canvasWidth, canvasHeight);
+}
+
+function setPixelRatio(pixelRatio)
+{
+	defaultGlowRenderer.setPixelRatio(pixelRatio);
+}
+
+function resizeToDisplaySize()
+{
+	defaultGlowRenderer.resizeToDisplaySize();
+}
+
+function observeResize(onResize)
+{
+	return defaultGlowRenderer.observeResize(onResize);
+}
+
+function stopObservingResize()
+{
+	defaultGlowRenderer.stopObservingResize();
+}
+
+function saveContexts()
+{
+	defaultGlowRenderer.saveContexts();
+}
+
+function restoreContexts()
+{
+	defaultGlowRenderer.restoreContexts();
+}
+
+function clipContexts(path, fillRule)
+{
+	defaultGlowRenderer.clipContexts(path, fillRule);
+}
+
+function computeGlow()
+{
+	defaultGlowRenderer.computeGlow();
+}
+
+function compositeAndDraw(glowWriteBufferElement, callback, compositeOptions)
+{
+	return defaultGlowRenderer.compositeAndDraw(glowWriteBufferElement, callback, compositeOptions);
+}
+
+function glowAt(x, y)
+{
+	return defaultGlowRenderer.glowAt(x, y);
+}
+
+function getGlowEventPoint(event)
+{
+	return defaultGlowRenderer.getGlowEventPoint(event);
+}
+
+function createGlowScene()
+{
+	return defaultGlowRenderer.createGlowScene();
+}
+
+function startGlowAnimation(drawScene, options)
+{
+	return defaultGlowRenderer.startGlowAnimation(drawScene, options);
+}
+
+//in Node (or anywhere else this file is loaded as a CommonJS module), make the renderer and the DOM-free glow computation available to require()
+if(typeof module != "undefined" && module.exports != null)
+{
+	module.exports = {
+		GlowRenderer: GlowRenderer,
+		GlowScene: GlowScene,
+		GlowAnimation: GlowAnimation,
+		computeGlowFromBuffers: computeGlowFromBuffers,
+		createGlowShapeTable: createGlowShapeTable,
+		addGlowShapeToTable: addGlowShapeToTable,
+		getGlowShapeIdStyle: getGlowShapeIdStyle,
+		glowFalloffModes: glowFalloffModes,
+		glowBlendModes: glowBlendModes,
+		glowModes: glowModes,
+		glowDebugViews: glowDebugViews,
+		createGlowPulse: createGlowPulse,
+		createGlowBreathe: createGlowBreathe,
+		createGlowFlicker: createGlowFlicker,
+		createGlowFade: createGlowFade
+	};
 }
\ No newline at end of file
@@ -0,0 +1,189 @@
+//*********************
+//computeGlowFromBuffers
+//
+//Golden-buffer tests of the DOM-free glow computation: each case builds its glow color and shape id buffers by hand, computes the glow and
+//compares every output pixel with the buffer in test/fixtures, plus a few checks that don't depend on the golden buffers being right.
+//*********************
+
+var test = require("node:test");
+var assert = require("assert");
+var glowTest = require("./glowTestBuffers.js");
+var canvasGlow = glowTest.canvasGlow;
+
+//an anti-aliased "Hi", as text drawn to the shape id buffer would leave it
+var glowTestGlyphs = [
+	".##+  .##+ .#+",
+	".##+  .##+    ",
+	".##+  .##+ .#+",
+	".#########+.#+",
+	".##+  .##+ .#+",
+	".##+  .##+ .#+",
+	".##+  .##+ .#+"
+];
+
+test("rect", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var shapeId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 200, 255, 6, -1, 0, 0);
+	var glowOutput;
+	
+	glowTest.fillGlowTestRect(glowBuffers, 8, 5, 8, 6, shapeId, [255, 128, 0]);
+	glowOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	
+	//the pixel next to the shape is a sixth of the glow distance away, and nothing is written over the shape itself
+	assert.strictEqual(glowTest.getGlowTestAlpha(glowOutput, 7, 7), 167);
+	assert.strictEqual(glowTest.getGlowTestAlpha(glowOutput, 16, 7), 167);
+	assert.strictEqual(glowTest.getGlowTestAlpha(glowOutput, 10, 7), 0);
+	assert.deepStrictEqual(Array.from(glowOutput.data.slice(((7 * 24) + 7) * 4, ((7 * 24) + 7) * 4 + 3)), [255, 128, 0]);
+	glowTest.assertGlowMatchesGolden("rect", glowOutput);
+});
+
+test("text mask", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var shapeId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 255, 255, 4, 0x40c0ff, canvasGlow.glowFalloffModes.indexOf("quadratic"), 0);
+	var glowOutput;
+	
+	glowTest.drawGlowTestMask(glowBuffers, 5, 4, glowTestGlyphs, shapeId, [0, 0, 0]);
+	glowOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	
+	//the color override is used instead of the (black) glow color buffer, and the gap between the letters glows
+	assert.deepStrictEqual(Array.from(glowOutput.data.slice(((4 * 24) + 9) * 4, ((4 * 24) + 9) * 4 + 3)), [0x40, 0xc0, 0xff]);
+	assert.ok(glowTest.getGlowTestAlpha(glowOutput, 9, 4) > 0);
+	assert.strictEqual(glowTest.getGlowTestAlpha(glowOutput, 7, 6), 0);
+	glowTest.assertGlowMatchesGolden("text-mask", glowOutput);
+});
+
+test("partial alpha", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var opaqueBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var glowOutput;
+	var opaqueOutput;
+	var xLoop;
+	var yLoop;
+	
+	//a shape faded to half its alpha, with anti-aliased edges, next to the same shape drawn opaque
+	glowTest.drawGlowTestMask(glowBuffers, 7, 4, [".++++++++.", "+########+", "+########+", "+########+", "+########+", "+########+", ".++++++++."],
+		canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 220, 128, 5, -1, 0, 0), [255, 255, 255]);
+	glowTest.drawGlowTestMask(opaqueBuffers, 7, 4, [".++++++++.", "+########+", "+########+", "+########+", "+########+", "+########+", ".++++++++."],
+		canvasGlow.addGlowShapeToTable(opaqueBuffers.shapeTable, 220, 255, 5, -1, 0, 0), [255, 255, 255]);
+	glowOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	opaqueOutput = canvasGlow.computeGlowFromBuffers(opaqueBuffers.color, opaqueBuffers.shapeIds, opaqueBuffers.shapeTable);
+	
+	//the faded shape's glow is never brighter than the opaque one's, and is roughly half as bright next to it
+	for(yLoop = 0; yLoop < 16; yLoop++)
+	{
+		for(xLoop = 0; xLoop < 24; xLoop++)
+		{
+			assert.ok(glowTest.getGlowTestAlpha(glowOutput, xLoop, yLoop) <= glowTest.getGlowTestAlpha(opaqueOutput, xLoop, yLoop));
+		}
+	}
+	
+	assert.ok(Math.abs((glowTest.getGlowTestAlpha(glowOutput, 6, 7) * 2) - glowTest.getGlowTestAlpha(opaqueOutput, 6, 7)) <= 2);
+	glowTest.assertGlowMatchesGolden("partial-alpha", glowOutput);
+});
+
+test("occluders", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var visibleBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var shapeId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 255, 255, 8, -1, 0, 0);
+	var glowOutput;
+	
+	//an opaque occluder (shape id 0) drawn over the right of the glowing shape
+	glowTest.fillGlowTestRect(glowBuffers, 4, 5, 6, 6, shapeId, [0, 255, 0]);
+	glowTest.fillGlowTestRect(glowBuffers, 8, 2, 3, 12, 0, [0, 0, 0]);
+	glowOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	
+	//only the part of the shape that's still visible glows, and its glow bleeds over the occluder
+	glowTest.fillGlowTestRect(visibleBuffers, 4, 5, 4, 6, canvasGlow.addGlowShapeToTable(visibleBuffers.shapeTable, 255, 255, 8, -1, 0, 0), [0, 255, 0]);
+	assert.deepStrictEqual(glowOutput.data, canvasGlow.computeGlowFromBuffers(visibleBuffers.color, visibleBuffers.shapeIds, visibleBuffers.shapeTable).data);
+	assert.strictEqual(glowTest.getGlowTestAlpha(glowOutput, 8, 7), 224);
+	glowTest.assertGlowMatchesGolden("occluders", glowOutput);
+});
+
+test("semi-transparent occluders", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var transmissionBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var shapeId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 255, 255, 8, -1, 0, 0);
+	var glassId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 0, 0, 0, 0xff0000, 0, 0, 0, 0, 0, 0, 0, 0.5);
+	var glowOutput;
+	var openOutput;
+	
+	glowTest.fillGlowTestRect(glowBuffers, 4, 5, 6, 6, shapeId, [255, 255, 255]);
+	glowTest.fillGlowTestRect(transmissionBuffers, 12, 2, 4, 12, glassId, [0, 0, 0]);
+	glowOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable,
+		{transmissionBuffer: transmissionBuffers.shapeIds});
+	openOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	
+	//the glow seen through the occluder is dimmed and tinted, and it carries on past it
+	assert.ok(glowTest.getGlowTestAlpha(glowOutput, 12, 7) > 0);
+	assert.ok(glowTest.getGlowTestAlpha(glowOutput, 12, 7) < glowTest.getGlowTestAlpha(openOutput, 12, 7));
+	assert.ok(glowOutput.data[(((7 * 24) + 12) * 4) + 1] < glowOutput.data[((7 * 24) + 12) * 4]);
+	assert.strictEqual(glowTest.getGlowTestAlpha(glowOutput, 11, 7), glowTest.getGlowTestAlpha(openOutput, 11, 7));
+	glowTest.assertGlowMatchesGolden("semi-transparent-occluders", glowOutput);
+});
+
+test("edge clipping", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var cornerId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 255, 255, 5, -1, 0, 0);
+	var edgeId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 180, 255, 10, -1, 0, 0);
+	var glowOutput;
+	
+	//one shape hanging off the top left corner and one off the right edge, with glow reaching past the bottom
+	glowTest.fillGlowTestRect(glowBuffers, -4, -4, 9, 7, cornerId, [255, 0, 255]);
+	glowTest.fillGlowTestRect(glowBuffers, 20, 6, 8, 6, edgeId, [255, 255, 0]);
+	glowOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	
+	assert.strictEqual(glowOutput.width, 24);
+	assert.strictEqual(glowOutput.height, 16);
+	assert.ok(glowTest.getGlowTestAlpha(glowOutput, 0, 3) > 0);
+	assert.ok(glowTest.getGlowTestAlpha(glowOutput, 23, 15) > 0);
+	assert.strictEqual(glowTest.getGlowTestAlpha(glowOutput, 23, 8), 0);
+	glowTest.assertGlowMatchesGolden("edge-clipping", glowOutput);
+});
+
+test("reduced resolution", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	var glowResolutions = [0.5, 0.25];
+	var fullOutput;
+	var reducedOutput;
+	var resolutionLoop;
+	var xLoop;
+	var yLoop;
+	
+	glowTest.fillGlowTestRect(glowBuffers, 8, 5, 8, 6, canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 200, 255, 6, -1, 0, 0), [255, 128, 0]);
+	fullOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	
+	//the glow is measured from the shape's full resolution edge, so every pixel is within 2 of the full resolution glow, right up to the edge
+	for(resolutionLoop = 0; resolutionLoop < glowResolutions.length; resolutionLoop++)
+	{
+		reducedOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable,
+			{resolution: glowResolutions[resolutionLoop]});
+		
+		assert.strictEqual(glowTest.getGlowTestAlpha(reducedOutput, 7, 7), 167);
+		assert.strictEqual(glowTest.getGlowTestAlpha(reducedOutput, 16, 7), 167);
+		assert.strictEqual(glowTest.getGlowTestAlpha(reducedOutput, 11, 4), 167);
+		assert.strictEqual(glowTest.getGlowTestAlpha(reducedOutput, 11, 11), 167);
+		for(yLoop = 0; yLoop < 16; yLoop++)
+		{
+			for(xLoop = 0; xLoop < 24; xLoop++)
+			{
+				assert.ok(Math.abs(glowTest.getGlowTestAlpha(reducedOutput, xLoop, yLoop) - glowTest.getGlowTestAlpha(fullOutput, xLoop, yLoop)) <= 2,
+					"alpha of pixel (" + xLoop + ", " + yLoop + ") at resolution " + [0.5, 0.25][resolutionLoop]);
+			}
+		}
+	}
+});
+
+test("mismatched buffers", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(24, 16);
+	
+	assert.strictEqual(canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowTest.createGlowTestBuffers(24, 15).shapeIds, glowBuffers.shapeTable), null);
+	assert.strictEqual(canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, null), null);
+});
\ No newline at end of file
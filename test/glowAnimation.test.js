@@ -0,0 +1,191 @@
+//*********************
+//GlowAnimation
+//
+//Steps animations by hand with a stub clock and frame scheduler: the animation's time, deltaTime and frame count follow the clock (less the time
+//spent paused), the same clock readings draw the same glow, and the time-based glow effects give the same value every time for the same time.
+//*********************
+
+var test = require("node:test");
+var assert = require("assert");
+var glowTest = require("./glowTestBuffers.js");
+var canvasGlow = glowTest.canvasGlow;
+
+//createStubFrameClock
+//
+//Returns a clock whose time (in milliseconds) is set by the test, and a frame scheduler that only runs a frame when the test calls
+//runFrame(), as {clock, requestFrame, cancelFrame, setTime, runFrame, pendingFrames}.
+function createStubFrameClock()
+{
+	var clockTime = 0;
+	var frameCallbacks = {};
+	var nextFrameRequest = 1;
+	
+	return {
+		clock: function() { return clockTime; },
+		requestFrame: function(frameCallback)
+		{
+			frameCallbacks[nextFrameRequest] = frameCallback;
+			return nextFrameRequest++;
+		},
+		cancelFrame: function(frameRequest) { delete frameCallbacks[frameRequest]; },
+		setTime: function(newTime) { clockTime = newTime; },
+		runFrame: function()
+		{
+			var frameRequests = Object.keys(frameCallbacks);
+			var frameCallback;
+			
+			assert.strictEqual(frameRequests.length, 1, "exactly one frame should be requested");
+			frameCallback = frameCallbacks[frameRequests[0]];
+			delete frameCallbacks[frameRequests[0]];
+			frameCallback();
+		},
+		pendingFrames: function() { return Object.keys(frameCallbacks).length; }
+	};
+}
+
+//createGlowTestRenderer
+//
+//Returns a GlowRenderer whose contexts are stand-ins from createGlowTestContext(), as {renderer, glowBuffers}, so frames can be drawn without a
+//canvas.  Shapes are drawn by writing to glowBuffers.
+//
+//Parameters:
+//canvasWidth - 	width of the stand-in canvases in pixels
+//canvasHeight - 	height of the stand-in canvases in pixels
+function createGlowTestRenderer(canvasWidth, canvasHeight)
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(canvasWidth, canvasHeight);
+	var renderer = new canvasGlow.GlowRenderer();
+	
+	renderer.canvasWidth = canvasWidth;
+	renderer.canvasHeight = canvasHeight;
+	renderer.frameBufferContext = glowTest.createGlowTestContext(glowTest.createGlowTestBuffers(canvasWidth, canvasHeight).color);
+	renderer.glowColorContext = glowTest.createGlowTestContext(glowBuffers.color);
+	renderer.glowOcclusionContext = glowTest.createGlowTestContext(glowBuffers.shapeIds);
+	renderer.glowOutputContext = glowTest.createGlowTestContext(glowTest.createGlowTestBuffers(canvasWidth, canvasHeight).color);
+	return {renderer: renderer, glowBuffers: glowBuffers};
+}
+
+test("time, deltaTime and frameNumber follow the clock", function()
+{
+	var frameClock = createStubFrameClock();
+	var sceneTimes = [];
+	var animation = new canvasGlow.GlowAnimation(createGlowTestRenderer(16, 16).renderer, function(renderer, time)
+	{
+		sceneTimes.push(time);
+	}, frameClock);
+	
+	frameClock.setTime(1000);
+	animation.start();
+	assert.strictEqual(frameClock.pendingFrames(), 1);
+	
+	frameClock.setTime(1250);
+	frameClock.runFrame();
+	assert.strictEqual(animation.time, 0.25);
+	assert.strictEqual(animation.deltaTime, 0);
+	assert.strictEqual(animation.frameNumber, 1);
+	
+	frameClock.setTime(1500);
+	frameClock.runFrame();
+	assert.strictEqual(animation.time, 0.5);
+	assert.strictEqual(animation.deltaTime, 0.25);
+	assert.strictEqual(animation.frameNumber, 2);
+	assert.deepStrictEqual(sceneTimes, [0.25, 0.5]);
+	
+	animation.stop();
+	assert.strictEqual(frameClock.pendingFrames(), 0);
+});
+
+test("time spent paused doesn't count", function()
+{
+	var frameClock = createStubFrameClock();
+	var animation = new canvasGlow.GlowAnimation(createGlowTestRenderer(16, 16).renderer, function() {}, frameClock);
+	
+	frameClock.setTime(1000);
+	animation.start();
+	frameClock.setTime(1100);
+	frameClock.runFrame();
+	
+	//no frames are requested while paused
+	frameClock.setTime(1200);
+	animation.pause();
+	assert.strictEqual(frameClock.pendingFrames(), 0);
+	
+	frameClock.setTime(3200);
+	animation.resume();
+	frameClock.setTime(3300);
+	frameClock.runFrame();
+	assert.strictEqual(animation.time, 0.3);
+	assert.ok(Math.abs(animation.deltaTime - 0.2) < 1e-9);
+	assert.strictEqual(animation.frameNumber, 2);
+	animation.stop();
+});
+
+test("the same clock readings draw the same glow", function()
+{
+	var drawFrames = function()
+	{
+		var frameClock = createStubFrameClock();
+		var testRenderer = createGlowTestRenderer(32, 24);
+		var glowPulse = canvasGlow.createGlowPulse(80, 255, 1.5);
+		var glowBreathe = canvasGlow.createGlowBreathe(4, 9, 4);
+		var frameOutputs = [];
+		var animation;
+		var clockLoop;
+		
+		animation = new canvasGlow.GlowAnimation(testRenderer.renderer, function(renderer)
+		{
+			var glowDistance = renderer.getGlowValue(glowBreathe);
+			
+			glowTest.fillGlowTestRect(testRenderer.glowBuffers, 12, 9, 8, 6, renderer.addGlowShape(renderer.getGlowValue(glowPulse), 255, glowDistance, -1, 0, 0),
+				[255, 128, 0]);
+			renderer.markGlowRegionDirty(12, 9, 20, 15, glowDistance);
+		}, {clock: frameClock.clock, requestFrame: frameClock.requestFrame, cancelFrame: frameClock.cancelFrame, onFrameDrawn: function(drawnAnimation)
+		{
+			frameOutputs.push(Array.from(drawnAnimation.renderer.glowOutputContext.imageBuffer.data));
+		}});
+		
+		animation.start();
+		for(clockLoop = 1; clockLoop <= 3; clockLoop++)
+		{
+			frameClock.setTime(clockLoop * 700);
+			frameClock.runFrame();
+		}
+		animation.stop();
+		return frameOutputs;
+	};
+	var firstOutputs = drawFrames();
+	
+	assert.strictEqual(firstOutputs.length, 3);
+	assert.deepStrictEqual(drawFrames(), firstOutputs);
+	
+	//and the glow does change over time
+	assert.notDeepStrictEqual(firstOutputs[0], firstOutputs[1]);
+	assert.ok(firstOutputs[0].some(function(outputByte) { return outputByte > 0; }));
+});
+
+test("glow effects give the same value for the same time", function()
+{
+	var effectTimes = [0, 0.3, 1.25, 1.7, 5, 12.5];
+	var makeEffects = [
+		function() { return canvasGlow.createGlowPulse(80, 255, 1.5); },
+		function() { return canvasGlow.createGlowBreathe(6, 14, 4); },
+		function() { return canvasGlow.createGlowFlicker(100, 255, 8, 7); },
+		function() { return canvasGlow.createGlowFade(0, 200, 2, 1); }
+	];
+	var effectLoop;
+	var firstEffect;
+	var secondEffect;
+	
+	for(effectLoop = 0; effectLoop < makeEffects.length; effectLoop++)
+	{
+		firstEffect = makeEffects[effectLoop]();
+		secondEffect = makeEffects[effectLoop]();
+		
+		assert.deepStrictEqual(effectTimes.map(firstEffect), effectTimes.map(secondEffect));
+		assert.deepStrictEqual(effectTimes.map(firstEffect), effectTimes.map(firstEffect));
+	}
+	
+	//flicker follows its seed, and a fade holds its end values outside its duration
+	assert.notDeepStrictEqual(effectTimes.map(canvasGlow.createGlowFlicker(100, 255, 8, 7)), effectTimes.map(canvasGlow.createGlowFlicker(100, 255, 8, 8)));
+	assert.deepStrictEqual([0, 0.5, 2, 3, 10].map(canvasGlow.createGlowFade(0, 200, 2, 1)), [0, 0, 100, 200, 200]);
+});
\ No newline at end of file
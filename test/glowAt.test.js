@@ -0,0 +1,80 @@
+//*********************
+//glowAt
+//
+//Hit testing against glow computed by computeGlowFromBuffers(): the glow sources it fills in should lead glowAt() back to the shape the glow at
+//a point comes from, including for "offset" glow, whose seeds are moved away from the shape.
+//*********************
+
+var test = require("node:test");
+var assert = require("assert");
+var glowTest = require("./glowTestBuffers.js");
+var canvasGlow = glowTest.canvasGlow;
+
+//createGlowAtRenderer
+//
+//Returns a GlowRenderer whose last frame is the glow of the passed test buffers, computed as one region covering them, as compositeAndDraw()
+//would have left it.
+//
+//Parameters:
+//glowBuffers - 	buffers created by createGlowTestBuffers(), with the shapes drawn
+function createGlowAtRenderer(glowBuffers)
+{
+	var renderer = new canvasGlow.GlowRenderer();
+	var glowSources = new Int32Array(glowBuffers.shapeIds.width * glowBuffers.shapeIds.height);
+	var glowOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable, {sourceBuffer: glowSources});
+	
+	renderer.glowShapeTable = glowBuffers.shapeTable;
+	renderer.glowOutputRegions = [{left: 0, top: 0, width: glowOutput.width, height: glowOutput.height, buffer: glowOutput, group: "",
+		shapeIds: glowBuffers.shapeIds, sources: glowSources}];
+	
+	return renderer;
+}
+
+test("outer glow", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(48, 32);
+	var shapeId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 255, 255, 10, -1, 0, 0);
+	var renderer;
+	var hit;
+	
+	glowTest.fillGlowTestRect(glowBuffers, 10, 10, 12, 8, shapeId, [255, 0, 0]);
+	renderer = createGlowAtRenderer(glowBuffers);
+	
+	//beside the shape, the glow comes from the nearest pixel of its edge
+	hit = renderer.glowAt(26.5, 13.5);
+	assert.strictEqual(hit.glowShapeId, shapeId);
+	assert.strictEqual(hit.inside, false);
+	assert.strictEqual(hit.sourceX, 21.5);
+	assert.strictEqual(hit.sourceY, 13.5);
+	
+	hit = renderer.glowAt(15.5, 12.5);
+	assert.strictEqual(hit.shapeId, shapeId);
+	assert.strictEqual(hit.inside, true);
+	assert.strictEqual(hit.alpha, 0);
+});
+
+test("offset glow", function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(48, 32);
+	var shapeId = canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 255, 255, 6, -1, 0, 0, 0, canvasGlow.glowModes.indexOf("offset"), 15, 4);
+	var renderer;
+	var hit;
+	
+	glowTest.fillGlowTestRect(glowBuffers, 6, 8, 10, 8, shapeId, [0, 0, 255]);
+	renderer = createGlowAtRenderer(glowBuffers);
+	
+	//the glow is moved 15 pixels right and 4 down, clear of the shape, but still comes from a pixel of the shape
+	hit = renderer.glowAt(26.5, 15.5);
+	assert.ok(hit.alpha > 0);
+	assert.strictEqual(hit.inside, false);
+	assert.strictEqual(hit.glowShapeId, shapeId);
+	assert.ok(hit.sourceX > 6 && hit.sourceX < 16);
+	assert.ok(hit.sourceY > 8 && hit.sourceY < 16);
+	assert.deepStrictEqual([hit.red, hit.green, hit.blue], [0, 0, 255]);
+	
+	//nothing glows where the glow was moved away from
+	hit = renderer.glowAt(5.5, 12.5);
+	assert.strictEqual(hit.alpha, 0);
+	assert.strictEqual(hit.glowShapeId, -1);
+	assert.strictEqual(hit.sourceX, null);
+});
\ No newline at end of file
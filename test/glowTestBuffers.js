@@ -0,0 +1,255 @@
+//*********************
+//Glow test buffers
+//
+//Helpers for the tests: build the glow color and shape id buffers that computeGlowFromBuffers() takes without a canvas (the shape id of each
+//pixel is written with the same bytes getGlowShapeIdStyle() would draw it with), and compare its output with the golden buffers in
+//test/fixtures.  Run the tests with UPDATE_GLOW_GOLDEN=1 to write the golden buffers again after a change that's meant to alter the glow.
+//*********************
+
+var fs = require("fs");
+var path = require("path");
+var assert = require("assert");
+var canvasGlow = require("../canvas_glow_13.js");
+
+var glowFixtureDirectory = path.join(__dirname, "fixtures");
+
+//createGlowTestBuffers
+//
+//Returns a cleared glow color buffer, shape id buffer and shape table of the passed size, as {color, shapeIds, shapeTable}.
+//
+//Parameters:
+//bufferWidth - 	width of the buffers in pixels
+//bufferHeight - 	height of the buffers in pixels
+function createGlowTestBuffers(bufferWidth, bufferHeight)
+{
+	return {
+		color: {data: new Uint8ClampedArray(bufferWidth * bufferHeight * 4), width: bufferWidth, height: bufferHeight},
+		shapeIds: {data: new Uint8ClampedArray(bufferWidth * bufferHeight * 4), width: bufferWidth, height: bufferHeight},
+		shapeTable: canvasGlow.createGlowShapeTable()
+	};
+}
+
+//getGlowShapeIdBytes
+//
+//Returns the red, green and blue bytes of the passed shape id's style (see getGlowShapeIdStyle()) as an array.
+//
+//Parameters:
+//shapeId - 	the shape id
+function getGlowShapeIdBytes(shapeId)
+{
+	return canvasGlow.getGlowShapeIdStyle(shapeId).match(/\d+/g).slice(0, 3).map(Number);
+}
+
+//drawGlowTestPixel
+//
+//Write a shape's pixel to the test buffers, as drawing the shape with its shape id style and color would.
+//
+//Parameters:
+//glowBuffers - 	buffers created by createGlowTestBuffers()
+//pixelX - 			x coordinate of the pixel.  Pixels outside the buffers are skipped, like a canvas clips them.
+//pixelY - 			y coordinate of the pixel
+//shapeId - 		the shape id to write
+//glowColor - 		the glow color as [red, green, blue]
+//coverage - 		how much of the pixel the shape covers (0 - 255)
+function drawGlowTestPixel(glowBuffers, pixelX, pixelY, shapeId, glowColor, coverage)
+{
+	var shapeIdBytes = getGlowShapeIdBytes(shapeId);
+	var byteIndex;
+	
+	if(pixelX < 0 || pixelY < 0 || pixelX >= glowBuffers.shapeIds.width || pixelY >= glowBuffers.shapeIds.height)
+	{
+		return;
+	}
+	
+	byteIndex = ((pixelY * glowBuffers.shapeIds.width) + pixelX) * 4;
+	glowBuffers.shapeIds.data.set([shapeIdBytes[0], shapeIdBytes[1], shapeIdBytes[2], coverage], byteIndex);
+	glowBuffers.color.data.set([glowColor[0], glowColor[1], glowColor[2], coverage], byteIndex);
+}
+
+//fillGlowTestRect
+//
+//Write a fully covered rectangle to the test buffers.
+//
+//Parameters:
+//glowBuffers - 	buffers created by createGlowTestBuffers()
+//rectX - 			x coordinate of the top left corner (may be outside the buffers)
+//rectY - 			y coordinate of the top left corner (may be outside the buffers)
+//rectWidth - 		width of the rectangle
+//rectHeight - 		height of the rectangle
+//shapeId - 		the shape id to write
+//glowColor - 		the glow color as [red, green, blue]
+function fillGlowTestRect(glowBuffers, rectX, rectY, rectWidth, rectHeight, shapeId, glowColor)
+{
+	var xLoop;
+	var yLoop;
+	
+	for(yLoop = rectY; yLoop < rectY + rectHeight; yLoop++)
+	{
+		for(xLoop = rectX; xLoop < rectX + rectWidth; xLoop++)
+		{
+			drawGlowTestPixel(glowBuffers, xLoop, yLoop, shapeId, glowColor, 255);
+		}
+	}
+}
+
+//drawGlowTestMask
+//
+//Write a coverage mask (such as an anti-aliased glyph) to the test buffers.  Each string is a row of the mask and each character a pixel:
+//"#" is fully covered, "+" is half covered, "." a quarter covered and anything else is left empty.
+//
+//Parameters:
+//glowBuffers - 	buffers created by createGlowTestBuffers()
+//maskX - 			x coordinate of the mask's top left corner
+//maskY - 			y coordinate of the mask's top left corner
+//maskRows - 		the rows of the mask, as strings
+//shapeId - 		the shape id to write
+//glowColor - 		the glow color as [red, green, blue]
+function drawGlowTestMask(glowBuffers, maskX, maskY, maskRows, shapeId, glowColor)
+{
+	var coverageCodes = {"#": 255, "+": 128, ".": 64};
+	var xLoop;
+	var yLoop;
+	
+	for(yLoop = 0; yLoop < maskRows.length; yLoop++)
+	{
+		for(xLoop = 0; xLoop < maskRows[yLoop].length; xLoop++)
+		{
+			if(coverageCodes[maskRows[yLoop].charAt(xLoop)] != null)
+			{
+				drawGlowTestPixel(glowBuffers, maskX + xLoop, maskY + yLoop, shapeId, glowColor, coverageCodes[maskRows[yLoop].charAt(xLoop)]);
+			}
+		}
+	}
+}
+
+//getGlowTestAlpha
+//
+//Returns the alpha of the passed pixel of a buffer.
+//
+//Parameters:
+//imageBuffer - 	the buffer ({data, width, height})
+//pixelX - 			x coordinate of the pixel
+//pixelY - 			y coordinate of the pixel
+function getGlowTestAlpha(imageBuffer, pixelX, pixelY)
+{
+	return imageBuffer.data[(((pixelY * imageBuffer.width) + pixelX) * 4) + 3];
+}
+
+//createGlowTestContext
+//
+//Returns a stand-in for a canvas 2D context that keeps its pixels in the passed buffer, with just enough of the context API (reading, writing and
+//clearing pixels; other drawing calls do nothing) for a GlowRenderer to clear its buffers, read them back and write its glow output without a
+//canvas.
+//
+//Parameters:
+//imageBuffer - 	the context's pixels ({data, width, height}), such as a buffer created by createGlowTestBuffers()
+function createGlowTestContext(imageBuffer)
+{
+	var doNothing = function() {};
+	
+	return {
+		canvas: {width: imageBuffer.width, height: imageBuffer.height},
+		imageBuffer: imageBuffer,
+		createImageData: function(imageWidth, imageHeight)
+		{
+			return {data: new Uint8ClampedArray(imageWidth * imageHeight * 4), width: imageWidth, height: imageHeight};
+		},
+		getImageData: function(imageX, imageY, imageWidth, imageHeight)
+		{
+			var imageData = this.createImageData(imageWidth, imageHeight);
+			var rowLoop;
+			
+			for(rowLoop = 0; rowLoop < imageHeight; rowLoop++)
+			{
+				imageData.data.set(imageBuffer.data.subarray((((imageY + rowLoop) * imageBuffer.width) + imageX) * 4,
+					(((imageY + rowLoop) * imageBuffer.width) + imageX + imageWidth) * 4), rowLoop * imageWidth * 4);
+			}
+			return imageData;
+		},
+		putImageData: function(imageData, imageX, imageY)
+		{
+			var rowLoop;
+			
+			for(rowLoop = 0; rowLoop < imageData.height; rowLoop++)
+			{
+				imageBuffer.data.set(imageData.data.subarray(rowLoop * imageData.width * 4, (rowLoop + 1) * imageData.width * 4),
+					(((imageY + rowLoop) * imageBuffer.width) + imageX) * 4);
+			}
+		},
+		clearRect: function(rectX, rectY, rectWidth, rectHeight)
+		{
+			var left = Math.max(0, Math.floor(rectX));
+			var right = Math.min(imageBuffer.width, Math.ceil(rectX + rectWidth));
+			var rowLoop;
+			
+			for(rowLoop = Math.max(0, Math.floor(rectY)); rowLoop < Math.min(imageBuffer.height, Math.ceil(rectY + rectHeight)); rowLoop++)
+			{
+				if(left < right)
+				{
+					imageBuffer.data.fill(0, ((rowLoop * imageBuffer.width) + left) * 4, ((rowLoop * imageBuffer.width) + right) * 4);
+				}
+			}
+		},
+		save: doNothing,
+		restore: doNothing,
+		setTransform: doNothing,
+		drawImage: doNothing
+	};
+}
+
+//assertGlowMatchesGolden
+//
+//Check a glow output buffer against the golden buffer of the passed name in test/fixtures, pixel by pixel, or write the golden buffer if
+//UPDATE_GLOW_GOLDEN is set.  Golden buffers are stored as one string of hexadecimal RGBA bytes per row.
+//
+//Parameters:
+//goldenName - 		the fixture's file name, without ".json"
+//outputBuffer - 	the buffer computeGlowFromBuffers() returned
+function assertGlowMatchesGolden(goldenName, outputBuffer)
+{
+	var goldenPath = path.join(glowFixtureDirectory, goldenName + ".json");
+	var outputRows = [];
+	var golden;
+	var rowLoop;
+	var pixelLoop;
+	
+	for(rowLoop = 0; rowLoop < outputBuffer.height; rowLoop++)
+	{
+		outputRows.push(Buffer.from(outputBuffer.data.buffer, outputBuffer.data.byteOffset + (rowLoop * outputBuffer.width * 4), outputBuffer.width * 4).toString("hex"));
+	}
+	
+	if(process.env.UPDATE_GLOW_GOLDEN)
+	{
+		fs.writeFileSync(goldenPath, JSON.stringify({width: outputBuffer.width, height: outputBuffer.height, rows: outputRows}, null, "\t") + "\n");
+		return;
+	}
+	
+	golden = JSON.parse(fs.readFileSync(goldenPath, "utf8"));
+	assert.strictEqual(outputBuffer.width, golden.width, goldenName + ": width");
+	assert.strictEqual(outputBuffer.height, golden.height, goldenName + ": height");
+	
+	for(rowLoop = 0; rowLoop < golden.height; rowLoop++)
+	{
+		if(outputRows[rowLoop] != golden.rows[rowLoop])
+		{
+			//report the first pixel that differs, rather than two long strings
+			for(pixelLoop = 0; pixelLoop < golden.width; pixelLoop++)
+			{
+				assert.strictEqual(outputRows[rowLoop].substr(pixelLoop * 8, 8), golden.rows[rowLoop].substr(pixelLoop * 8, 8),
+					goldenName + ": RGBA of pixel (" + pixelLoop + ", " + rowLoop + ")");
+			}
+		}
+	}
+}
+
+module.exports = {
+	canvasGlow: canvasGlow,
+	createGlowTestBuffers: createGlowTestBuffers,
+	getGlowShapeIdBytes: getGlowShapeIdBytes,
+	drawGlowTestPixel: drawGlowTestPixel,
+	fillGlowTestRect: fillGlowTestRect,
+	drawGlowTestMask: drawGlowTestMask,
+	getGlowTestAlpha: getGlowTestAlpha,
+	createGlowTestContext: createGlowTestContext,
+	assertGlowMatchesGolden: assertGlowMatchesGolden
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+//*********************
+//Glow worker
+//
+//A GlowRenderer given a worker_threads Worker running canvas_glow_13.js should draw exactly the glow computeGlowFromBuffers() computes on the
+//calling thread.  The renderer's contexts are stand-ins from createGlowTestContext(), so no canvas is needed.
+//*********************
+
+var test = require("node:test");
+var assert = require("assert");
+var path = require("path");
+var workerThreads = require("worker_threads");
+var glowTest = require("./glowTestBuffers.js");
+var canvasGlow = glowTest.canvasGlow;
+
+test("worker output matches the synchronous glow", async function()
+{
+	var glowBuffers = glowTest.createGlowTestBuffers(32, 24);
+	var renderer = new canvasGlow.GlowRenderer();
+	var glowWorker = new workerThreads.Worker(path.join(__dirname, "..", "canvas_glow_13.js"));
+	var synchronousOutput;
+	var compositePromise;
+	
+	glowTest.fillGlowTestRect(glowBuffers, 6, 6, 8, 5, canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 220, 255, 7, -1, 0, 0), [255, 96, 0]);
+	glowTest.drawGlowTestMask(glowBuffers, 18, 12, [".##+", "####", "+##."], canvasGlow.addGlowShapeToTable(glowBuffers.shapeTable, 255, 255, 5,
+		0x00ffc0, canvasGlow.glowFalloffModes.indexOf("smoothstep"), 0), [0, 0, 0]);
+	glowTest.fillGlowTestRect(glowBuffers, 12, 4, 3, 12, 0, [0, 0, 0]);
+	synchronousOutput = canvasGlow.computeGlowFromBuffers(glowBuffers.color, glowBuffers.shapeIds, glowBuffers.shapeTable);
+	
+	renderer.canvasWidth = 32;
+	renderer.canvasHeight = 24;
+	renderer.frameBufferContext = glowTest.createGlowTestContext(glowTest.createGlowTestBuffers(32, 24).color);
+	renderer.glowColorContext = glowTest.createGlowTestContext(glowBuffers.color);
+	renderer.glowOcclusionContext = glowTest.createGlowTestContext(glowBuffers.shapeIds);
+	renderer.glowOutputContext = glowTest.createGlowTestContext(glowTest.createGlowTestBuffers(32, 24).color);
+	renderer.glowShapeTable = glowBuffers.shapeTable;
+	renderer.setGlowWorker(glowWorker);
+	
+	try
+	{
+		renderer.sendGlowToWorker([{left: 0, top: 0, right: 32, bottom: 24}]);
+		compositePromise = renderer.compositeAndDraw();
+		
+		//the glow isn't drawn until the worker answers
+		assert.strictEqual(renderer.glowWorkerPending, true);
+		await compositePromise;
+		
+		assert.strictEqual(renderer.glowWorker, glowWorker);
+		assert.deepStrictEqual(renderer.glowOutputContext.imageBuffer.data, synchronousOutput.data);
+	}
+	finally
+	{
+		await glowWorker.terminate();
+	}
+});
+
+test("loading the library doesn't load worker_threads", function()
+{
+	var childProcess = require("child_process");
+	var loadedModules = childProcess.execFileSync(process.execPath, ["-e", "require(" + JSON.stringify(path.join(__dirname, "..", "canvas_glow_13.js")) +
+		"); console.log(JSON.stringify(process.moduleLoadList));"]).toString();
+	
+	assert.strictEqual(JSON.parse(loadedModules).indexOf("NativeModule worker_threads"), -1);
+});
\ No newline at end of file